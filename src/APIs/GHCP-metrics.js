@@ -1,9 +1,10 @@
-import { App } from '@octokit/app';
-import { Octokit } from '@octokit/rest';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { toAuthOptions, authOptionsFromEnv, createGitHubClient } from '../auth/client-factory.js';
+import CopilotMetricsStore from './metrics-store.js';
+import { exportReport } from '../exporters/index.js';
+import { printRateLimitReport } from '../request/request-layer.js';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -13,10 +14,13 @@ const __dirname = path.dirname(__filename);
 dotenv.config();
 
 class GitHubCopilotMetrics {
+    /**
+     * @param {string|Object} appId - GitHub App ID, or an auth options object for createGitHubClient
+     * @param {string} privateKeyPath - Path to the GitHub App private key
+     * @param {string} installationId - GitHub App installation ID
+     */
     constructor(appId, privateKeyPath, installationId) {
-        this.appId = appId;
-        this.privateKeyPath = privateKeyPath;
-        this.installationId = installationId;
+        this.authOptions = toAuthOptions(appId, privateKeyPath, installationId);
         this.app = null;
         this.octokit = null;
         this.initialized = false;
@@ -31,19 +35,11 @@ class GitHubCopilotMetrics {
 
     async initialize() {
         try {
-            // Read the private key file
-            const privateKey = fs.readFileSync(this.privateKeyPath, 'utf8');
-            
-            // Create the GitHub App instance
-            this.app = new App({
-                appId: this.appId,
-                privateKey: privateKey,
-            });
-
-            // Get an installation-specific Octokit instance
-            this.octokit = await this.app.getInstallationOctokit(this.installationId);
+            const client = await createGitHubClient(this.authOptions);
+            this.app = client.app;
+            this.octokit = client.octokit;
         } catch (error) {
-            console.error('Error initializing GitHub App:', error.message);
+            console.error('Error initializing GitHub client:', error.message);
             throw error;
         }
     }
@@ -72,6 +68,75 @@ class GitHubCopilotMetrics {
         }
     }
 
+    /**
+     * Get Copilot usage metrics for an enterprise.
+     * Requires a token with access to the enterprise (e.g. an enterprise owner's personal access token).
+     * @param {string} enterprise - Enterprise slug
+     * @param {string} since - Start date (YYYY-MM-DD format)
+     * @param {string} until - End date (YYYY-MM-DD format)
+     * @returns {Promise<Object>} Copilot usage data
+     */
+    async getCopilotUsageForEnterprise(enterprise, since = null, until = null) {
+        try {
+            await this.ensureInitialized();
+            const params = { enterprise };
+            if (since) params.since = since;
+            if (until) params.until = until;
+
+            const response = await this.octokit.request('GET /enterprises/{enterprise}/copilot/metrics', params);
+            console.log(`Usage data for enterprise ${enterprise}:`, response.data);
+            return response.data;
+        } catch (error) {
+            console.error(`Error fetching Copilot usage for enterprise ${enterprise}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get Copilot usage metrics for a team in an organization.
+     * GitHub only returns data for teams with five or more members holding a Copilot license.
+     * @param {string} org - Organization name
+     * @param {string} teamSlug - Team slug
+     * @param {string} since - Start date (YYYY-MM-DD format)
+     * @param {string} until - End date (YYYY-MM-DD format)
+     * @returns {Promise<Object>} Copilot usage data
+     */
+    async getCopilotUsageForTeam(org, teamSlug, since = null, until = null) {
+        try {
+            await this.ensureInitialized();
+            const params = { org, team_slug: teamSlug };
+            if (since) params.since = since;
+            if (until) params.until = until;
+
+            const response = await this.octokit.request('GET /orgs/{org}/team/{team_slug}/copilot/metrics', params);
+            console.log(`Usage data for ${org}/${teamSlug}: ${response.data.length} days`);
+            return response.data;
+        } catch (error) {
+            console.error(`Error fetching Copilot usage for team ${org}/${teamSlug}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all teams in an organization (handles pagination)
+     * @param {string} org - Organization name
+     * @returns {Promise<Array>} All teams
+     */
+    async getAllTeamsForOrg(org) {
+        try {
+            await this.ensureInitialized();
+            const teams = await this.octokit.paginate('GET /orgs/{org}/teams', {
+                org,
+                per_page: 100
+            });
+            console.log(`Found ${teams.length} teams in ${org}`);
+            return teams;
+        } catch (error) {
+            console.error(`Error fetching teams for org ${org}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get Copilot seat information for an organization
      * @param {string} org - Organization name
@@ -95,6 +160,32 @@ class GitHubCopilotMetrics {
         }
     }
 
+    /**
+     * Iterate over all Copilot seats for an organization, one page in memory at a time.
+     * Pages are followed through the Link header.
+     * @param {string} org - Organization name
+     * @yields {Object} Copilot seat
+     */
+    async *iterateCopilotSeats(org) {
+        try {
+            await this.ensureInitialized();
+            const pages = this.octokit.paginate.iterator('GET /orgs/{org}/copilot/billing/seats', {
+                org,
+                per_page: 100,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            for await (const response of pages) {
+                yield* response.data.seats || [];
+            }
+        } catch (error) {
+            console.error(`Error iterating Copilot seats for org ${org}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get all Copilot seats for an organization (handles pagination)
      * @param {string} org - Organization name
@@ -102,19 +193,10 @@ class GitHubCopilotMetrics {
      */
     async getAllCopilotSeatsForOrg(org) {
         try {
-            let allSeats = [];
-            let page = 1;
-            let hasMorePages = true;
-
-            while (hasMorePages) {
-                const response = await this.getCopilotSeatsForOrg(org, page, 100);
-                allSeats = allSeats.concat(response.seats || []);
-                
-                // Check if there are more pages
-                hasMorePages = response.seats && response.seats.length === 100;
-                page++;
+            const allSeats = [];
+            for await (const seat of this.iterateCopilotSeats(org)) {
+                allSeats.push(seat);
             }
-
             return allSeats;
         } catch (error) {
             console.error(`Error fetching all Copilot seats for org ${org}:`, error.message);
@@ -139,19 +221,166 @@ class GitHubCopilotMetrics {
         }
     }
 
+    /**
+     * Summarize daily usage metrics.
+     * Code completion counts come from the nested copilot_ide_code_completions
+     * editors -> models -> languages structure of the metrics API.
+     * @param {Array} usage - Daily metrics from one of the usage endpoints
+     * @returns {Object} Usage summary with per-language, per-editor, per-model and per-day breakdowns
+     */
+    summarizeUsage(usage) {
+        const totals = createCompletionCounts();
+        const byLanguage = {};
+        const byEditor = {};
+        const byModel = {};
+
+        const daily = usage.map(day => {
+            const dayTotals = createCompletionCounts();
+            const editors = day.copilot_ide_code_completions?.editors || [];
+
+            editors.forEach(editor => {
+                (editor.models || []).forEach(model => {
+                    (model.languages || []).forEach(language => {
+                        addCompletionCounts(totals, language);
+                        addCompletionCounts(dayTotals, language);
+                        addCompletionCounts(byLanguage[language.name] ??= createCompletionCounts(), language);
+                        addCompletionCounts(byEditor[editor.name] ??= createCompletionCounts(), language);
+                        addCompletionCounts(byModel[model.name] ??= createCompletionCounts(), language);
+                    });
+                });
+            });
+
+            return {
+                date: day.date,
+                activeUsers: day.total_active_users || 0,
+                engagedUsers: day.total_engaged_users || 0,
+                codeCompletionEngagedUsers: day.copilot_ide_code_completions?.total_engaged_users || 0,
+                ...withRates(dayTotals)
+            };
+        });
+
+        const activeUsers = daily.map(day => day.activeUsers);
+        const engagedUsers = daily.map(day => day.engagedUsers);
+        const average = values => values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0;
+
+        return {
+            daysReported: usage.length,
+            peakActiveUsers: Math.max(0, ...activeUsers),
+            peakEngagedUsers: Math.max(0, ...engagedUsers),
+            averageActiveUsers: average(activeUsers),
+            averageEngagedUsers: average(engagedUsers),
+            ...withRates(totals),
+            byLanguage: mapValues(byLanguage, withRates),
+            byEditor: mapValues(byEditor, withRates),
+            byModel: mapValues(byModel, withRates),
+            daily
+        };
+    }
+
+    /**
+     * Print a formatted metrics summary
+     * @param {Object} report - Report from generateMetricsReport
+     */
+    printMetricsSummary(report) {
+        const summary = report.summary;
+
+        console.log('\n=== Copilot Metrics Summary ===');
+        console.log(`Organization: ${report.organization}`);
+        console.log(`Total Seats: ${summary.totalSeats}`);
+        console.log(`Days Reported: ${summary.daysReported}`);
+        console.log(`Active Users (avg/peak): ${summary.averageActiveUsers}/${summary.peakActiveUsers}`);
+        console.log(`Engaged Users (avg/peak): ${summary.averageEngagedUsers}/${summary.peakEngagedUsers}`);
+        console.log(`Total Suggestions: ${summary.totalSuggestions}`);
+        console.log(`Total Acceptances: ${summary.totalAcceptances}`);
+        console.log(`Acceptance Rate: ${summary.acceptanceRate}%`);
+        console.log(`Lines Suggested / Accepted: ${summary.totalLinesSuggested} / ${summary.totalLinesAccepted} (${summary.lineAcceptanceRate}%)`);
+
+        const printBreakdown = (title, breakdown) => {
+            const entries = Object.entries(breakdown).sort(([, a], [, b]) => b.totalSuggestions - a.totalSuggestions);
+            if (entries.length === 0) return;
+
+            console.log(`\n${title}:`);
+            entries.forEach(([name, counts]) => {
+                console.log(`  ${name}: ${counts.totalAcceptances}/${counts.totalSuggestions} (${counts.acceptanceRate}%), lines ${counts.totalLinesAccepted}/${counts.totalLinesSuggested}`);
+            });
+        };
+
+        printBreakdown('By Language', summary.byLanguage);
+        printBreakdown('By Editor', summary.byEditor);
+        printBreakdown('By Model', summary.byModel);
+
+        if (report.teams) {
+            console.log('\n=== Per-Team Breakdown ===');
+            report.teams.forEach(team => {
+                if (team.success) {
+                    console.log(`${team.team}: ${team.summary.seatsAssignedViaTeam} seats, ${team.summary.totalAcceptances}/${team.summary.totalSuggestions} acceptances (${team.summary.acceptanceRate}%)`);
+                } else {
+                    console.log(`${team.team}: no metrics (${team.error})`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Build a per-team usage breakdown for every team in an organization.
+     * Teams whose metrics cannot be fetched (e.g. fewer than five licensed members)
+     * are listed with their error instead of failing the whole breakdown.
+     * @param {string} org - Organization name
+     * @param {Array} seats - Copilot seats, used to count seats assigned through each team
+     * @param {string} since - Start date (YYYY-MM-DD format)
+     * @param {string} until - End date (YYYY-MM-DD format)
+     * @returns {Promise<Array>} Per-team usage and summary
+     */
+    async getTeamBreakdown(org, seats = [], since = null, until = null) {
+        const teams = await this.getAllTeamsForOrg(org);
+
+        // Requests run in parallel, bounded by the request layer's concurrency cap
+        return Promise.all(teams.map(async team => {
+            const seatsAssignedViaTeam = seats.filter(seat => seat.assigning_team?.slug === team.slug).length;
+
+            try {
+                const usage = await this.getCopilotUsageForTeam(org, team.slug, since, until);
+                return {
+                    team: team.name,
+                    slug: team.slug,
+                    success: true,
+                    usage,
+                    summary: {
+                        seatsAssignedViaTeam,
+                        ...this.summarizeUsage(usage)
+                    }
+                };
+            } catch (error) {
+                return {
+                    team: team.name,
+                    slug: team.slug,
+                    success: false,
+                    error: error.message,
+                    summary: { seatsAssignedViaTeam }
+                };
+            }
+        }));
+    }
+
     /**
      * Generate a comprehensive Copilot metrics report
      * @param {string} org - Organization name
      * @param {string} since - Start date (YYYY-MM-DD format)
      * @param {string} until - End date (YYYY-MM-DD format)
+     * @param {Object} options - Report options
+     * @param {boolean} options.teamBreakdown - Include a per-team breakdown for every team in the org
+     * @param {CopilotMetricsStore} options.store - Read usage from this historical store instead of the API,
+     *   allowing ranges beyond the API's 28-day window
      * @returns {Promise<Object>} Complete metrics report
      */
-    async generateMetricsReport(org, since = null, until = null) {
+    async generateMetricsReport(org, since = null, until = null, options = {}) {
         try {
-            console.log(`Generating Copilot metrics report for ${org}...`);
+            const { teamBreakdown = false, store = null } = options;
+
+            console.log(`Generating Copilot metrics report for ${org}${store ? ' from the historical store' : ''}...`);
 
             const [usage, seats, billing] = await Promise.all([
-                this.getCopilotUsageForOrg(org, since, until),
+                store ? store.queryMetricsDays(org, since, until) : this.getCopilotUsageForOrg(org, since, until),
                 this.getAllCopilotSeatsForOrg(org),
                 this.getCopilotBillingForOrg(org)
             ]);
@@ -159,6 +388,7 @@ class GitHubCopilotMetrics {
             const report = {
                 organization: org,
                 reportDate: new Date().toISOString(),
+                source: store ? 'store' : 'api',
                 period: {
                     since: since || 'N/A',
                     until: until || 'N/A'
@@ -171,12 +401,19 @@ class GitHubCopilotMetrics {
                 billing: billing,
                 summary: {
                     totalSeats: seats.length,
-                    activeUsers: usage.filter(day => day.total_active_users > 0).length,
-                    totalAcceptances: usage.reduce((sum, day) => sum + (day.total_acceptances || 0), 0),
-                    totalSuggestions: usage.reduce((sum, day) => sum + (day.total_suggestions || 0), 0)
+                    ...this.summarizeUsage(usage)
                 }
             };
 
+            if (store) {
+                report.seatHistory = await store.querySeatSnapshots(org, since, until);
+            }
+
+            if (teamBreakdown) {
+                console.log(`Building per-team breakdown for ${org}...`);
+                report.teams = await this.getTeamBreakdown(org, seats, since, until);
+            }
+
             return report;
         } catch (error) {
             console.error('Error generating metrics report:', error.message);
@@ -185,27 +422,84 @@ class GitHubCopilotMetrics {
     }
 
     /**
-     * Export metrics report to JSON file
-     * @param {Object} report - Metrics report data
-     * @param {string} filename - Output filename
+     * Incrementally sync daily metrics and today's seat snapshot into a historical store.
+     * Only days after the latest stored day are requested; days already stored are skipped.
+     * @param {string} org - Organization name
+     * @param {CopilotMetricsStore} store - Historical store
+     * @returns {Promise<Object>} Sync result
      */
-    async exportReportToFile(report, filename = null) {
+    async syncMetricsToStore(org, store) {
         try {
-            // Create reports directory if it doesn't exist
-            const reportsDir = path.join(process.cwd(), 'reports');
-            if (!fs.existsSync(reportsDir)) {
-                fs.mkdirSync(reportsDir, { recursive: true });
-                console.log(`📁 Created reports directory: ${reportsDir}`);
+            console.log(`🗄️ Syncing Copilot metrics history for ${org}...`);
+
+            const latest = await store.getLatestMetricsDate(org);
+            let since = null;
+            if (latest) {
+                const nextDay = new Date(`${latest}T00:00:00Z`);
+                nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+
+                // The API rejects start dates outside its 28-day window
+                const windowStart = new Date();
+                windowStart.setUTCDate(windowStart.getUTCDate() - 27);
+                if (nextDay > windowStart) {
+                    since = nextDay.toISOString().split('T')[0];
+                }
             }
 
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const defaultFilename = `copilot-metrics-${report.organization}-${timestamp}.json`;
-            const filename_only = filename || defaultFilename;
-            const outputFilename = path.join(reportsDir, filename_only);
+            const today = new Date().toISOString().split('T')[0];
+            const [usage, seats] = await Promise.all([
+                since && since > today ? [] : this.getCopilotUsageForOrg(org, since),
+                this.getAllCopilotSeatsForOrg(org)
+            ]);
+
+            const metricsResult = await store.appendMetricsDays(org, usage);
+            const seatsResult = await store.appendSeatSnapshot(org, {
+                date: today,
+                totalSeats: seats.length,
+                seats: seats.map(seat => ({
+                    login: seat.assignee?.login,
+                    createdAt: seat.created_at,
+                    lastActivityAt: seat.last_activity_at || null,
+                    lastActivityEditor: seat.last_activity_editor || null,
+                    assigningTeam: seat.assigning_team?.slug || null,
+                    pendingCancellationDate: seat.pending_cancellation_date || null
+                }))
+            });
+
+            const result = {
+                organization: org,
+                syncedAt: new Date().toISOString(),
+                since: since || 'API window start',
+                metricsDaysAdded: metricsResult.added,
+                metricsDaysSkipped: metricsResult.skipped,
+                seatSnapshotAdded: seatsResult.added > 0
+            };
+
+            console.log(`✅ Stored ${result.metricsDaysAdded} new days (${result.metricsDaysSkipped} already stored), seat snapshot ${result.seatSnapshotAdded ? 'added' : 'already stored for today'}`);
 
-            fs.writeFileSync(outputFilename, JSON.stringify(report, null, 2));
-            console.log(`📊 Report exported to: ${outputFilename}`);
-            return outputFilename;
+            return result;
+        } catch (error) {
+            console.error(`Error syncing Copilot metrics history for org ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Export metrics report to a file
+     * @param {Object} report - Metrics report data
+     * @param {string} filename - Output filename
+     * @param {string} format - 'json', 'csv', 'markdown' or 'html'
+     * @returns {Promise<string|string[]>} Path of the written file (CSV writes a daily and a seats file)
+     */
+    async exportReportToFile(report, filename = null, format = 'json') {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const files = await exportReport(report, {
+                format,
+                filename,
+                baseName: `copilot-metrics-${report.organization}-${timestamp}`
+            });
+            return files.length === 1 ? files[0] : files;
         } catch (error) {
             console.error('Error exporting report to file:', error.message);
             throw error;
@@ -213,39 +507,98 @@ class GitHubCopilotMetrics {
     }
 }
 
+/**
+ * Create an empty set of code completion counters
+ * @returns {Object} Zeroed counters
+ */
+function createCompletionCounts() {
+    return {
+        totalSuggestions: 0,
+        totalAcceptances: 0,
+        totalLinesSuggested: 0,
+        totalLinesAccepted: 0
+    };
+}
+
+/**
+ * Add a language entry from the metrics API to a set of counters
+ * @param {Object} counts - Counters to update
+ * @param {Object} language - Language entry (total_code_suggestions, total_code_acceptances, ...)
+ */
+function addCompletionCounts(counts, language) {
+    counts.totalSuggestions += language.total_code_suggestions || 0;
+    counts.totalAcceptances += language.total_code_acceptances || 0;
+    counts.totalLinesSuggested += language.total_code_lines_suggested || 0;
+    counts.totalLinesAccepted += language.total_code_lines_accepted || 0;
+}
+
+/**
+ * Percentage of accepted over suggested, rounded to two decimals
+ * @param {number} accepted - Accepted count
+ * @param {number} suggested - Suggested count
+ * @returns {number} Rate in percent (0 when nothing was suggested)
+ */
+export function acceptanceRate(accepted, suggested) {
+    return suggested > 0 ? Math.round(accepted / suggested * 10000) / 100 : 0;
+}
+
+/**
+ * Add acceptance rates to a set of counters
+ * @param {Object} counts - Code completion counters
+ * @returns {Object} Counters with acceptanceRate and lineAcceptanceRate
+ */
+function withRates(counts) {
+    return {
+        ...counts,
+        acceptanceRate: acceptanceRate(counts.totalAcceptances, counts.totalSuggestions),
+        lineAcceptanceRate: acceptanceRate(counts.totalLinesAccepted, counts.totalLinesSuggested)
+    };
+}
+
+/**
+ * Map the values of an object
+ * @param {Object} object - Source object
+ * @param {Function} fn - Mapping function
+ * @returns {Object} Object with mapped values
+ */
+function mapValues(object, fn) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
 export default GitHubCopilotMetrics;
 
 // Example usage
 async function main() {
     // Configuration - replace with your actual values
     const config = {
-        appId: process.env.GITHUB_APP_ID || 'your-app-id',
-        privateKeyPath: process.env.GITHUB_PRIVATE_KEY_PATH || './private-key.pem',
-        installationId: process.env.GITHUB_INSTALLATION_ID || 'your-installation-id',
-        organization: process.env.GITHUB_ORG || 'your-org-name'
+        auth: authOptionsFromEnv(),
+        organization: process.env.GITHUB_ORG || 'your-org-name',
+        teamBreakdown: process.env.COPILOT_TEAM_BREAKDOWN === 'true',
+        historySync: process.env.COPILOT_HISTORY_SYNC === 'true',
+        reportFormat: process.env.REPORT_FORMAT || 'json'
     };
 
     console.log('Starting GitHub Copilot Metrics collection...');
     console.log(`Configuration:`, {
-        appId: config.appId,
-        privateKeyPath: config.privateKeyPath,
-        installationId: config.installationId,
+        authStrategy: config.auth.strategy,
+        installationId: config.auth.installationId,
         organization: config.organization
     });
 
     try {
         // Create metrics instance
         console.log('Creating GitHubCopilotMetrics instance...');
-        const metrics = new GitHubCopilotMetrics(
-            config.appId,
-            config.privateKeyPath,
-            config.installationId
-        );
+        const metrics = new GitHubCopilotMetrics(config.auth);
 
         console.log('Ensuring initialization...');
         await metrics.ensureInitialized();
         console.log('Initialization complete!');
 
+        // Append new days and today's seat snapshot to the local history store
+        if (config.historySync) {
+            await metrics.syncMetricsToStore(config.organization, new CopilotMetricsStore());
+        }
+
         // Generate report for the last 30 days
         const thirtyDaysAgo = new Date();
         thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
@@ -256,23 +609,16 @@ async function main() {
         const report = await metrics.generateMetricsReport(
             config.organization,
             since,
-            new Date().toISOString().split('T')[0]
+            new Date().toISOString().split('T')[0],
+            { teamBreakdown: config.teamBreakdown }
         );
 
         // Export to file
-        await metrics.exportReportToFile(report);
+        await metrics.exportReportToFile(report, null, config.reportFormat);
 
         // Display summary
-        console.log('\n=== Copilot Metrics Summary ===');
-        console.log(`Organization: ${report.organization}`);
-        console.log(`Total Seats: ${report.summary.totalSeats}`);
-        console.log(`Total Acceptances: ${report.summary.totalAcceptances}`);
-        console.log(`Total Suggestions: ${report.summary.totalSuggestions}`);
-        
-        if (report.summary.totalSuggestions > 0) {
-            const acceptanceRate = (report.summary.totalAcceptances / report.summary.totalSuggestions * 100).toFixed(2);
-            console.log(`Acceptance Rate: ${acceptanceRate}%`);
-        }
+        metrics.printMetricsSummary(report);
+        printRateLimitReport(metrics.octokit);
 
     } catch (error) {
         console.error('Error in main execution:', error.message);
@@ -281,8 +627,10 @@ async function main() {
     }
 }
 
-// Run the main function
-main().catch(error => {
-    console.error('Unhandled error:', error.message);
-    process.exit(1);
-});
\ No newline at end of file
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local JSONL record of issues handed to the Copilot coding agent.
+ * One file per repository owner, one line per handed-off issue:
+ *
+ *   {baseDir}/{owner}/agent-handoffs.jsonl
+ */
+class CopilotAgentHandoffStore {
+    /**
+     * @param {string} baseDir - Store directory (defaults to ./history)
+     */
+    constructor(baseDir = null) {
+        this.baseDir = baseDir || process.env.COPILOT_HISTORY_DIR || path.join(process.cwd(), 'history');
+    }
+
+    /**
+     * Path of an owner's handoff file
+     * @param {string} owner - Repository owner
+     * @returns {string} File path
+     */
+    getFilePath(owner) {
+        return path.join(this.baseDir, owner, 'agent-handoffs.jsonl');
+    }
+
+    /**
+     * Read all handoffs of an owner
+     * @param {string} owner - Repository owner
+     * @returns {Array} Handoffs in file order
+     */
+    readRecords(owner) {
+        const filePath = this.getFilePath(owner);
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    /**
+     * Record handoffs, skipping issues that are already recorded
+     * @param {string} owner - Repository owner
+     * @param {Array} handoffs - Handoffs ({ repository, issueNumber, title, url, handedOffAt })
+     * @returns {Promise<Object>} { added, skipped }
+     */
+    async recordHandoffs(owner, handoffs) {
+        const key = handoff => `${handoff.repository}#${handoff.issueNumber}`;
+        const stored = new Set(this.readRecords(owner).map(key));
+        const newRecords = handoffs.filter(handoff => !stored.has(key(handoff)) && stored.add(key(handoff)));
+
+        if (newRecords.length > 0) {
+            const filePath = this.getFilePath(owner);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.appendFileSync(filePath, newRecords.map(record => JSON.stringify(record)).join('\n') + '\n');
+        }
+
+        return {
+            added: newRecords.length,
+            skipped: handoffs.length - newRecords.length
+        };
+    }
+
+    /**
+     * List the issues handed to the agent, optionally for one repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name (all repositories of the owner when omitted)
+     * @returns {Promise<Array>} Handoffs sorted by handoff time
+     */
+    async getHandoffs(owner, repo = null) {
+        return this.readRecords(owner)
+            .filter(handoff => !repo || handoff.repository === `${owner}/${repo}`)
+            .sort((a, b) => a.handedOffAt.localeCompare(b.handedOffAt));
+    }
+}
+
+export default CopilotAgentHandoffStore;
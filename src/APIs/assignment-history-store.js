@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local JSONL record of automatic issue assignments, used to keep the rotation
+ * fair across runs. One file per repository owner, one line per assignment:
+ *
+ *   {baseDir}/{owner}/assignments.jsonl
+ */
+class AssignmentHistoryStore {
+    /**
+     * @param {string} baseDir - Store directory (defaults to ./history)
+     */
+    constructor(baseDir = null) {
+        this.baseDir = baseDir || process.env.COPILOT_HISTORY_DIR || path.join(process.cwd(), 'history');
+    }
+
+    /**
+     * Path of an owner's assignment file
+     * @param {string} owner - Repository owner
+     * @returns {string} File path
+     */
+    getFilePath(owner) {
+        return path.join(this.baseDir, owner, 'assignments.jsonl');
+    }
+
+    /**
+     * Read all assignments of an owner
+     * @param {string} owner - Repository owner
+     * @returns {Array} Assignments in file order
+     */
+    readRecords(owner) {
+        const filePath = this.getFilePath(owner);
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    /**
+     * Append assignments
+     * @param {string} owner - Repository owner
+     * @param {Array} assignments - Assignments ({ repository, issueNumber, assignee, pool, strategy, assignedAt })
+     * @returns {Promise<Object>} { added }
+     */
+    async recordAssignments(owner, assignments) {
+        if (assignments.length > 0) {
+            const filePath = this.getFilePath(owner);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.appendFileSync(filePath, assignments.map(record => JSON.stringify(record)).join('\n') + '\n');
+        }
+
+        return { added: assignments.length };
+    }
+
+    /**
+     * List assignments, optionally for one pool
+     * @param {string} owner - Repository owner
+     * @param {string} pool - Pool name (all pools when omitted)
+     * @returns {Promise<Array>} Assignments sorted by assignment time
+     */
+    async getAssignments(owner, pool = null) {
+        return this.readRecords(owner)
+            .filter(record => !pool || record.pool === pool)
+            .sort((a, b) => a.assignedAt.localeCompare(b.assignedAt));
+    }
+
+    /**
+     * Rotation position of each user in a pool: the index of their latest assignment,
+     * so a higher position means more recently assigned
+     * @param {string} owner - Repository owner
+     * @param {string} pool - Pool name
+     * @returns {Promise<Map>} Login (lower case) -> position of the latest assignment
+     */
+    async getRotationPositions(owner, pool) {
+        const positions = new Map();
+        (await this.getAssignments(owner, pool)).forEach((record, index) => positions.set(record.assignee.toLowerCase(), index));
+        return positions;
+    }
+}
+
+export default AssignmentHistoryStore;
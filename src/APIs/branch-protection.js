@@ -0,0 +1,582 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv } from '../auth/client-factory.js';
+import { exportReport } from '../exporters/index.js';
+import { printRateLimitReport, mapWithConcurrency } from '../request/request-layer.js';
+import GitHubSecurityPostureScanner from './security-posture.js';
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Default branch settings an audit can check, and their kind. Baseline values are minimums:
+ * a number is the least accepted value, true requires the setting, false does not check it,
+ * and a list of status check contexts must all be required.
+ */
+export const BRANCH_PROTECTION_SETTINGS = {
+    requiredApprovingReviews: 'number',
+    dismissStaleReviews: 'boolean',
+    requireCodeOwnerReviews: 'boolean',
+    requireStatusChecks: 'boolean',
+    requiredStatusChecks: 'list',
+    requireSignedCommits: 'boolean',
+    blockForcePushes: 'boolean',
+    blockDeletions: 'boolean'
+};
+
+/**
+ * Expected protection of every default branch unless a baseline file says otherwise
+ */
+export const DEFAULT_BRANCH_BASELINE = {
+    requiredApprovingReviews: 1,
+    requireStatusChecks: true,
+    requireSignedCommits: true,
+    blockForcePushes: true,
+    blockDeletions: true
+};
+
+/**
+ * Load a branch protection baseline (JSON) on top of DEFAULT_BRANCH_BASELINE.
+ * A setting set to null in the file is not checked.
+ * @param {string} filePath - Baseline file
+ * @returns {Object} Baseline (setting -> expected value)
+ */
+export function loadBranchBaseline(filePath) {
+    let overrides;
+    try {
+        overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read branch protection baseline ${filePath}: ${error.message}`);
+    }
+
+    const baseline = { ...DEFAULT_BRANCH_BASELINE, ...overrides };
+    Object.entries(baseline).forEach(([setting, expected]) => {
+        const kind = BRANCH_PROTECTION_SETTINGS[setting];
+        if (!kind) {
+            throw new Error(`${filePath}: unknown setting ${setting}. Known settings: ${Object.keys(BRANCH_PROTECTION_SETTINGS).join(', ')}`);
+        }
+        if (expected === null) {
+            delete baseline[setting];
+        } else if (kind === 'number' && !(Number.isInteger(expected) && expected >= 0 && expected <= 10)) {
+            throw new Error(`${filePath}: ${setting} must be a whole number from 0 to 10 or null`);
+        } else if (kind === 'boolean' && typeof expected !== 'boolean') {
+            throw new Error(`${filePath}: ${setting} must be true, false or null`);
+        } else if (kind === 'list' && !(Array.isArray(expected) && expected.every(context => typeof context === 'string'))) {
+            throw new Error(`${filePath}: ${setting} must be a list of status check names or null`);
+        }
+    });
+
+    return baseline;
+}
+
+/**
+ * Combine classic branch protection and the ruleset rules that apply to a branch into
+ * the effective protection, with the sources of each setting
+ * @param {Object|false|null} protection - Classic protection, false when unprotected, null when unreadable
+ * @param {Object[]} rules - Rules from GET /repos/{owner}/{repo}/rules/branches/{branch}
+ * @param {Map} rulesetNames - Ruleset id -> name
+ * @returns {Object} { settings, sources }
+ */
+export function effectiveBranchProtection(protection, rules, rulesetNames = new Map()) {
+    const settings = {
+        requiredApprovingReviews: 0,
+        dismissStaleReviews: false,
+        requireCodeOwnerReviews: false,
+        requireStatusChecks: false,
+        requiredStatusChecks: [],
+        requireSignedCommits: false,
+        blockForcePushes: false,
+        blockDeletions: false
+    };
+    const sources = Object.fromEntries(Object.keys(settings).map(setting => [setting, []]));
+
+    const apply = (source, values) => {
+        Object.entries(values).forEach(([setting, value]) => {
+            if (setting === 'requiredApprovingReviews') {
+                if (value > 0) sources[setting].push(source);
+                settings[setting] = Math.max(settings[setting], value);
+            } else if (setting === 'requiredStatusChecks') {
+                if (value.length > 0) sources[setting].push(source);
+                settings[setting] = [...new Set([...settings[setting], ...value])];
+            } else if (value) {
+                sources[setting].push(source);
+                settings[setting] = true;
+            }
+        });
+    };
+
+    if (protection) {
+        const reviews = protection.required_pull_request_reviews;
+        const checks = protection.required_status_checks;
+        const contexts = checks ? (checks.checks?.map(check => check.context) ?? checks.contexts ?? []) : [];
+        apply('branch protection', {
+            requiredApprovingReviews: reviews?.required_approving_review_count ?? 0,
+            dismissStaleReviews: Boolean(reviews?.dismiss_stale_reviews),
+            requireCodeOwnerReviews: Boolean(reviews?.require_code_owner_reviews),
+            requireStatusChecks: contexts.length > 0,
+            requiredStatusChecks: contexts,
+            requireSignedCommits: Boolean(protection.required_signatures?.enabled),
+            blockForcePushes: !protection.allow_force_pushes?.enabled,
+            blockDeletions: !protection.allow_deletions?.enabled
+        });
+    }
+
+    rules.forEach(rule => {
+        const name = rulesetNames.get(rule.ruleset_id);
+        const source = `${rule.ruleset_source_type === 'Organization' ? 'org' : 'repo'} ruleset ${name ? `"${name}"` : `#${rule.ruleset_id}`}`;
+        const parameters = rule.parameters || {};
+
+        switch (rule.type) {
+            case 'pull_request':
+                apply(source, {
+                    requiredApprovingReviews: parameters.required_approving_review_count ?? 0,
+                    dismissStaleReviews: Boolean(parameters.dismiss_stale_reviews_on_push),
+                    requireCodeOwnerReviews: Boolean(parameters.require_code_owner_review)
+                });
+                break;
+            case 'required_status_checks': {
+                const contexts = (parameters.required_status_checks || []).map(check => check.context);
+                apply(source, { requireStatusChecks: contexts.length > 0, requiredStatusChecks: contexts });
+                break;
+            }
+            case 'required_signatures':
+                apply(source, { requireSignedCommits: true });
+                break;
+            case 'non_fast_forward':
+                apply(source, { blockForcePushes: true });
+                break;
+            case 'deletion':
+                apply(source, { blockDeletions: true });
+                break;
+            default:
+                break;
+        }
+    });
+
+    return { settings, sources };
+}
+
+/**
+ * Compare effective protection with a baseline
+ * @param {Object} settings - Effective settings from effectiveBranchProtection
+ * @param {Object} baseline - Expected values
+ * @returns {Object[]} Findings ({ setting, expected, actual })
+ */
+export function compareBranchProtection(settings, baseline) {
+    return Object.entries(baseline)
+        .filter(([setting, expected]) => {
+            const actual = settings[setting];
+            switch (BRANCH_PROTECTION_SETTINGS[setting]) {
+                case 'number': return actual < expected;
+                case 'list': return expected.some(context => !actual.includes(context));
+                default: return expected === true && actual !== true;
+            }
+        })
+        .map(([setting, expected]) => ({ setting, expected, actual: settings[setting] }));
+}
+
+/**
+ * Build an organization ruleset for the default branch of the given repositories (every
+ * repository by default) that enforces the baseline settings listed in gaps
+ * @param {Object} baseline - Expected values
+ * @param {string[]} gaps - Settings to enforce
+ * @param {Object} options - Options
+ * @param {string} options.name - Ruleset name
+ * @param {string} options.enforcement - 'active', 'evaluate' (GitHub Enterprise) or 'disabled'
+ * @param {string[]} options.repositories - Repository names the ruleset applies to (null for every repository)
+ * @param {string[]} options.excludeRepositories - Repository names left out when it applies to every repository
+ * @returns {Object} { ruleset, uncovered } - Request body, and gaps a ruleset cannot close
+ */
+export function buildBranchRuleset(baseline, gaps, options = {}) {
+    const { name = 'Default branch baseline', enforcement = 'active', repositories = null, excludeRepositories = [] } = options;
+    const rules = [];
+    const uncovered = [];
+
+    if (gaps.some(setting => ['requiredApprovingReviews', 'dismissStaleReviews', 'requireCodeOwnerReviews'].includes(setting))) {
+        rules.push({
+            type: 'pull_request',
+            parameters: {
+                required_approving_review_count: baseline.requiredApprovingReviews ?? 0,
+                dismiss_stale_reviews_on_push: baseline.dismissStaleReviews === true,
+                require_code_owner_review: baseline.requireCodeOwnerReviews === true,
+                require_last_push_approval: false,
+                required_review_thread_resolution: false
+            }
+        });
+    }
+    if (gaps.includes('requireStatusChecks') || gaps.includes('requiredStatusChecks')) {
+        // A status check rule needs the check names; without them the gap stays open
+        const contexts = baseline.requiredStatusChecks || [];
+        if (contexts.length > 0) {
+            rules.push({
+                type: 'required_status_checks',
+                parameters: {
+                    required_status_checks: contexts.map(context => ({ context })),
+                    strict_required_status_checks_policy: false
+                }
+            });
+        } else {
+            uncovered.push('requireStatusChecks');
+        }
+    }
+    if (gaps.includes('requireSignedCommits')) rules.push({ type: 'required_signatures' });
+    if (gaps.includes('blockForcePushes')) rules.push({ type: 'non_fast_forward' });
+    if (gaps.includes('blockDeletions')) rules.push({ type: 'deletion' });
+
+    return {
+        ruleset: {
+            name,
+            target: 'branch',
+            enforcement,
+            conditions: {
+                ref_name: { include: ['~DEFAULT_BRANCH'], exclude: [] },
+                repository_name: repositories ? { include: [...repositories], exclude: [] } : { include: ['~ALL'], exclude: [...excludeRepositories] }
+            },
+            rules
+        },
+        uncovered
+    };
+}
+
+/**
+ * Audits the default branch protection and rulesets of an organization's repositories
+ */
+class GitHubBranchProtectionAuditor extends GitHubSecurityPostureScanner {
+    /**
+     * List the rulesets defined at organization level
+     * @param {string} org - Organization name
+     * @returns {Promise<Array|null>} Rulesets ({ id, name, target, enforcement }), or null when the App may not read them
+     */
+    async listOrganizationRulesets(org) {
+        await this.ensureInitialized();
+
+        try {
+            return await this.octokit.paginate('GET /orgs/{org}/rulesets', {
+                org,
+                per_page: 100,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+        } catch (error) {
+            if (error.status === 403 || error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Get the classic branch protection of a branch
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} branch - Branch name
+     * @returns {Promise<Object|false|null>} Protection, false when the branch is not protected, or null when the App may not read it
+     */
+    async getBranchProtection(owner, repo, branch) {
+        await this.ensureInitialized();
+
+        try {
+            const response = await this.octokit.request('GET /repos/{owner}/{repo}/branches/{branch}/protection', {
+                owner,
+                repo,
+                branch,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            if (error.status === 404) return false;
+            if (error.status === 403) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Get the active ruleset rules that apply to a branch, from repository and organization rulesets
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} branch - Branch name
+     * @returns {Promise<Array>} Rules ({ type, parameters, ruleset_source_type, ruleset_id })
+     */
+    async getBranchRules(owner, repo, branch) {
+        await this.ensureInitialized();
+
+        return this.octokit.paginate('GET /repos/{owner}/{repo}/rules/branches/{branch}', {
+            owner,
+            repo,
+            branch,
+            per_page: 100,
+            headers: {
+                'X-GitHub-Api-Version': '2022-11-28'
+            }
+        });
+    }
+
+    /**
+     * Audit row of one repository's default branch
+     * @param {string} org - Organization name
+     * @param {Object} repository - Repository from listOrganizationRepositories
+     * @param {Object} baseline - Expected values
+     * @param {Map} rulesetNames - Organization ruleset id -> name
+     * @returns {Promise<Object>} Row with findings (or error)
+     */
+    async auditRepository(org, repository, baseline, rulesetNames = new Map()) {
+        const row = {
+            repository: repository.full_name,
+            defaultBranch: repository.default_branch,
+            visibility: repository.visibility
+        };
+
+        try {
+            const [protection, rules] = await Promise.all([
+                this.getBranchProtection(org, repository.name, repository.default_branch),
+                this.getBranchRules(org, repository.name, repository.default_branch)
+            ]);
+            const { settings, sources } = effectiveBranchProtection(protection, rules, rulesetNames);
+
+            row.branchProtection = protection === null ? 'unknown' : protection ? 'protected' : 'unprotected';
+            row.rulesets = [...new Set(rules.map(rule => rule.ruleset_id))].map(id => rulesetNames.get(id) || `#${id}`);
+            row.settings = settings;
+            row.sources = sources;
+
+            // Without the classic protection the gaps may be covered there, so they are unknown rather than findings
+            const findings = compareBranchProtection(settings, baseline);
+            row.findings = protection === null ? [] : findings;
+            row.unknown = protection === null ? findings.map(finding => finding.setting) : [];
+        } catch (error) {
+            row.error = error.message;
+            row.findings = [];
+            row.unknown = [];
+        }
+
+        return row;
+    }
+
+    /**
+     * Audit the default branch of every repository of an organization against a baseline
+     * @param {string} org - Organization name
+     * @param {Object} options - Options
+     * @param {Object} options.baseline - Expected values (default DEFAULT_BRANCH_BASELINE)
+     * @param {boolean} options.includeArchived - Include archived repositories (default false)
+     * @param {boolean} options.includeForks - Include forks (default true)
+     * @param {string} options.visibility - Only repositories with this visibility
+     * @param {number} options.concurrency - Repositories audited at once (default 4)
+     * @returns {Promise<Object>} Branch protection report ({ repositories, organizationRulesets, summary })
+     */
+    async auditOrganizationBranchProtection(org, options = {}) {
+        const {
+            baseline = DEFAULT_BRANCH_BASELINE,
+            includeArchived = false,
+            includeForks = true,
+            visibility = null,
+            concurrency = 4
+        } = options;
+
+        try {
+            console.log(`🌿 Auditing default branch protection for: ${org}`);
+
+            // Archived repositories are listed too, so a gap ruleset can leave them out by name
+            const [listed, organizationRulesets] = await Promise.all([
+                this.listOrganizationRepositories(org, { includeArchived: true, includeForks, visibility }),
+                this.listOrganizationRulesets(org)
+            ]);
+            const repositories = listed.filter(repository => includeArchived || !repository.archived);
+            console.log(`📦 Found ${repositories.length} repositories and ${organizationRulesets?.length ?? 'unknown'} organization rulesets`);
+
+            const rulesetNames = new Map((organizationRulesets || []).map(ruleset => [ruleset.id, ruleset.name]));
+            const rows = await mapWithConcurrency(repositories, concurrency, repository => this.auditRepository(org, repository, baseline, rulesetNames));
+            rows.sort((a, b) => b.findings.length - a.findings.length || a.repository.localeCompare(b.repository));
+
+            const bySetting = Object.fromEntries(Object.keys(baseline).map(setting => [
+                setting,
+                rows.filter(row => row.findings.some(finding => finding.setting === setting)).length
+            ]));
+
+            const report = {
+                organization: org,
+                auditedAt: new Date().toISOString(),
+                filters: { includeArchived, includeForks, visibility },
+                archivedRepositories: includeArchived ? [] : listed.filter(repository => repository.archived).map(repository => repository.name),
+                branchBaseline: baseline,
+                organizationRulesets: organizationRulesets?.map(({ id, name, target, enforcement }) => ({ id, name, target, enforcement })) ?? null,
+                repositories: rows,
+                summary: {
+                    audited: rows.length,
+                    compliant: rows.filter(row => !row.error && row.findings.length === 0 && row.unknown.length === 0).length,
+                    deviating: rows.filter(row => row.findings.length > 0).length,
+                    unprotected: rows.filter(row => row.branchProtection === 'unprotected' && row.rulesets.length === 0).length,
+                    unknown: rows.filter(row => row.unknown.length > 0).length,
+                    failed: rows.filter(row => row.error).length,
+                    bySetting
+                }
+            };
+
+            console.log(`✅ Audited ${report.summary.audited} default branches: ${report.summary.deviating} fall short of the baseline`);
+
+            return report;
+        } catch (error) {
+            console.error(`❌ Failed to audit branch protection for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Create an organization ruleset that closes the gaps found by an audit. The ruleset applies to
+     * every repository, including ones created later, except the archived repositories the audit left
+     * out; after an audit limited by visibility or excluding forks it only applies to the audited repositories.
+     * @param {Object} report - Result of auditOrganizationBranchProtection
+     * @param {Object} options - Options
+     * @param {string} options.name - Ruleset name (default 'Default branch baseline')
+     * @param {string} options.enforcement - 'active' (default), 'evaluate' (GitHub Enterprise) or 'disabled'
+     * @param {boolean} options.dryRun - Only build the ruleset
+     * @returns {Promise<Object>} { status: planned|created|exists|nothing-to-do, gaps, uncovered, ruleset, id }
+     */
+    async createGapRuleset(report, options = {}) {
+        const { name = 'Default branch baseline', enforcement = 'active', dryRun = false } = options;
+        const org = report.organization;
+
+        const gaps = Object.entries(report.summary.bySetting).filter(([, count]) => count > 0).map(([setting]) => setting);
+        const { includeArchived = false, includeForks = true, visibility = null } = report.filters || {};
+        // Archived repositories are read-only, so leaving them out keeps the ruleset on every new repository
+        const filtered = !includeForks || Boolean(visibility);
+        const repositories = filtered ? report.repositories.map(row => row.repository.split('/').pop()) : null;
+        const excludeRepositories = filtered || includeArchived ? [] : report.archivedRepositories || [];
+        const { ruleset, uncovered } = buildBranchRuleset(report.branchBaseline, gaps, { name, enforcement, repositories, excludeRepositories });
+        const result = { name, enforcement, gaps, uncovered, ruleset, status: 'planned' };
+
+        if (report.repositories.length === 0) {
+            return { ...result, status: 'nothing-to-do', reason: 'No repositories were audited' };
+        }
+        if (ruleset.rules.length === 0) {
+            return { ...result, status: 'nothing-to-do' };
+        }
+        if ((report.organizationRulesets || []).some(existing => existing.name === name)) {
+            return { ...result, status: 'exists', reason: `An organization ruleset named "${name}" already exists; update it on GitHub or choose another name` };
+        }
+        if (dryRun) {
+            return result;
+        }
+
+        try {
+            await this.ensureInitialized();
+
+            console.log(`🔧 Creating organization ruleset "${name}" for: ${org}`);
+
+            const response = await this.octokit.request('POST /orgs/{org}/rulesets', {
+                org,
+                ...ruleset,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            console.log(`✅ Created organization ruleset "${name}" (#${response.data.id})`);
+
+            return { ...result, status: 'created', id: response.data.id };
+        } catch (error) {
+            console.error(`❌ Failed to create organization ruleset for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Print a branch protection report
+     * @param {Object} report - Result of auditOrganizationBranchProtection
+     */
+    printBranchProtectionSummary(report) {
+        console.log('\n🌿 DEFAULT BRANCH PROTECTION');
+        console.log('=====================================');
+        console.log(`Organization: ${report.organization}`);
+        console.log(`Repositories: ${report.summary.audited} (compliant: ${report.summary.compliant}, deviating: ${report.summary.deviating}, unprotected: ${report.summary.unprotected}, unknown: ${report.summary.unknown}, failed: ${report.summary.failed})`);
+        console.log(`Organization rulesets: ${report.organizationRulesets ? report.organizationRulesets.map(ruleset => `${ruleset.name} (${ruleset.enforcement})`).join(', ') || 'none' : 'not readable'}`);
+
+        console.log('\nGaps by setting:');
+        Object.entries(report.summary.bySetting).forEach(([setting, count]) => {
+            console.log(`  ${setting} (expected ${JSON.stringify(report.branchBaseline[setting])}): ${count}`);
+        });
+
+        const deviating = report.repositories.filter(row => row.findings.length > 0 || row.error);
+        if (deviating.length > 0) {
+            console.log('\nRepositories:');
+            deviating.forEach(row => {
+                const detail = row.error || row.findings.map(finding => `${finding.setting}=${JSON.stringify(finding.actual)}`).join(', ');
+                console.log(`  ${row.repository} (${row.defaultBranch || '-'}): ${detail}`);
+            });
+        }
+
+        if (report.ruleset) {
+            const { ruleset } = report;
+            console.log(`\nOrganization ruleset "${ruleset.name}": ${ruleset.status}${ruleset.reason ? ` — ${ruleset.reason}` : ''}`);
+            console.log(`  Rules: ${ruleset.ruleset.rules.map(rule => rule.type).join(', ') || 'none'}`);
+            const { include, exclude } = ruleset.ruleset.conditions.repository_name;
+            const excluded = exclude.length > 0 ? ` except ${exclude.length} archived` : '';
+            console.log(`  Repositories: ${include.includes('~ALL') ? `all${excluded}` : `${include.length} audited`}`);
+            if (ruleset.uncovered.length > 0) {
+                console.log(`  Not covered: ${ruleset.uncovered.join(', ')} (list requiredStatusChecks in the baseline)`);
+            }
+        }
+        console.log('=====================================\n');
+    }
+
+    /**
+     * Export a branch protection report to a file
+     * @param {Object} report - Result of auditOrganizationBranchProtection
+     * @param {string} filename - Output filename
+     * @param {string} format - 'json', 'csv', 'markdown' or 'html'
+     * @returns {Promise<string>} Path of the written file
+     */
+    async exportReportToFile(report, filename = null, format = 'json') {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const [outputFilename] = await exportReport(report, {
+                format,
+                filename,
+                baseName: `branch-protection-${report.organization}-${timestamp}`
+            });
+            return outputFilename;
+        } catch (error) {
+            console.error('Error exporting branch protection report to file:', error.message);
+            throw error;
+        }
+    }
+}
+
+export default GitHubBranchProtectionAuditor;
+
+// Example usage
+async function main() {
+    const config = {
+        auth: authOptionsFromEnv(),
+        organization: process.env.GITHUB_ORG || 'your-org-name',
+        baselineFile: process.env.BRANCH_BASELINE_FILE || null,
+        format: process.env.REPORT_FORMAT || 'json'
+    };
+
+    try {
+        const auditor = new GitHubBranchProtectionAuditor(config.auth);
+        const baseline = config.baselineFile ? loadBranchBaseline(config.baselineFile) : DEFAULT_BRANCH_BASELINE;
+
+        const report = await auditor.auditOrganizationBranchProtection(config.organization, { baseline });
+        report.ruleset = await auditor.createGapRuleset(report, { dryRun: true });
+        auditor.printBranchProtectionSummary(report);
+        await auditor.exportReportToFile(report, null, config.format);
+
+        printRateLimitReport(auditor.octokit);
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,293 @@
+import fs from 'fs';
+
+/**
+ * Compliance scoring for policy overviews.
+ *
+ * A rule checks one setting of a getComprehensivePolicyOverview result, addressed by a
+ * dotted path (e.g. securitySettings.twoFactorRequirementEnabled), against `equals`,
+ * `notEquals` or `oneOf`. Rules can be limited to organizations where another setting
+ * holds with `when` (same operators). Each rule's weight comes from its severity unless
+ * it sets `weight` itself.
+ */
+
+export const SEVERITY_WEIGHTS = {
+    critical: 20,
+    high: 15,
+    medium: 10,
+    low: 5
+};
+
+export const DEFAULT_COMPLIANCE_RULES = [
+    {
+        id: 'two-factor-required',
+        title: 'Two-factor authentication is required for members',
+        severity: 'critical',
+        setting: 'securitySettings.twoFactorRequirementEnabled',
+        equals: true,
+        remediation: 'Require two-factor authentication under Organization settings → Authentication security'
+    },
+    {
+        id: 'no-public-repository-creation',
+        title: 'Members cannot create public repositories',
+        severity: 'high',
+        setting: 'securitySettings.membersCanCreatePublicRepositories',
+        equals: false,
+        remediation: 'Set members_can_create_public_repositories to false (ghtk policy apply)'
+    },
+    {
+        id: 'default-permission-read',
+        title: 'Base repository permission is read or none',
+        severity: 'medium',
+        setting: 'organizationPolicies.membershipPolicies.defaultRepositoryPermission',
+        oneOf: ['read', 'none'],
+        remediation: 'Set default_repository_permission to read (ghtk policy apply)'
+    },
+    {
+        id: 'dependency-graph-new-repositories',
+        title: 'Dependency graph is enabled for new repositories',
+        severity: 'medium',
+        setting: 'securitySettings.dependencyGraphEnabledForNewRepositories',
+        equals: true,
+        remediation: 'Set dependency_graph_enabled_for_new_repositories to true (ghtk policy apply)'
+    },
+    {
+        id: 'dependabot-alerts-new-repositories',
+        title: 'Dependabot alerts are enabled for new repositories',
+        severity: 'high',
+        setting: 'securitySettings.dependabotAlertsEnabledForNewRepositories',
+        equals: true,
+        remediation: 'Set dependabot_alerts_enabled_for_new_repositories to true (ghtk policy apply)'
+    },
+    {
+        id: 'dependabot-security-updates-new-repositories',
+        title: 'Dependabot security updates are enabled for new repositories',
+        severity: 'medium',
+        setting: 'securitySettings.dependabotSecurityUpdatesEnabledForNewRepositories',
+        equals: true,
+        remediation: 'Set dependabot_security_updates_enabled_for_new_repositories to true (ghtk policy apply)'
+    },
+    {
+        id: 'advanced-security-new-repositories',
+        title: 'GitHub Advanced Security is enabled for new repositories',
+        severity: 'high',
+        setting: 'securitySettings.advancedSecurityEnabledForNewRepositories',
+        equals: true,
+        remediation: 'Set advanced_security_enabled_for_new_repositories to true (requires a GitHub Advanced Security licence)'
+    },
+    {
+        id: 'secret-scanning-new-repositories',
+        title: 'Secret scanning is enabled for new repositories',
+        severity: 'high',
+        setting: 'securitySettings.secretScanningEnabledForNewRepositories',
+        equals: true,
+        remediation: 'Set secret_scanning_enabled_for_new_repositories to true (ghtk policy apply)'
+    },
+    {
+        id: 'push-protection-new-repositories',
+        title: 'Secret scanning push protection is enabled for new repositories',
+        severity: 'high',
+        setting: 'securitySettings.secretScanningPushProtectionEnabledForNewRepositories',
+        equals: true,
+        remediation: 'Set secret_scanning_push_protection_enabled_for_new_repositories to true (ghtk policy apply)'
+    },
+    {
+        id: 'no-private-forking',
+        title: 'Members cannot fork private repositories',
+        severity: 'low',
+        setting: 'organizationPolicies.membershipPolicies.membersCanForkPrivateRepositories',
+        equals: false,
+        remediation: 'Set members_can_fork_private_repositories to false (ghtk policy apply)'
+    },
+    {
+        id: 'web-commit-signoff',
+        title: 'Web-based commits require sign-off',
+        severity: 'low',
+        setting: 'securitySettings.webCommitSignoffRequired',
+        equals: true,
+        remediation: 'Set web_commit_signoff_required to true (ghtk policy apply)'
+    },
+    {
+        id: 'default-branch-protection',
+        title: 'Default branches meet the branch protection baseline',
+        severity: 'high',
+        setting: 'branchProtection.summary.deviating',
+        equals: 0,
+        when: { setting: 'branchProtection.audited', equals: true },
+        remediation: 'Protect default branches with an organization ruleset (ghtk policy branches --create-ruleset)'
+    },
+    {
+        id: 'copilot-public-code-blocked',
+        title: 'Copilot suggestions matching public code are blocked',
+        severity: 'medium',
+        setting: 'copilotSettings.publicCodeSuggestions',
+        equals: 'block',
+        when: { setting: 'copilotSettings.enabled', equals: true },
+        remediation: 'Block suggestions matching public code under Organization settings → Copilot → Policies'
+    },
+    {
+        id: 'copilot-selected-seats',
+        title: 'Copilot seats are assigned to selected members only',
+        severity: 'low',
+        setting: 'copilotSettings.seatManagement',
+        equals: 'assign_selected',
+        when: { setting: 'copilotSettings.enabled', equals: true },
+        remediation: 'Assign Copilot seats to selected teams or members instead of everyone under Organization settings → Copilot → Access'
+    }
+];
+
+/**
+ * Check that a rule is well formed
+ * @param {Object} rule - Compliance rule
+ * @param {string} source - Where the rule comes from (for error messages)
+ * @returns {Object} The rule
+ */
+export function validateComplianceRule(rule, source = 'rules') {
+    const label = `${source}: rule ${rule?.id || '(without id)'}`;
+
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+        throw new Error(`${label} needs an id`);
+    }
+    if (typeof rule.setting !== 'string' || !rule.setting) {
+        throw new Error(`${label} needs a setting path`);
+    }
+    if (!(rule.severity in SEVERITY_WEIGHTS)) {
+        throw new Error(`${label}: severity must be one of ${Object.keys(SEVERITY_WEIGHTS).join(', ')}`);
+    }
+    if (rule.weight !== undefined && !(Number.isFinite(rule.weight) && rule.weight >= 0)) {
+        throw new Error(`${label}: weight must be a number of 0 or more`);
+    }
+    [rule, rule.when].filter(Boolean).forEach(condition => {
+        const operators = ['equals', 'notEquals', 'oneOf'].filter(operator => operator in condition);
+        if (operators.length !== 1) {
+            throw new Error(`${label}: use exactly one of equals, notEquals or oneOf${condition === rule.when ? ' in when' : ''}`);
+        }
+        if ('oneOf' in condition && !Array.isArray(condition.oneOf)) {
+            throw new Error(`${label}: oneOf must be a list`);
+        }
+    });
+    if (rule.when && typeof rule.when.setting !== 'string') {
+        throw new Error(`${label}: when needs a setting path`);
+    }
+
+    return rule;
+}
+
+/**
+ * Load custom compliance rules (JSON) and merge them with the built-in catalog.
+ * The file holds { rules, disable, replaceDefaults }: rules with a built-in id replace it,
+ * disable lists built-in ids to drop, and replaceDefaults: true uses the file's rules only.
+ * @param {string} filePath - Rules file
+ * @returns {Object[]} Rules
+ */
+export function loadComplianceRules(filePath) {
+    let file;
+    try {
+        file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read compliance rules ${filePath}: ${error.message}`);
+    }
+
+    const custom = (file.rules || []).map(rule => validateComplianceRule(rule, filePath));
+    const disabled = new Set(file.disable || []);
+    const customIds = new Set(custom.map(rule => rule.id));
+
+    const defaults = file.replaceDefaults ? [] : DEFAULT_COMPLIANCE_RULES.filter(rule => !disabled.has(rule.id) && !customIds.has(rule.id));
+    return [...defaults, ...custom];
+}
+
+/**
+ * Score a policy overview against compliance rules
+ * @param {Object} overview - Result of getComprehensivePolicyOverview (without compliance)
+ * @param {Object[]} rules - Rules (defaults to DEFAULT_COMPLIANCE_RULES)
+ * @returns {Object} Compliance ({ score, coverage, earned, possible, findings, summary })
+ */
+export function evaluateCompliance(overview, rules = DEFAULT_COMPLIANCE_RULES) {
+    const findings = rules.map(rule => {
+        const weight = rule.weight ?? SEVERITY_WEIGHTS[rule.severity];
+        const finding = {
+            id: rule.id,
+            title: rule.title || rule.id,
+            severity: rule.severity,
+            weight,
+            setting: rule.setting,
+            expected: describeExpectation(rule),
+            actual: readSetting(overview, rule.setting) ?? null,
+            remediation: rule.remediation || ''
+        };
+
+        if (rule.when && !conditionHolds(rule.when, readSetting(overview, rule.when.setting))) {
+            finding.status = 'not-applicable';
+        } else if (finding.actual === null || finding.actual === 'unknown') {
+            // The setting is hidden from the App (missing permission) or not offered on the plan;
+            // getCopilotSettings reports an unreadable public code policy as 'unknown'
+            finding.status = 'unknown';
+        } else {
+            finding.status = conditionHolds(rule, finding.actual) ? 'pass' : 'fail';
+        }
+        return finding;
+    });
+
+    // Unknown findings count against the score, so a missing permission never reads as compliance
+    const applicable = findings.filter(finding => finding.status !== 'not-applicable');
+    const evaluated = applicable.filter(finding => finding.status !== 'unknown');
+    const possible = applicable.reduce((sum, finding) => sum + finding.weight, 0);
+    const earned = applicable.filter(finding => finding.status === 'pass').reduce((sum, finding) => sum + finding.weight, 0);
+
+    const count = status => findings.filter(finding => finding.status === status).length;
+    const failedBySeverity = Object.fromEntries(Object.keys(SEVERITY_WEIGHTS).map(severity => [
+        severity,
+        findings.filter(finding => finding.status === 'fail' && finding.severity === severity).length
+    ]));
+
+    return {
+        score: possible > 0 ? Math.round((earned / possible) * 100) : null,
+        // Share of the applicable rules whose setting could be read
+        coverage: applicable.length > 0 ? Math.round((evaluated.length / applicable.length) * 100) : null,
+        earned,
+        possible,
+        findings,
+        summary: {
+            rules: findings.length,
+            passed: count('pass'),
+            failed: count('fail'),
+            unknown: count('unknown'),
+            evaluated: evaluated.length,
+            applicable: applicable.length,
+            notApplicable: count('not-applicable'),
+            failedBySeverity
+        }
+    };
+}
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} object - Source object
+ * @param {string} settingPath - Dotted path
+ * @returns {*} Value, or undefined when any part is missing
+ */
+function readSetting(object, settingPath) {
+    return settingPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+/**
+ * Test a value against a rule or when-condition
+ * @param {Object} condition - { equals } | { notEquals } | { oneOf }
+ * @param {*} value - Value
+ * @returns {boolean} True when the condition holds
+ */
+function conditionHolds(condition, value) {
+    if ('equals' in condition) return value === condition.equals;
+    if ('notEquals' in condition) return value !== condition.notEquals;
+    return condition.oneOf.includes(value);
+}
+
+/**
+ * Describe what a rule expects, for reports
+ * @param {Object} rule - Rule
+ * @returns {string} Description
+ */
+function describeExpectation(rule) {
+    if ('equals' in rule) return String(rule.equals);
+    if ('notEquals' in rule) return `not ${rule.notEquals}`;
+    return `one of ${rule.oneOf.join(', ')}`;
+}
@@ -0,0 +1,731 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv } from '../auth/client-factory.js';
+import GitHubCopilotMetrics from './GHCP-metrics.js';
+import { assertFreshPlan } from './plan-freshness.js';
+
+// Used to detect when this module is executed directly
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monthly list price per seat in USD, by Copilot plan type
+const SEAT_PRICES = {
+    business: 19,
+    enterprise: 39
+};
+
+/**
+ * Copilot seat management: inactivity analysis and seat reclamation.
+ * Extends GitHubCopilotMetrics to reuse its client setup and seat listing.
+ */
+class GitHubCopilotSeatManagement extends GitHubCopilotMetrics {
+    /**
+     * Assign Copilot seats to users
+     * @param {string} org - Organization name
+     * @param {string[]} logins - GitHub usernames
+     * @returns {Promise<Object>} { seatsCreated }
+     */
+    async addCopilotSeatsForUsers(org, logins) {
+        try {
+            await this.ensureInitialized();
+            console.log(`➕ Assigning Copilot seats in ${org} to: ${logins.join(', ')}`);
+
+            const response = await this.octokit.request('POST /orgs/{org}/copilot/billing/selected_users', {
+                org,
+                selected_users: logins,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            return { seatsCreated: response.data.seats_created || 0 };
+        } catch (error) {
+            console.error(`❌ Failed to assign Copilot seats in ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove Copilot seats from users (seats are cancelled at the end of the billing cycle)
+     * @param {string} org - Organization name
+     * @param {string[]} logins - GitHub usernames
+     * @returns {Promise<Object>} { seatsCancelled }
+     */
+    async removeCopilotSeatsForUsers(org, logins) {
+        try {
+            await this.ensureInitialized();
+            console.log(`➖ Removing Copilot seats in ${org} from: ${logins.join(', ')}`);
+
+            const response = await this.octokit.request('DELETE /orgs/{org}/copilot/billing/selected_users', {
+                org,
+                selected_users: logins,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            return { seatsCancelled: response.data.seats_cancelled || 0 };
+        } catch (error) {
+            console.error(`❌ Failed to remove Copilot seats in ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign Copilot seats to every member of the given teams
+     * @param {string} org - Organization name
+     * @param {string[]} teamSlugs - Team slugs
+     * @returns {Promise<Object>} { seatsCreated }
+     */
+    async addCopilotSeatsForTeams(org, teamSlugs) {
+        try {
+            await this.ensureInitialized();
+            console.log(`➕ Assigning Copilot seats in ${org} to teams: ${teamSlugs.join(', ')}`);
+
+            const response = await this.octokit.request('POST /orgs/{org}/copilot/billing/selected_teams', {
+                org,
+                selected_teams: teamSlugs,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            return { seatsCreated: response.data.seats_created || 0 };
+        } catch (error) {
+            console.error(`❌ Failed to assign Copilot seats to teams in ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the Copilot seat assignment of the given teams
+     * @param {string} org - Organization name
+     * @param {string[]} teamSlugs - Team slugs
+     * @returns {Promise<Object>} { seatsCancelled }
+     */
+    async removeCopilotSeatsForTeams(org, teamSlugs) {
+        try {
+            await this.ensureInitialized();
+            console.log(`➖ Removing Copilot seats in ${org} from teams: ${teamSlugs.join(', ')}`);
+
+            const response = await this.octokit.request('DELETE /orgs/{org}/copilot/billing/selected_teams', {
+                org,
+                selected_teams: teamSlugs,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            return { seatsCancelled: response.data.seats_cancelled || 0 };
+        } catch (error) {
+            console.error(`❌ Failed to remove Copilot seats from teams in ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the logins of all members of a team (handles pagination)
+     * @param {string} org - Organization name
+     * @param {string} teamSlug - Team slug
+     * @returns {Promise<string[]>} Member logins
+     */
+    async getTeamMemberLogins(org, teamSlug) {
+        try {
+            await this.ensureInitialized();
+            const members = await this.octokit.paginate('GET /orgs/{org}/teams/{team_slug}/members', {
+                org,
+                team_slug: teamSlug,
+                per_page: 100
+            });
+            return members.map(member => member.login);
+        } catch (error) {
+            console.error(`❌ Failed to fetch members of team ${org}/${teamSlug}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Analyze Copilot seats for inactivity
+     * @param {string} org - Organization name
+     * @param {Object} options - Analysis options
+     * @param {number} options.inactiveDays - Days without activity before a seat counts as inactive
+     * @param {Date} options.now - Reference date (defaults to now)
+     * @returns {Promise<Object>} Inactivity analysis
+     */
+    async analyzeSeatInactivity(org, options = {}) {
+        try {
+            const { inactiveDays = 30, now = new Date() } = options;
+
+            console.log(`🔍 Analyzing Copilot seat inactivity for ${org} (threshold: ${inactiveDays} days)`);
+
+            const seats = (await this.getAllCopilotSeatsForOrg(org)).filter(seat => seat.assignee?.login);
+            const cutoff = now.getTime() - inactiveDays * DAY_MS;
+
+            const analysis = {
+                organization: org,
+                analyzedAt: now.toISOString(),
+                thresholdDays: inactiveDays,
+                totals: {
+                    seats: seats.length,
+                    active: 0,
+                    inactive: 0,
+                    neverUsed: 0,
+                    pendingCancellation: 0
+                },
+                inactive: [],
+                neverUsed: [],
+                pendingCancellation: []
+            };
+
+            seats.forEach(seat => {
+                const entry = describeSeat(seat, now);
+
+                if (seat.pending_cancellation_date) {
+                    analysis.pendingCancellation.push(entry);
+                } else if (!seat.last_activity_at) {
+                    // Seats assigned inside the threshold have not had a chance to be used yet
+                    entry.withinGracePeriod = new Date(seat.created_at).getTime() > cutoff;
+                    analysis.neverUsed.push(entry);
+                } else if (new Date(seat.last_activity_at).getTime() < cutoff) {
+                    analysis.inactive.push(entry);
+                } else {
+                    analysis.totals.active++;
+                }
+            });
+
+            analysis.totals.inactive = analysis.inactive.length;
+            analysis.totals.neverUsed = analysis.neverUsed.length;
+            analysis.totals.pendingCancellation = analysis.pendingCancellation.length;
+
+            console.log(`✅ ${analysis.totals.active} active, ${analysis.totals.inactive} inactive, ${analysis.totals.neverUsed} never used, ${analysis.totals.pendingCancellation} pending cancellation`);
+
+            return analysis;
+        } catch (error) {
+            console.error(`❌ Failed to analyze seat inactivity for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Build a seat reclamation plan (dry-run preview).
+     * Nothing is removed; pass the returned plan to applySeatReclamation.
+     * @param {string} org - Organization name
+     * @param {Object} options - Plan options
+     * @param {number} options.inactiveDays - Inactivity threshold in days
+     * @param {string[]} options.allowList - Logins that must never be removed
+     * @param {boolean} options.includeNeverUsed - Reclaim seats that were never used (outside the grace period)
+     * @returns {Promise<Object>} Reclamation plan
+     */
+    async planSeatReclamation(org, options = {}) {
+        const { inactiveDays = 30, allowList = [], includeNeverUsed = true } = options;
+
+        const analysis = await this.analyzeSeatInactivity(org, { inactiveDays });
+        const protectedLogins = allowList.map(login => login.toLowerCase());
+
+        const candidates = [];
+        const skipped = [];
+
+        const consider = entry => {
+            if (protectedLogins.includes(entry.login.toLowerCase())) {
+                skipped.push({ ...entry, skipReason: 'allow-listed' });
+            } else if (entry.assigningTeam) {
+                // Team-assigned seats can only be removed by removing the team assignment
+                skipped.push({ ...entry, skipReason: `assigned through team ${entry.assigningTeam}` });
+            } else {
+                candidates.push(entry);
+            }
+        };
+
+        analysis.inactive.forEach(consider);
+        if (includeNeverUsed) {
+            analysis.neverUsed.filter(entry => !entry.withinGracePeriod).forEach(consider);
+        }
+        analysis.pendingCancellation.forEach(entry => skipped.push({ ...entry, skipReason: 'already pending cancellation' }));
+
+        const plan = {
+            organization: org,
+            dryRun: true,
+            plannedAt: new Date().toISOString(),
+            thresholdDays: inactiveDays,
+            includeNeverUsed,
+            allowList,
+            candidates,
+            skipped
+        };
+
+        this.printReclamationPlan(plan);
+
+        return plan;
+    }
+
+    /**
+     * Current Copilot seats of an organization keyed by lower-cased assignee login
+     * @param {string} org - Organization name
+     * @returns {Promise<Map>} Login -> seat
+     */
+    async getSeatsByLogin(org) {
+        return new Map((await this.getAllCopilotSeatsForOrg(org))
+            .filter(seat => seat.assignee?.login)
+            .map(seat => [seat.assignee.login.toLowerCase(), seat]));
+    }
+
+    /**
+     * Remove the seats listed in a reclamation plan and write a record of what was removed.
+     * Only logins from a plan produced by planSeatReclamation are removed; users on the caller's
+     * allow-list or active since the plan was made keep their seat. When GitHub cancels fewer seats
+     * than requested, the seats are read again and those still assigned are listed as notCancelled.
+     * @param {Object} plan - Plan from planSeatReclamation
+     * @param {Object} options - Apply options
+     * @param {number} options.maxPlanAgeHours - Refuse plans older than this
+     * @param {string[]} options.allowList - Logins that must never be removed (combined with the plan's allow-list)
+     * @returns {Promise<Object>} Reclamation record
+     */
+    async applySeatReclamation(plan, options = {}) {
+        const { maxPlanAgeHours = 24, allowList = [] } = options;
+
+        if (!plan || !plan.dryRun || !Array.isArray(plan.candidates)) {
+            throw new Error('applySeatReclamation requires a plan from planSeatReclamation (dry-run preview)');
+        }
+
+        assertFreshPlan(plan, maxPlanAgeHours, 'Reclamation plan');
+
+        const org = plan.organization;
+
+        try {
+            await this.ensureInitialized();
+
+            // The caller's allow-list applies even if the plan file was edited to drop its own
+            const protectedLogins = [...allowList, ...(plan.allowList || [])].map(login => login.toLowerCase());
+
+            // Seats used since the preview are no longer inactive
+            const plannedAt = new Date(plan.plannedAt).getTime();
+            const seats = await this.getSeatsByLogin(org);
+
+            const skipped = [];
+            const logins = plan.candidates
+                .map(entry => entry.login)
+                .filter(login => {
+                    const seat = seats.get(login.toLowerCase());
+                    const activity = seat?.last_activity_at;
+                    if (protectedLogins.includes(login.toLowerCase())) {
+                        skipped.push({ login, skipReason: 'allow-listed' });
+                        return false;
+                    }
+                    if (seat?.pending_cancellation_date) {
+                        skipped.push({ login, skipReason: `already pending cancellation (${seat.pending_cancellation_date})` });
+                        return false;
+                    }
+                    if (seat?.assigning_team) {
+                        skipped.push({ login, skipReason: `assigned through team ${seat.assigning_team.slug}` });
+                        return false;
+                    }
+                    if (activity && new Date(activity).getTime() > plannedAt) {
+                        skipped.push({ login, skipReason: `active since the plan was made (${activity})` });
+                        return false;
+                    }
+                    return true;
+                });
+            const record = {
+                organization: org,
+                appliedAt: new Date().toISOString(),
+                plannedAt: plan.plannedAt,
+                thresholdDays: plan.thresholdDays,
+                requested: logins.length,
+                seatsCancelled: 0,
+                removed: [],
+                notCancelled: [],
+                skipped,
+                failed: []
+            };
+
+            console.log(`🗑️ Removing ${logins.length} Copilot seats from ${org}`);
+
+            // Batches GitHub cancelled in full are removed; the rest are checked against the seats afterwards
+            const unconfirmed = [];
+            for (let i = 0; i < logins.length; i += 100) {
+                const batch = logins.slice(i, i + 100);
+                try {
+                    const { seatsCancelled } = await this.removeCopilotSeatsForUsers(org, batch);
+                    record.seatsCancelled += seatsCancelled;
+                    const entries = plan.candidates.filter(entry => batch.includes(entry.login));
+                    (seatsCancelled >= batch.length ? record.removed : unconfirmed).push(...entries);
+                } catch (error) {
+                    console.error(`❌ Failed to remove seats batch starting at ${batch[0]}:`, error.message);
+                    record.failed.push(...batch.map(login => ({ login, error: error.message })));
+                }
+            }
+
+            if (unconfirmed.length > 0) {
+                const remaining = await this.getSeatsByLogin(org);
+                unconfirmed.forEach(entry => {
+                    const seat = remaining.get(entry.login.toLowerCase());
+                    if (!seat || seat.pending_cancellation_date) {
+                        record.removed.push(entry);
+                    } else {
+                        record.notCancelled.push({ ...entry, reason: 'seat still assigned after the cancellation request' });
+                    }
+                });
+                if (record.notCancelled.length > 0) {
+                    console.warn(`⚠️ ${record.notCancelled.length} seat(s) were not cancelled: ${record.notCancelled.map(entry => entry.login).join(', ')}`);
+                }
+            }
+
+            const timestamp = record.appliedAt.replace(/[:.]/g, '-');
+            record.recordFile = await this.exportReportToFile(record, `copilot-seat-reclamation-${org}-${timestamp}.json`);
+
+            console.log(`✅ Cancelled ${record.seatsCancelled} seats (${record.notCancelled.length} not cancelled, ${record.failed.length} failed)`);
+
+            return record;
+        } catch (error) {
+            console.error(`❌ Failed to reclaim seats for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Estimate the monthly cost impact of a seat change using the billing seat_breakdown
+     * @param {string} org - Organization name
+     * @param {number} seatsAdded - Seats that would be created
+     * @param {number} seatsRemoved - Seats that would be cancelled
+     * @param {number} seatPrice - Monthly price per seat (defaults to the list price of the plan)
+     * @returns {Promise<Object>} Cost impact
+     */
+    async estimateSeatCostImpact(org, seatsAdded, seatsRemoved, seatPrice = null) {
+        const billing = await this.getCopilotBillingForOrg(org);
+        const breakdown = billing.seat_breakdown || {};
+        const price = seatPrice ?? SEAT_PRICES[billing.plan_type] ?? SEAT_PRICES.business;
+
+        // Seats pending cancellation stop being billed at the end of the cycle
+        const currentSeats = (breakdown.total || 0) - (breakdown.pending_cancellation || 0);
+        const projectedSeats = Math.max(0, currentSeats + seatsAdded - seatsRemoved);
+
+        return {
+            planType: billing.plan_type || 'unknown',
+            seatPrice: price,
+            seatBreakdown: breakdown,
+            currentSeats,
+            seatsAdded,
+            seatsRemoved,
+            projectedSeats,
+            currentMonthlyCost: currentSeats * price,
+            projectedMonthlyCost: projectedSeats * price,
+            monthlyCostChange: (projectedSeats - currentSeats) * price
+        };
+    }
+
+    /**
+     * Read the live seats of an organization
+     * @param {string} org - Organization name
+     * @returns {Promise<Object>} { seats, seated, directlySeated } - Seats, and lowercased logins holding
+     *   any seat or a direct (not team, not pending cancellation) seat
+     */
+    async getSeatState(org) {
+        const seats = await this.getAllCopilotSeatsForOrg(org);
+
+        return {
+            seats,
+            seated: new Set(seats.map(seat => seat.assignee?.login?.toLowerCase()).filter(Boolean)),
+            directlySeated: new Set(seats
+                .filter(seat => !seat.assigning_team && !seat.pending_cancellation_date)
+                .map(seat => seat.assignee?.login?.toLowerCase())
+                .filter(Boolean))
+        };
+    }
+
+    /**
+     * Plan a seat assignment change and report its cost impact (dry-run preview).
+     * Nothing is changed; pass the returned plan to applySeatAssignment.
+     * @param {string} org - Organization name
+     * @param {Object} changes - Requested changes
+     * @param {string[]} changes.addUsers - Users to assign seats to
+     * @param {string[]} changes.removeUsers - Users to remove seats from
+     * @param {string[]} changes.addTeams - Teams to assign seats to
+     * @param {string[]} changes.removeTeams - Teams to remove the seat assignment from
+     * @param {Object} options - Plan options
+     * @param {number} options.seatPrice - Monthly price per seat
+     * @returns {Promise<Object>} Seat assignment plan
+     */
+    async planSeatAssignment(org, changes = {}, options = {}) {
+        const { addUsers = [], removeUsers = [], addTeams = [], removeTeams = [] } = changes;
+
+        try {
+            const { seats, seated, directlySeated } = await this.getSeatState(org);
+
+            // Work out which requested changes would actually create or cancel seats
+            const newSeats = new Set(addUsers.filter(login => !seated.has(login.toLowerCase())).map(login => login.toLowerCase()));
+            for (const teamSlug of addTeams) {
+                const members = await this.getTeamMemberLogins(org, teamSlug);
+                members.filter(login => !seated.has(login.toLowerCase())).forEach(login => newSeats.add(login.toLowerCase()));
+            }
+
+            const cancelledSeats = new Set(removeUsers.filter(login => directlySeated.has(login.toLowerCase())).map(login => login.toLowerCase()));
+            const removedTeams = removeTeams.map(slug => slug.toLowerCase());
+            seats
+                .filter(seat => seat.assigning_team && removedTeams.includes(seat.assigning_team.slug.toLowerCase()))
+                .forEach(seat => cancelledSeats.add(seat.assignee.login.toLowerCase()));
+
+            const costImpact = await this.estimateSeatCostImpact(org, newSeats.size, cancelledSeats.size, options.seatPrice);
+
+            const plan = {
+                organization: org,
+                dryRun: true,
+                plannedAt: new Date().toISOString(),
+                changes: { addUsers, removeUsers, addTeams, removeTeams },
+                seatsToCreate: [...newSeats],
+                seatsToCancel: [...cancelledSeats],
+                costImpact
+            };
+
+            this.printSeatAssignmentPlan(plan);
+
+            return plan;
+        } catch (error) {
+            console.error(`❌ Failed to plan seat assignment for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Plan a sync of direct seat assignments to the membership of a designated team.
+     * Members without a seat get one; directly assigned users outside the team lose theirs.
+     * Seats assigned through other teams are left untouched.
+     * @param {string} org - Organization name
+     * @param {string} teamSlug - Team whose members should hold seats
+     * @param {Object} options - Plan options
+     * @param {string[]} options.allowList - Users that keep their seat even outside the team
+     * @param {number} options.seatPrice - Monthly price per seat
+     * @returns {Promise<Object>} Seat assignment plan
+     */
+    async planTeamSeatSync(org, teamSlug, options = {}) {
+        const { allowList = [] } = options;
+
+        try {
+            console.log(`🔄 Planning Copilot seat sync for ${org} to team ${teamSlug}`);
+
+            const [members, seats] = await Promise.all([
+                this.getTeamMemberLogins(org, teamSlug),
+                this.getAllCopilotSeatsForOrg(org)
+            ]);
+
+            const memberSet = new Set(members.map(login => login.toLowerCase()));
+            const protectedLogins = allowList.map(login => login.toLowerCase());
+            const seated = new Set(seats.map(seat => seat.assignee?.login?.toLowerCase()).filter(Boolean));
+
+            const addUsers = members.filter(login => !seated.has(login.toLowerCase()));
+            const removeUsers = seats
+                .filter(seat => seat.assignee?.login && !seat.assigning_team && !seat.pending_cancellation_date)
+                .map(seat => seat.assignee.login)
+                .filter(login => !memberSet.has(login.toLowerCase()) && !protectedLogins.includes(login.toLowerCase()));
+
+            const plan = await this.planSeatAssignment(org, { addUsers, removeUsers }, options);
+            plan.syncTeam = teamSlug;
+            plan.allowList = allowList;
+
+            return plan;
+        } catch (error) {
+            console.error(`❌ Failed to plan seat sync for ${org}/${teamSlug}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a seat assignment plan from planSeatAssignment or planTeamSeatSync.
+     * Users are only added or removed when the plan counted their seat in seatsToCreate or
+     * seatsToCancel, and the live seats are read again before each call: users seated since the
+     * preview are not added, and users without a direct seat are not removed.
+     * @param {Object} plan - Seat assignment plan
+     * @param {Object} options - Apply options
+     * @param {number} options.maxPlanAgeHours - Refuse plans older than this
+     * @returns {Promise<Object>} Result per operation
+     */
+    async applySeatAssignment(plan, options = {}) {
+        const { maxPlanAgeHours = 24 } = options;
+
+        if (!plan || !plan.dryRun || !plan.changes || !plan.costImpact || !Array.isArray(plan.seatsToCreate) || !Array.isArray(plan.seatsToCancel)) {
+            throw new Error('applySeatAssignment requires a plan from planSeatAssignment or planTeamSeatSync');
+        }
+
+        assertFreshPlan(plan, maxPlanAgeHours, 'Seat assignment plan');
+
+        const org = plan.organization;
+        const { addUsers = [], removeUsers = [], addTeams = [], removeTeams = [] } = plan.changes;
+        const seatsToCreate = new Set(plan.seatsToCreate.map(login => login.toLowerCase()));
+        const seatsToCancel = new Set(plan.seatsToCancel.map(login => login.toLowerCase()));
+
+        // Each user check returns a skip reason, or null when the call should go ahead
+        const operations = [
+            {
+                type: 'addUsers',
+                requested: addUsers,
+                check: (login, state) => {
+                    if (!seatsToCreate.has(login.toLowerCase())) return 'not a seat to create in the plan';
+                    return state.seated.has(login.toLowerCase()) ? 'already has a seat' : null;
+                },
+                run: targets => this.addCopilotSeatsForUsers(org, targets)
+            },
+            {
+                type: 'removeUsers',
+                requested: removeUsers,
+                check: (login, state) => {
+                    if (!seatsToCancel.has(login.toLowerCase())) return 'not a seat to cancel in the plan';
+                    return state.directlySeated.has(login.toLowerCase()) ? null : 'no directly assigned seat';
+                },
+                run: targets => this.removeCopilotSeatsForUsers(org, targets)
+            },
+            { type: 'addTeams', requested: addTeams, run: targets => this.addCopilotSeatsForTeams(org, targets) },
+            { type: 'removeTeams', requested: removeTeams, run: targets => this.removeCopilotSeatsForTeams(org, targets) }
+        ];
+
+        const result = {
+            organization: org,
+            appliedAt: new Date().toISOString(),
+            costImpact: plan.costImpact,
+            operations: []
+        };
+
+        for (const operation of operations) {
+            if (operation.requested.length === 0) continue;
+
+            let targets = operation.requested;
+            const skipped = [];
+            try {
+                if (operation.check) {
+                    const state = await this.getSeatState(org);
+                    targets = operation.requested.filter(login => {
+                        const skipReason = operation.check(login, state);
+                        if (skipReason) skipped.push({ login, skipReason });
+                        return !skipReason;
+                    });
+                }
+
+                const data = targets.length > 0 ? await operation.run(targets) : {};
+                result.operations.push({ type: operation.type, targets, skipped, success: true, ...data });
+            } catch (error) {
+                result.operations.push({ type: operation.type, targets, skipped, success: false, error: error.message });
+            }
+        }
+
+        result.success = result.operations.every(operation => operation.success);
+
+        console.log(`${result.success ? '✅' : '⚠️'} Applied seat assignment changes for ${org}`);
+
+        return result;
+    }
+
+    /**
+     * Print a seat assignment plan preview with its cost impact
+     * @param {Object} plan - Plan from planSeatAssignment
+     */
+    printSeatAssignmentPlan(plan) {
+        const cost = plan.costImpact;
+        const sign = cost.monthlyCostChange >= 0 ? '+' : '-';
+
+        console.log('\n💺 COPILOT SEAT ASSIGNMENT PREVIEW (dry run)');
+        console.log('=====================================');
+        console.log(`Organization: ${plan.organization}`);
+        if (plan.changes.addUsers.length > 0) console.log(`Add users: ${plan.changes.addUsers.join(', ')}`);
+        if (plan.changes.removeUsers.length > 0) console.log(`Remove users: ${plan.changes.removeUsers.join(', ')}`);
+        if (plan.changes.addTeams.length > 0) console.log(`Add teams: ${plan.changes.addTeams.join(', ')}`);
+        if (plan.changes.removeTeams.length > 0) console.log(`Remove teams: ${plan.changes.removeTeams.join(', ')}`);
+
+        console.log('\n💰 Cost Impact:');
+        console.log(`  Plan: ${cost.planType} ($${cost.seatPrice}/seat/month)`);
+        console.log(`  Seats: ${cost.currentSeats} → ${cost.projectedSeats} (+${cost.seatsAdded} / -${cost.seatsRemoved})`);
+        console.log(`  Monthly cost: $${cost.currentMonthlyCost} → $${cost.projectedMonthlyCost} (${sign}$${Math.abs(cost.monthlyCostChange)})`);
+        console.log('=====================================\n');
+    }
+
+    /**
+     * Print a reclamation plan preview
+     * @param {Object} plan - Plan from planSeatReclamation
+     */
+    printReclamationPlan(plan) {
+        console.log('\n💺 COPILOT SEAT RECLAMATION PREVIEW (dry run)');
+        console.log('=====================================');
+        console.log(`Organization: ${plan.organization}`);
+        console.log(`Inactivity threshold: ${plan.thresholdDays} days`);
+        console.log(`Seats to remove: ${plan.candidates.length}`);
+
+        plan.candidates.forEach(entry => {
+            const lastActivity = entry.lastActivityAt ? `${entry.daysInactive} days ago (${entry.lastActivityEditor || 'unknown editor'})` : 'never';
+            console.log(`  - ${entry.login}: last activity ${lastActivity}`);
+        });
+
+        if (plan.skipped.length > 0) {
+            console.log(`\nSkipped: ${plan.skipped.length}`);
+            plan.skipped.forEach(entry => {
+                console.log(`  - ${entry.login}: ${entry.skipReason}`);
+            });
+        }
+        console.log('=====================================\n');
+    }
+}
+
+/**
+ * Flatten a seat from the API into an analysis entry
+ * @param {Object} seat - Seat from the Copilot billing seats endpoint
+ * @param {Date} now - Reference date
+ * @returns {Object} Seat entry
+ */
+function describeSeat(seat, now) {
+    const lastActivity = seat.last_activity_at ? new Date(seat.last_activity_at) : null;
+
+    return {
+        login: seat.assignee?.login,
+        createdAt: seat.created_at,
+        lastActivityAt: seat.last_activity_at || null,
+        lastActivityEditor: seat.last_activity_editor || null,
+        daysInactive: lastActivity ? Math.floor((now.getTime() - lastActivity.getTime()) / DAY_MS) : null,
+        assigningTeam: seat.assigning_team?.slug || null,
+        pendingCancellationDate: seat.pending_cancellation_date || null
+    };
+}
+
+export default GitHubCopilotSeatManagement;
+
+// Example usage
+async function main() {
+    const config = {
+        auth: authOptionsFromEnv(),
+        organization: process.env.GITHUB_ORG || 'your-org-name',
+        inactiveDays: Number(process.env.COPILOT_INACTIVE_DAYS || 30),
+        allowList: (process.env.COPILOT_SEAT_ALLOWLIST || '').split(',').map(login => login.trim()).filter(Boolean),
+        apply: process.env.COPILOT_RECLAIM_APPLY === 'true'
+    };
+
+    console.log('Starting Copilot seat reclamation...');
+
+    try {
+        const seatManager = new GitHubCopilotSeatManagement(config.auth);
+
+        // Always preview first
+        const plan = await seatManager.planSeatReclamation(config.organization, {
+            inactiveDays: config.inactiveDays,
+            allowList: config.allowList
+        });
+
+        if (!config.apply) {
+            console.log('Dry run only. Set COPILOT_RECLAIM_APPLY=true to remove the seats listed above.');
+            return;
+        }
+
+        const record = await seatManager.applySeatReclamation(plan, { allowList: config.allowList });
+        console.log(`Reclamation record written to: ${record.recordFile}`);
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
@@ -1,9 +1,10 @@
-import { App } from '@octokit/app';
-import { Octokit } from '@octokit/rest';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { toAuthOptions, authOptionsFromEnv, createGitHubClient } from '../auth/client-factory.js';
+import { exportReport } from '../exporters/index.js';
+import { printRateLimitReport } from '../request/request-layer.js';
+import { DEFAULT_COMPLIANCE_RULES, evaluateCompliance } from './compliance-rules.js';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -13,10 +14,13 @@ const __dirname = path.dirname(__filename);
 dotenv.config();
 
 class GitHubEnterprisePolicyManagement {
+    /**
+     * @param {string|Object} appId - GitHub App ID, or an auth options object for createGitHubClient
+     * @param {string} privateKeyPath - Path to the GitHub App private key
+     * @param {string} installationId - GitHub App installation ID
+     */
     constructor(appId, privateKeyPath, installationId) {
-        this.appId = appId;
-        this.privateKeyPath = privateKeyPath;
-        this.installationId = installationId;
+        this.authOptions = toAuthOptions(appId, privateKeyPath, installationId);
         this.app = null;
         this.octokit = null;
         this.initialized = false;
@@ -31,19 +35,11 @@ class GitHubEnterprisePolicyManagement {
 
     async initialize() {
         try {
-            // Read the private key file
-            const privateKey = fs.readFileSync(this.privateKeyPath, 'utf8');
-            
-            // Create the GitHub App instance
-            this.app = new App({
-                appId: this.appId,
-                privateKey: privateKey,
-            });
-
-            // Get an installation-specific Octokit instance
-            this.octokit = await this.app.getInstallationOctokit(this.installationId);
+            const client = await createGitHubClient(this.authOptions);
+            this.app = client.app;
+            this.octokit = client.octokit;
         } catch (error) {
-            console.error('Error initializing GitHub App:', error.message);
+            console.error('Error initializing GitHub client:', error.message);
             throw error;
         }
     }
@@ -81,6 +77,7 @@ class GitHubEnterprisePolicyManagement {
                     plan: orgData.plan?.name
                 },
                 membershipPolicies: {
+                    defaultRepositoryPermission: orgData.default_repository_permission,
                     membersCanCreateRepositories: orgData.members_can_create_repositories,
                     membersCanCreatePublicRepositories: orgData.members_can_create_public_repositories,
                     membersCanCreatePrivateRepositories: orgData.members_can_create_private_repositories,
@@ -205,6 +202,32 @@ class GitHubEnterprisePolicyManagement {
         }
     }
 
+    /**
+     * Check whether Dependabot vulnerability alerts are enabled for a repository.
+     * The endpoint answers 204 when they are enabled and 404 when they are not; it has no body.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<boolean|null>} Enabled state, or null when the App may not read it
+     */
+    async getVulnerabilityAlertsStatus(owner, repo) {
+        await this.ensureInitialized();
+
+        try {
+            await this.octokit.request('GET /repos/{owner}/{repo}/vulnerability-alerts', {
+                owner,
+                repo,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+            return true;
+        } catch (error) {
+            if (error.status === 404) return false;
+            if (error.status === 403) return null;
+            throw error;
+        }
+    }
+
     /**
      * Get repository security and analysis settings
      * @param {string} owner - Repository owner
@@ -225,17 +248,11 @@ class GitHubEnterprisePolicyManagement {
                         'X-GitHub-Api-Version': '2022-11-28'
                     }
                 }),
-                this.octokit.request('GET /repos/{owner}/{repo}/vulnerability-alerts', {
-                    owner,
-                    repo,
-                    headers: {
-                        'X-GitHub-Api-Version': '2022-11-28'
-                    }
-                }).catch(() => ({ data: { enabled: false } }))
+                this.getVulnerabilityAlertsStatus(owner, repo)
             ]);
 
             const repoData = repoResponse.status === 'fulfilled' ? repoResponse.value.data : null;
-            const vulnerabilityAlerts = vulnerabilityAlertsResponse.status === 'fulfilled' ? vulnerabilityAlertsResponse.value : { data: { enabled: false } };
+            const vulnerabilityAlertsEnabled = vulnerabilityAlertsResponse.status === 'fulfilled' ? vulnerabilityAlertsResponse.value : null;
 
             if (!repoData) {
                 throw new Error('Repository not found or not accessible');
@@ -246,8 +263,10 @@ class GitHubEnterprisePolicyManagement {
                 fetchedAt: new Date().toISOString(),
                 visibility: repoData.visibility,
                 private: repoData.private,
+                archived: repoData.archived,
+                fork: repoData.fork,
                 securityAndAnalysis: repoData.security_and_analysis || {},
-                vulnerabilityAlertsEnabled: vulnerabilityAlerts.data?.enabled || false,
+                vulnerabilityAlertsEnabled,
                 hasIssues: repoData.has_issues,
                 hasProjects: repoData.has_projects,
                 hasWiki: repoData.has_wiki,
@@ -302,7 +321,10 @@ class GitHubEnterprisePolicyManagement {
                 dependencyGraphEnabledForNewRepositories: orgData.dependency_graph_enabled_for_new_repositories,
                 dependabotAlertsEnabledForNewRepositories: orgData.dependabot_alerts_enabled_for_new_repositories,
                 dependabotSecurityUpdatesEnabledForNewRepositories: orgData.dependabot_security_updates_enabled_for_new_repositories,
-                advancedSecurityEnabledForNewRepositories: orgData.advanced_security_enabled_for_new_repositories
+                advancedSecurityEnabledForNewRepositories: orgData.advanced_security_enabled_for_new_repositories,
+                secretScanningEnabledForNewRepositories: orgData.secret_scanning_enabled_for_new_repositories,
+                secretScanningPushProtectionEnabledForNewRepositories: orgData.secret_scanning_push_protection_enabled_for_new_repositories,
+                webCommitSignoffRequired: orgData.web_commit_signoff_required
             };
 
             console.log(`✅ Successfully fetched organization security settings for ${org}`);
@@ -368,11 +390,16 @@ class GitHubEnterprisePolicyManagement {
     }
 
     /**
-     * Get comprehensive policy overview for organization
+     * Get comprehensive policy overview for organization, scored against compliance rules
      * @param {string} org - Organization name
-     * @returns {Promise<Object>} Comprehensive policy data
+     * @param {Object} options - Options
+     * @param {Object[]} options.complianceRules - Rules to score against (see loadComplianceRules)
+     * @param {Object} options.branchProtection - Result of auditOrganizationBranchProtection to include and score
+     * @returns {Promise<Object>} Comprehensive policy data with a compliance score
      */
-    async getComprehensivePolicyOverview(org) {
+    async getComprehensivePolicyOverview(org, options = {}) {
+        const { complianceRules = DEFAULT_COMPLIANCE_RULES, branchProtection = null } = options;
+
         try {
             console.log(`📋 Fetching comprehensive policy overview for: ${org}`);
 
@@ -389,6 +416,19 @@ class GitHubEnterprisePolicyManagement {
                 copilotSettings: copilotSettings.status === 'fulfilled' ? copilotSettings.value : { error: copilotSettings.reason?.message },
                 securitySettings: orgSecuritySettings.status === 'fulfilled' ? orgSecuritySettings.value : { error: orgSecuritySettings.reason?.message }
             };
+            if (branchProtection) {
+                overview.branchProtection = {
+                    audited: true,
+                    auditedAt: branchProtection.auditedAt,
+                    baseline: branchProtection.branchBaseline,
+                    organizationRulesets: branchProtection.organizationRulesets?.map(ruleset => ruleset.name) ?? null,
+                    summary: branchProtection.summary,
+                    deviatingRepositories: Object.fromEntries(branchProtection.repositories
+                        .filter(row => row.findings.length > 0)
+                        .map(row => [row.repository, row.findings.map(finding => finding.setting).join(', ')]))
+                };
+            }
+            overview.compliance = evaluateCompliance(overview, complianceRules);
 
             console.log(`✅ Successfully compiled comprehensive policy overview for ${org}`);
             
@@ -399,6 +439,28 @@ class GitHubEnterprisePolicyManagement {
         }
     }
 
+    /**
+     * Export a policy overview to a file
+     * @param {Object} policyData - Policy data from getComprehensivePolicyOverview
+     * @param {string} filename - Output filename
+     * @param {string} format - 'json', 'csv', 'markdown' or 'html'
+     * @returns {Promise<string>} Path of the written file
+     */
+    async exportReportToFile(policyData, filename = null, format = 'json') {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const [outputFilename] = await exportReport(policyData, {
+                format,
+                filename,
+                baseName: `policy-overview-${policyData.organization}-${timestamp}`
+            });
+            return outputFilename;
+        } catch (error) {
+            console.error('Error exporting policy overview to file:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Print formatted policy summary
      * @param {Object} policyData - Policy data from getComprehensivePolicyOverview
@@ -453,6 +515,31 @@ class GitHubEnterprisePolicyManagement {
             console.log('  Status: Not enabled or not accessible');
         }
 
+        // Branch Protection
+        if (policyData.branchProtection) {
+            const { summary } = policyData.branchProtection;
+            console.log('\n🌿 Default Branch Protection:');
+            console.log(`  Repositories audited: ${summary.audited}`);
+            console.log(`  Meeting the baseline: ${summary.compliant}`);
+            console.log(`  Falling short: ${summary.deviating} (unprotected: ${summary.unprotected})`);
+            Object.entries(policyData.branchProtection.deviatingRepositories).slice(0, 10).forEach(([repository, settings]) => {
+                console.log(`    ${repository}: ${settings}`);
+            });
+        }
+
+        // Compliance
+        if (policyData.compliance) {
+            const compliance = policyData.compliance;
+            console.log(`\n📏 Compliance Score: ${compliance.score ?? 'N/A'}% (${compliance.earned}/${compliance.possible}), coverage ${compliance.coverage ?? 'N/A'}% (${compliance.summary.evaluated}/${compliance.summary.applicable} rules readable)`);
+            console.log(`  Passed: ${compliance.summary.passed}, failed: ${compliance.summary.failed}, unknown: ${compliance.summary.unknown}`);
+
+            const failed = compliance.findings.filter(finding => finding.status === 'fail');
+            if (failed.length > 0) {
+                console.log('\n🛠️ Remediation:');
+                failed.forEach(finding => console.log(`  [${finding.severity}] ${finding.title}: ${finding.remediation}`));
+            }
+        }
+
         console.log('=====================================\n');
     }
 }
@@ -463,9 +550,7 @@ export default GitHubEnterprisePolicyManagement;
 async function main() {
     // Configuration - replace with your actual values
     const config = {
-        appId: process.env.GITHUB_APP_ID || 'your-app-id',
-        privateKeyPath: process.env.GITHUB_PRIVATE_KEY_PATH || './private-key.pem',
-        installationId: process.env.GITHUB_INSTALLATION_ID || 'your-installation-id',
+        auth: authOptionsFromEnv(),
         organization: process.env.GITHUB_ORG || 'your-org-name'
     };
 
@@ -473,11 +558,7 @@ async function main() {
 
     try {
         // Create policy management instance
-        const policyManager = new GitHubEnterprisePolicyManagement(
-            config.appId,
-            config.privateKeyPath,
-            config.installationId
-        );
+        const policyManager = new GitHubEnterprisePolicyManagement(config.auth);
 
         await policyManager.ensureInitialized();
         console.log('Policy Management initialized successfully!');
@@ -509,14 +590,18 @@ async function main() {
         const updateResult = await policyManager.updateCopilotSettings(config.organization, updateSettings);
         console.log('Update Result:', updateResult);
 
+        printRateLimitReport(policyManager.octokit);
+
     } catch (error) {
         console.error('Error in main execution:', error.message);
         process.exit(1);
     }
 }
 
-// Uncomment to run the example
-// main().catch(error => {
-//     console.error('Unhandled error:', error.message);
-//     process.exit(1);
-// });
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,328 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv } from '../auth/client-factory.js';
+import GitHubIssueManagement from './issue-management.js';
+import { exportReport } from '../exporters/index.js';
+import { printRateLimitReport } from '../request/request-layer.js';
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Age buckets for open issues, in days (upper bound inclusive)
+export const AGE_BUCKETS = [
+    { label: '0-7 days', maxDays: 7 },
+    { label: '8-30 days', maxDays: 30 },
+    { label: '31-90 days', maxDays: 90 },
+    { label: '91-180 days', maxDays: 180 },
+    { label: '181-365 days', maxDays: 365 },
+    { label: 'over 1 year', maxDays: Infinity }
+];
+
+class GitHubIssueAnalytics extends GitHubIssueManagement {
+    /**
+     * Time of the first comment on each issue by someone other than its author.
+     * Uses the repository-wide comments listing, so the cost is one request per
+     * 100 comments rather than one per issue. Bot comments do not count.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object[]} issues - Issues from getAllIssues
+     * @returns {Promise<Map>} Issue number -> ISO time of the first response
+     */
+    async getFirstResponseTimes(owner, repo, issues) {
+        try {
+            await this.ensureInitialized();
+
+            const authors = new Map(issues.map(issue => [issue.number, issue.user?.login]));
+            const firstResponses = new Map();
+            const since = issues.reduce((earliest, issue) => issue.created_at < earliest ? issue.created_at : earliest, new Date().toISOString());
+
+            console.log(`💬 Fetching comments from ${owner}/${repo} since ${since.split('T')[0]}`);
+
+            const iterator = this.octokit.paginate.iterator('GET /repos/{owner}/{repo}/issues/comments', {
+                owner,
+                repo,
+                since,
+                sort: 'created',
+                direction: 'asc',
+                per_page: 100,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            for await (const response of iterator) {
+                response.data.forEach(comment => {
+                    const number = Number(comment.issue_url.split('/').pop());
+                    if (!authors.has(number) || firstResponses.has(number)) return;
+                    if (comment.user?.type === 'Bot' || comment.user?.login === authors.get(number)) return;
+                    firstResponses.set(number, comment.created_at);
+                });
+            }
+
+            return firstResponses;
+        } catch (error) {
+            console.error(`❌ Failed to fetch comments from ${owner}/${repo}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Compute issue health figures from a list of issues
+     * @param {Object[]} issues - Issues (open and closed) from getAllIssues
+     * @param {Map} firstResponses - Issue number -> first response time (null to leave response times out)
+     * @param {Object} options - Options
+     * @param {number} options.weeks - Weeks of opened-vs-closed trend (default 12)
+     * @param {Date} options.now - Reference time
+     * @returns {Object} Health summary
+     */
+    summarizeIssueHealth(issues, firstResponses = null, options = {}) {
+        const { weeks = 12, now = new Date() } = options;
+        const open = issues.filter(issue => issue.state === 'open');
+        const closed = issues.filter(issue => issue.state === 'closed' && issue.closed_at);
+
+        const ageDistribution = AGE_BUCKETS.map(bucket => ({ bucket: bucket.label, count: 0 }));
+        open.forEach(issue => {
+            const ageDays = (now.getTime() - new Date(issue.created_at).getTime()) / DAY_MS;
+            ageDistribution[AGE_BUCKETS.findIndex(bucket => ageDays <= bucket.maxDays)].count++;
+        });
+
+        const closeHours = closed.map(issue => (new Date(issue.closed_at) - new Date(issue.created_at)) / HOUR_MS);
+
+        let firstResponse = null;
+        if (firstResponses) {
+            const responseHours = issues
+                .filter(issue => firstResponses.has(issue.number))
+                .map(issue => (new Date(firstResponses.get(issue.number)) - new Date(issue.created_at)) / HOUR_MS);
+            firstResponse = {
+                responded: responseHours.length,
+                awaitingResponse: open.filter(issue => !firstResponses.has(issue.number)).length,
+                ...durationStats(responseHours)
+            };
+        }
+
+        return {
+            totals: {
+                total: issues.length,
+                open: open.length,
+                closed: issues.length - open.length,
+                unassigned: open.filter(issue => (issue.assignees || []).length === 0).length,
+                unlabeled: open.filter(issue => (issue.labels || []).length === 0).length
+            },
+            ageDistribution,
+            firstResponse,
+            timeToClose: {
+                closed: closeHours.length,
+                ...durationStats(closeHours)
+            },
+            labels: distribution(issues, issue => (issue.labels || []).map(label => typeof label === 'string' ? label : label.name)),
+            assignees: distribution(issues, issue => (issue.assignees || []).map(assignee => assignee.login)),
+            weekly: weeklyTrend(issues, weeks, now)
+        };
+    }
+
+    /**
+     * Build the issue health report for a repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} options - Report options
+     * @param {number} options.weeks - Weeks of opened-vs-closed trend (default 12)
+     * @param {string} options.since - Only issues updated at or after this time (ISO 8601)
+     * @param {boolean} options.includeFirstResponse - Fetch comments for time to first response (default true)
+     * @param {Date} options.now - Reference time
+     * @returns {Promise<Object>} Issue health report
+     */
+    async generateIssueHealthReport(owner, repo, options = {}) {
+        const { weeks = 12, since = null, includeFirstResponse = true, now = new Date() } = options;
+
+        try {
+            console.log(`🩺 Building issue health report for ${owner}/${repo}`);
+
+            const issuesData = await this.getAllIssues(owner, repo, { state: 'all', since });
+            const firstResponses = includeFirstResponse && issuesData.issues.length > 0
+                ? await this.getFirstResponseTimes(owner, repo, issuesData.issues)
+                : null;
+
+            return {
+                repository: `${owner}/${repo}`,
+                generatedAt: now.toISOString(),
+                period: {
+                    since,
+                    weeks
+                },
+                health: this.summarizeIssueHealth(issuesData.issues, firstResponses, { weeks, now })
+            };
+        } catch (error) {
+            console.error(`❌ Failed to build issue health report for ${owner}/${repo}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Print a formatted issue health summary
+     * @param {Object} report - Report from generateIssueHealthReport
+     */
+    printIssueHealthSummary(report) {
+        const { totals, ageDistribution, firstResponse, timeToClose, labels, assignees, weekly } = report.health;
+        const hours = value => value === null ? 'N/A' : formatHours(value);
+
+        console.log('\n🩺 ISSUE HEALTH');
+        console.log('================================');
+        console.log(`Repository: ${report.repository}`);
+        console.log(`Generated At: ${report.generatedAt}`);
+        console.log(`Issues: ${totals.total} (${totals.open} open, ${totals.closed} closed)`);
+        console.log(`Open and unassigned: ${totals.unassigned}, open and unlabeled: ${totals.unlabeled}`);
+
+        console.log('\nOpen issues by age:');
+        ageDistribution.forEach(bucket => console.log(`  ${bucket.bucket.padEnd(14)} ${bucket.count}`));
+
+        if (firstResponse) {
+            console.log(`\nTime to first response: median ${hours(firstResponse.medianHours)}, p90 ${hours(firstResponse.p90Hours)} (${firstResponse.awaitingResponse} open issue(s) without a response)`);
+        }
+        console.log(`Time to close: median ${hours(timeToClose.medianHours)}, p90 ${hours(timeToClose.p90Hours)} (${timeToClose.closed} closed)`);
+
+        console.log(`\nTop labels: ${labels.slice(0, 5).map(entry => `${entry.name} (${entry.open} open)`).join(', ') || 'none'}`);
+        console.log(`Top assignees: ${assignees.slice(0, 5).map(entry => `${entry.name} (${entry.open} open)`).join(', ') || 'none'}`);
+
+        console.log('\nWeekly opened / closed:');
+        weekly.slice(-4).forEach(week => console.log(`  ${week.weekStart}  +${week.opened} / -${week.closed}  (open at end: ${week.openAtEnd})`));
+        console.log('================================\n');
+    }
+
+    /**
+     * Export an issue health report (JSON, CSV, Markdown or HTML)
+     * @param {Object} report - Report from generateIssueHealthReport
+     * @param {string} filename - Output filename (optional)
+     * @param {string} format - Export format
+     * @returns {Promise<string>} Path of the written file
+     */
+    async exportReportToFile(report, filename = null, format = 'json') {
+        if (!report.health) {
+            return super.exportReportToFile(report, filename, format);
+        }
+
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const [outputFilename] = await exportReport(report, {
+                format,
+                filename,
+                baseName: `issue-health-${report.repository.replace('/', '-')}-${timestamp}`
+            });
+            return outputFilename;
+        } catch (error) {
+            console.error('Error exporting issue health report:', error.message);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Median, average and 90th percentile of durations in hours
+ * @param {number[]} values - Durations in hours
+ * @returns {Object} { medianHours, averageHours, p90Hours } (null when empty)
+ */
+function durationStats(values) {
+    if (values.length === 0) {
+        return { medianHours: null, averageHours: null, p90Hours: null };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const percentile = fraction => sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+    const round = value => Math.round(value * 10) / 10;
+
+    return {
+        medianHours: round(percentile(0.5)),
+        averageHours: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        p90Hours: round(percentile(0.9))
+    };
+}
+
+/**
+ * Count open and total issues per label or assignee
+ * @param {Object[]} issues - Issues
+ * @param {Function} namesOf - issue => names
+ * @returns {Object[]} { name, open, total } sorted by open, then total
+ */
+function distribution(issues, namesOf) {
+    const counts = {};
+    issues.forEach(issue => {
+        namesOf(issue).forEach(name => {
+            const entry = counts[name] ??= { name, open: 0, total: 0 };
+            entry.total++;
+            if (issue.state === 'open') entry.open++;
+        });
+    });
+    return Object.values(counts).sort((a, b) => b.open - a.open || b.total - a.total);
+}
+
+/**
+ * Issues opened and closed per week (weeks start on Monday, UTC)
+ * @param {Object[]} issues - Issues
+ * @param {number} weeks - Number of weeks, ending with the current one
+ * @param {Date} now - Reference time
+ * @returns {Object[]} { weekStart, opened, closed, openAtEnd }
+ */
+function weeklyTrend(issues, weeks, now) {
+    const currentWeek = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    currentWeek.setUTCDate(currentWeek.getUTCDate() - (currentWeek.getUTCDay() + 6) % 7);
+
+    return Array.from({ length: weeks }, (_, index) => {
+        const start = new Date(currentWeek.getTime() - (weeks - 1 - index) * 7 * DAY_MS);
+        const end = new Date(start.getTime() + 7 * DAY_MS);
+        const inWeek = value => value && new Date(value) >= start && new Date(value) < end;
+
+        return {
+            weekStart: start.toISOString().split('T')[0],
+            opened: issues.filter(issue => inWeek(issue.created_at)).length,
+            closed: issues.filter(issue => issue.state === 'closed' && inWeek(issue.closed_at)).length,
+            openAtEnd: issues.filter(issue => new Date(issue.created_at) < end && !(issue.state === 'closed' && issue.closed_at && new Date(issue.closed_at) < end)).length
+        };
+    });
+}
+
+/**
+ * Format a duration in hours as hours or days
+ * @param {number} value - Hours
+ * @returns {string} e.g. '5.5h' or '3.2d'
+ */
+function formatHours(value) {
+    return value < 48 ? `${value}h` : `${Math.round(value / 24 * 10) / 10}d`;
+}
+
+export default GitHubIssueAnalytics;
+
+// Example usage
+async function main() {
+    const config = {
+        auth: authOptionsFromEnv(),
+        owner: process.env.GITHUB_OWNER || 'your-owner',
+        repo: process.env.GITHUB_REPO || 'your-repo',
+        format: process.env.REPORT_FORMAT || 'json'
+    };
+
+    try {
+        const analytics = new GitHubIssueAnalytics(config.auth);
+        const report = await analytics.generateIssueHealthReport(config.owner, config.repo);
+
+        analytics.printIssueHealthSummary(report);
+        await analytics.exportReportToFile(report, null, config.format);
+        printRateLimitReport(analytics.octokit);
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,561 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv } from '../auth/client-factory.js';
+import GitHubIssueManagement from './issue-management.js';
+import AssignmentHistoryStore from './assignment-history-store.js';
+import { printRateLimitReport } from '../request/request-layer.js';
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+export const ASSIGNMENT_STRATEGIES = ['round-robin', 'least-open'];
+
+// Where GitHub looks for a CODEOWNERS file, in order
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Load an assignment configuration file (JSON)
+ * @param {string} filePath - Path to the configuration file
+ * @returns {Object} Validated configuration
+ */
+export function loadAssignmentConfig(filePath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read assignment config ${filePath}: ${error.message}`);
+    }
+
+    return validateAssignmentConfig(config, path.dirname(filePath));
+}
+
+/**
+ * Check an assignment configuration and fill in defaults.
+ * Each pool takes its members from exactly one of users, team or owners.
+ * @param {Object} config - { strategy, pools, exclude, outOfOffice, checkStatus }
+ * @param {string} baseDir - Directory relative owners file paths are resolved against
+ * @returns {Object} Validated configuration
+ */
+export function validateAssignmentConfig(config, baseDir = process.cwd()) {
+    if (!config || !Array.isArray(config.pools) || config.pools.length === 0) {
+        throw new Error('Assignment config must define at least one pool');
+    }
+
+    const strategy = config.strategy || 'round-robin';
+    if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+        throw new Error(`Assignment strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`);
+    }
+
+    const isStringList = value => Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim());
+
+    const pools = config.pools.map((pool, index) => {
+        const name = pool.name || `pool-${index + 1}`;
+        const sources = ['users', 'team', 'owners'].filter(key => pool[key]);
+        if (sources.length !== 1) {
+            throw new Error(`Pool ${name}: set exactly one of users, team or owners`);
+        }
+        if (pool.users && !isStringList(pool.users)) {
+            throw new Error(`Pool ${name}: users must be a list of logins`);
+        }
+        if (pool.team && typeof pool.team !== 'string') {
+            throw new Error(`Pool ${name}: team must be a team slug`);
+        }
+        if (pool.owners && typeof pool.owners !== 'string') {
+            throw new Error(`Pool ${name}: owners must be a file path or "repository"`);
+        }
+        if (pool.labels !== undefined && !isStringList(pool.labels)) {
+            throw new Error(`Pool ${name}: labels must be a list of label names`);
+        }
+
+        return {
+            name,
+            labels: pool.labels || [],
+            users: pool.users || null,
+            team: pool.team || null,
+            // 'repository' reads the repository's CODEOWNERS; anything else is a local file
+            owners: pool.owners && pool.owners !== 'repository' ? path.resolve(baseDir, pool.owners) : pool.owners || null,
+            strategy: pool.strategy || strategy
+        };
+    });
+
+    pools.forEach(pool => {
+        if (!ASSIGNMENT_STRATEGIES.includes(pool.strategy)) {
+            throw new Error(`Pool ${pool.name}: strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`);
+        }
+    });
+
+    if (config.exclude !== undefined && !isStringList(config.exclude)) {
+        throw new Error('Assignment config exclude must be a list of logins');
+    }
+    if (config.outOfOffice !== undefined && !Array.isArray(config.outOfOffice)) {
+        throw new Error('Assignment config outOfOffice must be a list of { login, from, until } entries');
+    }
+    (config.outOfOffice || []).forEach((entry, index) => {
+        if (!entry || typeof entry.login !== 'string' || !entry.login.trim()) {
+            throw new Error(`Assignment config outOfOffice entry ${index + 1} needs a login`);
+        }
+    });
+
+    return {
+        strategy,
+        pools,
+        exclude: (config.exclude || []).map(login => login.toLowerCase()),
+        outOfOffice: config.outOfOffice || [],
+        checkStatus: config.checkStatus !== false
+    };
+}
+
+/**
+ * Parse a CODEOWNERS-style mapping. Each line is a pattern followed by owners;
+ * patterns are paths (matched against paths mentioned in the issue) or label:<name>.
+ * @param {string} content - Mapping text
+ * @returns {Object[]} Entries ({ pattern, owners }) in file order
+ */
+export function parseOwnersMapping(content) {
+    return content.split(/\r?\n/)
+        .map(line => line.replace(/#.*$/, '').trim())
+        .filter(Boolean)
+        .map(line => {
+            const [pattern, ...owners] = line.split(/\s+/);
+            return { pattern, owners: owners.map(owner => owner.replace(/^@/, '')) };
+        });
+}
+
+class GitHubIssueAssigner extends GitHubIssueManagement {
+    /**
+     * @param {string|Object} appId - GitHub App ID, or an auth options object for createGitHubClient
+     * @param {string} privateKeyPath - Path to the GitHub App private key
+     * @param {string} installationId - GitHub App installation ID
+     * @param {AssignmentHistoryStore} store - Assignment history (defaults to ./history)
+     */
+    constructor(appId, privateKeyPath, installationId, store = null) {
+        super(appId, privateKeyPath, installationId);
+        this.store = store || new AssignmentHistoryStore();
+        this.teamMembers = new Map();
+        this.limitedAvailability = new Map();
+    }
+
+    /**
+     * Logins of a team's members (cached for the lifetime of the instance)
+     * @param {string} org - Organization login
+     * @param {string} teamSlug - Team slug
+     * @returns {Promise<string[]>} Member logins
+     */
+    async getTeamMemberLogins(org, teamSlug) {
+        const key = `${org}/${teamSlug}`.toLowerCase();
+        if (!this.teamMembers.has(key)) {
+            await this.ensureInitialized();
+
+            const members = await this.octokit.paginate('GET /orgs/{org}/teams/{team_slug}/members', {
+                org,
+                team_slug: teamSlug,
+                per_page: 100,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+            this.teamMembers.set(key, members.map(member => member.login));
+        }
+        return this.teamMembers.get(key);
+    }
+
+    /**
+     * Read the repository's CODEOWNERS file
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<Object[]>} Owner entries (empty when the repository has none)
+     */
+    async getRepositoryOwners(owner, repo) {
+        await this.ensureInitialized();
+
+        for (const filePath of CODEOWNERS_PATHS) {
+            try {
+                const response = await this.octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
+                    owner,
+                    repo,
+                    path: filePath,
+                    headers: {
+                        'X-GitHub-Api-Version': '2022-11-28'
+                    }
+                });
+                return parseOwnersMapping(Buffer.from(response.data.content, 'base64').toString('utf8'));
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Candidate assignees of a pool for an issue
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} pool - Validated pool
+     * @param {Object} issue - Issue from the REST API
+     * @param {Map} ownersCache - Parsed owners mappings keyed by source
+     * @returns {Promise<string[]>} Candidate logins
+     */
+    async resolvePoolCandidates(owner, repo, pool, issue, ownersCache) {
+        if (pool.users) return pool.users;
+        if (pool.team) return this.getTeamMemberLogins(owner, pool.team);
+
+        if (!ownersCache.has(pool.owners)) {
+            ownersCache.set(pool.owners, pool.owners === 'repository'
+                ? await this.getRepositoryOwners(owner, repo)
+                : parseOwnersMapping(fs.readFileSync(pool.owners, 'utf8')));
+        }
+
+        const entry = findOwnersEntry(ownersCache.get(pool.owners), issue);
+        if (!entry) return [];
+
+        const logins = [];
+        for (const ownerName of entry.owners) {
+            if (ownerName.includes('@')) continue; // e-mail owners cannot be assigned
+            if (ownerName.includes('/')) {
+                const [org, teamSlug] = ownerName.split('/');
+                logins.push(...await this.getTeamMemberLogins(org, teamSlug));
+            } else {
+                logins.push(ownerName);
+            }
+        }
+        return [...new Set(logins)];
+    }
+
+    /**
+     * Why a user cannot take new issues right now
+     * @param {string} login - User login
+     * @param {Object} config - Validated configuration
+     * @param {Date} now - Reference time
+     * @returns {Promise<string|null>} Reason, or null when the user is available
+     */
+    async getUnavailableReason(login, config, now) {
+        if (config.exclude.includes(login.toLowerCase())) return 'excluded';
+
+        const absence = config.outOfOffice.find(entry =>
+            entry.login.toLowerCase() === login.toLowerCase()
+            && (!entry.from || new Date(entry.from) <= now)
+            && (!entry.until || now <= new Date(`${entry.until}T23:59:59Z`)));
+        if (absence) return `out of office${absence.until ? ` until ${absence.until}` : ''}`;
+
+        if (config.checkStatus) {
+            if (!this.limitedAvailability.has(login)) {
+                await this.ensureInitialized();
+                try {
+                    const result = await this.octokit.graphql(`
+                        query($login: String!) {
+                            user(login: $login) { status { indicatesLimitedAvailability } }
+                        }
+                    `, { login });
+                    this.limitedAvailability.set(login, Boolean(result.user?.status?.indicatesLimitedAvailability));
+                } catch (error) {
+                    // The status is a courtesy check; a lookup failure does not block assignment
+                    this.limitedAvailability.set(login, false);
+                }
+            }
+            if (this.limitedAvailability.get(login)) return 'busy (GitHub status)';
+        }
+
+        return null;
+    }
+
+    /**
+     * Number of open issues assigned to a user in a repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} login - User login
+     * @returns {Promise<number>} Open issue count
+     */
+    async countOpenAssignedIssues(owner, repo, login) {
+        await this.ensureInitialized();
+
+        const response = await this.octokit.request('GET /search/issues', {
+            q: `repo:${owner}/${repo} is:issue is:open assignee:${login}`,
+            per_page: 1,
+            headers: {
+                'X-GitHub-Api-Version': '2022-11-28'
+            }
+        });
+        return response.data.total_count;
+    }
+
+    /**
+     * Pick assignees for issues and assign them.
+     * Round-robin picks the pool member assigned longest ago (per the local history);
+     * least-open picks the member with the fewest open issues, then the one assigned longest ago.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number[]|Object} target - Issue numbers, or { filter } for iterateIssues (default: open unassigned issues)
+     * @param {Object} config - Configuration from loadAssignmentConfig or validateAssignmentConfig
+     * @param {Object} options - Options
+     * @param {boolean} options.dryRun - Pick assignees without assigning or recording them
+     * @param {Date} options.now - Reference time
+     * @returns {Promise<Object>} Assignment result ({ items, summary })
+     */
+    async autoAssignIssues(owner, repo, target = { filter: { state: 'open', assignee: 'none' } }, config = null, options = {}) {
+        const { dryRun = false, now = new Date() } = options;
+        const assignmentConfig = validateAssignmentConfig(config);
+
+        try {
+            console.log(`⚖️ ${dryRun ? 'Planning' : 'Running'} automatic assignment in ${owner}/${repo}`);
+
+            const issues = [];
+            if (Array.isArray(target)) {
+                for (const issueNumber of target) {
+                    const fetched = await this.getIssue(owner, repo, issueNumber);
+                    if (!fetched.success) {
+                        throw new Error(`Cannot read issue #${issueNumber}: ${fetched.error}`);
+                    }
+                    issues.push(fetched.issue);
+                }
+            } else {
+                for await (const issue of this.iterateIssues(owner, repo, target.filter)) {
+                    issues.push(issue);
+                }
+            }
+
+            const result = {
+                repository: `${owner}/${repo}`,
+                dryRun,
+                startedAt: now.toISOString(),
+                items: [],
+                summary: { total: issues.length, assigned: 0, skipped: 0, failed: 0 }
+            };
+
+            const ownersCache = new Map();
+            const openCounts = new Map();
+            const rotations = new Map();
+            const unavailable = new Map();
+            const records = [];
+
+            for (const issue of issues) {
+                const item = { issue_number: issue.number, title: issue.title };
+                result.items.push(item);
+
+                if ((issue.assignees || []).length > 0) {
+                    Object.assign(item, { status: 'skipped', reason: 'already assigned' });
+                    result.summary.skipped++;
+                    continue;
+                }
+
+                const issueLabels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+                const matchingPools = assignmentConfig.pools.filter(candidate =>
+                    candidate.labels.length === 0 || candidate.labels.some(label => issueLabels.includes(label.toLowerCase())));
+                if (matchingPools.length === 0) {
+                    Object.assign(item, { status: 'skipped', reason: 'no pool matches the issue labels' });
+                    result.summary.skipped++;
+                    continue;
+                }
+
+                try {
+                    // A pool without members for this issue (such as no matching CODEOWNERS entry) falls through to the next matching pool
+                    let pool;
+                    let candidates = [];
+                    for (pool of matchingPools) {
+                        candidates = await this.resolvePoolCandidates(owner, repo, pool, issue, ownersCache);
+                        if (candidates.length > 0) break;
+                    }
+                    item.pool = pool.name;
+
+                    const available = [];
+                    for (const login of candidates) {
+                        if (!unavailable.has(login)) {
+                            unavailable.set(login, await this.getUnavailableReason(login, assignmentConfig, now));
+                        }
+                        if (!unavailable.get(login)) available.push(login);
+                    }
+
+                    if (available.length === 0) {
+                        const reasons = candidates.map(login => `${login}: ${unavailable.get(login)}`).join(', ');
+                        Object.assign(item, { status: 'skipped', reason: candidates.length > 0 ? `no available assignee (${reasons})` : 'no matching pool has members for this issue' });
+                        result.summary.skipped++;
+                        continue;
+                    }
+
+                    if (!rotations.has(pool.name)) {
+                        const positions = await this.store.getRotationPositions(owner, pool.name);
+                        rotations.set(pool.name, { positions, next: Math.max(-1, ...positions.values()) + 1 });
+                    }
+                    const rotation = rotations.get(pool.name);
+
+                    if (pool.strategy === 'least-open') {
+                        for (const login of available) {
+                            if (!openCounts.has(login)) {
+                                openCounts.set(login, await this.countOpenAssignedIssues(owner, repo, login));
+                            }
+                        }
+                    }
+
+                    const assignee = pickAssignee(available, pool.strategy, rotation.positions, openCounts);
+                    Object.assign(item, { assignee, strategy: pool.strategy });
+
+                    if (!dryRun) {
+                        const assignment = await this.assignIssue(owner, repo, issue.number, assignee);
+                        if (!assignment.success) {
+                            Object.assign(item, { status: 'failed', error: assignment.error });
+                            result.summary.failed++;
+                            continue;
+                        }
+                    }
+
+                    // Later issues in the same run see this assignment
+                    rotation.positions.set(assignee.toLowerCase(), rotation.next++);
+                    if (openCounts.has(assignee)) openCounts.set(assignee, openCounts.get(assignee) + 1);
+
+                    item.status = dryRun ? 'planned' : 'assigned';
+                    if (!dryRun) result.summary.assigned++;
+                    records.push({
+                        repository: `${owner}/${repo}`,
+                        issueNumber: issue.number,
+                        assignee,
+                        pool: pool.name,
+                        strategy: pool.strategy,
+                        assignedAt: new Date().toISOString()
+                    });
+                } catch (error) {
+                    Object.assign(item, { status: 'failed', error: error.message });
+                    result.summary.failed++;
+                }
+            }
+
+            if (!dryRun) {
+                await this.store.recordAssignments(owner, records);
+            }
+            result.completedAt = new Date().toISOString();
+
+            this.printAssignmentSummary(result);
+
+            return result;
+        } catch (error) {
+            console.error(`❌ Failed to assign issues in ${owner}/${repo}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Print an automatic assignment result
+     * @param {Object} result - Result of autoAssignIssues
+     */
+    printAssignmentSummary(result) {
+        console.log(`\n⚖️ AUTOMATIC ASSIGNMENT${result.dryRun ? ' (dry run)' : ''}`);
+        console.log('================================');
+        console.log(`Repository: ${result.repository}`);
+        console.log(`Issues: ${result.summary.total}, assigned: ${result.summary.assigned}, skipped: ${result.summary.skipped}, failed: ${result.summary.failed}`);
+
+        result.items.forEach(item => {
+            const detail = item.assignee ? `→ ${item.assignee} (${item.pool}, ${item.strategy})` : item.error || item.reason;
+            console.log(`  #${item.issue_number} ${item.status}: ${detail}`);
+        });
+        console.log('================================\n');
+    }
+}
+
+/**
+ * Pick the next assignee from the available pool members
+ * @param {string[]} available - Available logins, in pool order
+ * @param {string} strategy - 'round-robin' or 'least-open'
+ * @param {Map} positions - Login (lower case) -> rotation position of the latest assignment from this pool
+ * @param {Map} openCounts - Login -> open assigned issues (least-open only)
+ * @returns {string} Login
+ */
+function pickAssignee(available, strategy, positions, openCounts) {
+    const position = login => positions.get(login.toLowerCase()) ?? -1;
+
+    return [...available].sort((a, b) => {
+        if (strategy === 'least-open') {
+            const difference = openCounts.get(a) - openCounts.get(b);
+            if (difference !== 0) return difference;
+        }
+        // Never assigned sorts first; otherwise longest ago first. Stable sort keeps pool order for ties.
+        return position(a) - position(b);
+    })[0];
+}
+
+/**
+ * Find the owners entry that applies to an issue; as in CODEOWNERS, the last matching entry wins
+ * @param {Object[]} entries - Entries from parseOwnersMapping
+ * @param {Object} issue - Issue from the REST API
+ * @returns {Object|undefined} Matching entry ({ pattern, owners })
+ */
+export function findOwnersEntry(entries, issue) {
+    return [...entries].reverse().find(candidate => ownersEntryMatches(candidate.pattern, issue));
+}
+
+/**
+ * Check whether an owners entry applies to an issue.
+ * label:<name> matches issue labels; other patterns are gitignore-style paths
+ * matched against file paths mentioned in the issue title or body.
+ * @param {string} pattern - Owners pattern
+ * @param {Object} issue - Issue from the REST API
+ * @returns {boolean} True when the entry applies
+ */
+export function ownersEntryMatches(pattern, issue) {
+    if (pattern.startsWith('label:')) {
+        const label = pattern.slice('label:'.length).toLowerCase();
+        return (issue.labels || []).some(entry => (typeof entry === 'string' ? entry : entry.name).toLowerCase() === label);
+    }
+    if (pattern === '*') return true;
+
+    const mentioned = `${issue.title || ''} ${issue.body || ''}`.match(/[\w.-]+(?:\/[\w.-]+)+\/?|[\w-]+\.[A-Za-z0-9]+/g) || [];
+    const regex = pathPatternToRegex(pattern);
+    return mentioned.some(filePath => regex.test(filePath.replace(/^\.?\//, '')));
+}
+
+/**
+ * Convert a CODEOWNERS path pattern into a regular expression
+ * @param {string} pattern - Path pattern (e.g. /src/api/, *.js, docs/**)
+ * @returns {RegExp} Expression matching repository-relative paths
+ */
+function pathPatternToRegex(pattern) {
+    const anchored = pattern.startsWith('/') || pattern.slice(0, -1).includes('/');
+    const body = pattern.replace(/^\//, '').replace(/\/$/, '/**')
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        // **/ matches zero or more directories, so **/logs also matches logs at the root
+        .replace(/\*\*\//g, '\u0001')
+        .replace(/\*\*/g, '\u0000')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]')
+        .replace(/\u0001/g, '(.*/)?')
+        .replace(/\u0000/g, '.*');
+    return new RegExp(`${anchored ? '^' : '(^|/)'}${body}(/.*)?$`);
+}
+
+export default GitHubIssueAssigner;
+
+// Example usage
+async function main() {
+    const config = {
+        auth: authOptionsFromEnv(),
+        owner: process.env.GITHUB_OWNER || 'your-owner',
+        repo: process.env.GITHUB_REPO || 'your-repo',
+        configFile: process.env.ASSIGNMENT_CONFIG_FILE || './assignment-config.json',
+        // Only assign when explicitly requested
+        apply: process.env.ASSIGNMENT_APPLY === 'true'
+    };
+
+    try {
+        const assigner = new GitHubIssueAssigner(config.auth);
+        const assignmentConfig = loadAssignmentConfig(config.configFile);
+
+        await assigner.autoAssignIssues(config.owner, config.repo, undefined, assignmentConfig, { dryRun: !config.apply });
+        if (!config.apply) {
+            console.log('Dry run only. Set ASSIGNMENT_APPLY=true to assign the issues listed above.');
+        }
+        printRateLimitReport(assigner.octokit);
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
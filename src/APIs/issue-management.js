@@ -1,9 +1,11 @@
-import { App } from '@octokit/app';
-import { Octokit } from '@octokit/rest';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { toAuthOptions, authOptionsFromEnv, createGitHubClient } from '../auth/client-factory.js';
+import { exportReport } from '../exporters/index.js';
+import { printRateLimitReport, mapWithConcurrency } from '../request/request-layer.js';
+import CopilotAgentHandoffStore from './agent-handoff-store.js';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -12,11 +14,32 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config();
 
+// Login of the Copilot coding agent bot
+export const COPILOT_AGENT_LOGIN = 'copilot-swe-agent';
+
+// Operations supported by bulkUpdateIssues, with the operation field each one requires
+export const BULK_OPERATIONS = {
+    assign: 'assignees',
+    unassign: 'assignees',
+    addLabels: 'labels',
+    removeLabels: 'labels',
+    close: null,
+    reopen: null,
+    setMilestone: 'milestone',
+    comment: 'body'
+};
+
+// Template {{name}} placeholder; ${{ ... }} GitHub Actions expressions are not placeholders
+const TEMPLATE_PLACEHOLDER = /(?<!\$)\{\{\s*([\w.-]+)\s*\}\}/g;
+
 class GitHubIssueManagement {
+    /**
+     * @param {string|Object} appId - GitHub App ID, or an auth options object for createGitHubClient
+     * @param {string} privateKeyPath - Path to the GitHub App private key
+     * @param {string} installationId - GitHub App installation ID
+     */
     constructor(appId, privateKeyPath, installationId) {
-        this.appId = appId;
-        this.privateKeyPath = privateKeyPath;
-        this.installationId = installationId;
+        this.authOptions = toAuthOptions(appId, privateKeyPath, installationId);
         this.app = null;
         this.octokit = null;
         this.initialized = false;
@@ -31,19 +54,11 @@ class GitHubIssueManagement {
 
     async initialize() {
         try {
-            // Read the private key file
-            const privateKey = fs.readFileSync(this.privateKeyPath, 'utf8');
-            
-            // Create the GitHub App instance
-            this.app = new App({
-                appId: this.appId,
-                privateKey: privateKey,
-            });
-
-            // Get an installation-specific Octokit instance
-            this.octokit = await this.app.getInstallationOctokit(this.installationId);
+            const client = await createGitHubClient(this.authOptions);
+            this.app = client.app;
+            this.octokit = client.octokit;
         } catch (error) {
-            console.error('Error initializing GitHub App:', error.message);
+            console.error('Error initializing GitHub client:', error.message);
             throw error;
         }
     }
@@ -58,45 +73,14 @@ class GitHubIssueManagement {
     async fetchIssues(owner, repo, options = {}) {
         try {
             await this.ensureInitialized();
-            
-            const {
-                state = 'open',
-                labels = null,
-                assignee = null,
-                creator = null,
-                mentioned = null,
-                milestone = null,
-                sort = 'created',
-                direction = 'desc',
-                since = null,
-                per_page = 100,
-                page = 1
-            } = options;
+
+            const params = this.buildIssueListParams(owner, repo, options);
+            const { state, sort, direction } = params;
+            const labels = params.labels || null;
 
             console.log(`📋 Fetching issues from ${owner}/${repo}`);
             console.log(`   State: ${state}, Labels: ${labels || 'all'}, Sort: ${sort} ${direction}`);
 
-            const params = {
-                owner,
-                repo,
-                state,
-                sort,
-                direction,
-                per_page,
-                page,
-                headers: {
-                    'X-GitHub-Api-Version': '2022-11-28'
-                }
-            };
-
-            // Add optional filters
-            if (labels) params.labels = labels;
-            if (assignee) params.assignee = assignee;
-            if (creator) params.creator = creator;
-            if (mentioned) params.mentioned = mentioned;
-            if (milestone) params.milestone = milestone;
-            if (since) params.since = since;
-
             const response = await this.octokit.request('GET /repos/{owner}/{repo}/issues', params);
 
             // Filter out pull requests (they come back as issues in the API)
@@ -124,6 +108,87 @@ class GitHubIssueManagement {
         }
     }
 
+    /**
+     * Build the request parameters for listing repository issues
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} options - Filtering options (see fetchIssues)
+     * @returns {Object} Request parameters
+     */
+    buildIssueListParams(owner, repo, options = {}) {
+        const {
+            state = 'open',
+            labels = null,
+            assignee = null,
+            creator = null,
+            mentioned = null,
+            milestone = null,
+            sort = 'created',
+            direction = 'desc',
+            since = null,
+            per_page = 100,
+            page = 1
+        } = options;
+
+        const params = {
+            owner,
+            repo,
+            state,
+            sort,
+            direction,
+            per_page,
+            page,
+            headers: {
+                'X-GitHub-Api-Version': '2022-11-28'
+            }
+        };
+
+        // Add optional filters
+        if (labels) params.labels = labels;
+        if (assignee) params.assignee = assignee;
+        if (creator) params.creator = creator;
+        if (mentioned) params.mentioned = mentioned;
+        if (milestone) params.milestone = milestone;
+        if (since) params.since = since;
+
+        return params;
+    }
+
+    /**
+     * Iterate over pages of issues, following the Link header until the last page.
+     * Pull requests are removed from each page, so a page may hold fewer than per_page issues.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} options - Filtering options (see fetchIssues)
+     * @yields {Array} Issues of one page
+     */
+    async *iterateIssuePages(owner, repo, options = {}) {
+        try {
+            await this.ensureInitialized();
+            const params = this.buildIssueListParams(owner, repo, { ...options, page: 1, per_page: 100 });
+
+            for await (const response of this.octokit.paginate.iterator('GET /repos/{owner}/{repo}/issues', params)) {
+                yield response.data.filter(issue => !issue.pull_request);
+            }
+        } catch (error) {
+            console.error(` Error iterating issues from ${owner}/${repo}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Iterate over all issues of a repository without holding them all in memory
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} options - Filtering options (see fetchIssues)
+     * @yields {Object} Issue
+     */
+    async *iterateIssues(owner, repo, options = {}) {
+        for await (const issues of this.iterateIssuePages(owner, repo, options)) {
+            yield* issues;
+        }
+    }
+
     /**
      * Get all issues from a repository (handles pagination)
      * @param {string} owner - Repository owner
@@ -133,21 +198,16 @@ class GitHubIssueManagement {
      */
     async getAllIssues(owner, repo, options = {}) {
         try {
-            let allIssues = [];
-            let page = 1;
-            let hasMorePages = true;
+            const allIssues = [];
+            let pagesProcessed = 0;
 
             console.log(` Fetching all issues from ${owner}/${repo} (with pagination)`);
 
-            while (hasMorePages) {
-                const response = await this.fetchIssues(owner, repo, { ...options, page, per_page: 100 });
-                allIssues = allIssues.concat(response.issues);
-                
-                // Check if there are more pages
-                hasMorePages = response.issues.length === 100;
-                page++;
-                
-                console.log(`   Fetched page ${page - 1}, total issues: ${allIssues.length}`);
+            for await (const issues of this.iterateIssuePages(owner, repo, options)) {
+                allIssues.push(...issues);
+                pagesProcessed++;
+
+                console.log(`   Fetched page ${pagesProcessed}, total issues: ${allIssues.length}`);
             }
 
             return {
@@ -157,7 +217,7 @@ class GitHubIssueManagement {
                 metadata: {
                     ...options,
                     fetchedAt: new Date().toISOString(),
-                    pagesProcessed: page - 1
+                    pagesProcessed
                 }
             };
         } catch (error) {
@@ -166,6 +226,139 @@ class GitHubIssueManagement {
         }
     }
 
+    /**
+     * Build an issue search query for an organization
+     * @param {string} org - Organization login
+     * @param {Object} filters - Filters (see searchOrgIssues)
+     * @returns {string} Search query
+     */
+    buildOrgIssueQuery(org, filters = {}) {
+        const {
+            state = 'open',
+            labels = [],
+            assignee = null,
+            author = null,
+            milestone = null,
+            repos = [],
+            olderThanDays = null,
+            updatedBeforeDays = null,
+            text = null,
+            now = new Date()
+        } = filters;
+
+        const quote = value => (/\s/.test(value) ? `"${value}"` : value);
+        const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+        const terms = repos.length > 0 ? repos.map(repo => `repo:${org}/${repo}`) : [`org:${org}`];
+        terms.push('is:issue');
+        if (state !== 'all') terms.push(`is:${state}`);
+        (Array.isArray(labels) ? labels : [labels]).filter(Boolean).forEach(label => terms.push(`label:${quote(label)}`));
+        if (assignee === 'none') terms.push('no:assignee');
+        else if (assignee) terms.push(`assignee:${assignee}`);
+        if (author) terms.push(`author:${author}`);
+        if (milestone === 'none') terms.push('no:milestone');
+        else if (milestone) terms.push(`milestone:${quote(milestone)}`);
+        if (olderThanDays) terms.push(`created:<${daysAgo(olderThanDays)}`);
+        if (updatedBeforeDays) terms.push(`updated:<${daysAgo(updatedBeforeDays)}`);
+        if (text) terms.push(text);
+
+        return terms.join(' ');
+    }
+
+    /**
+     * Iterate over the issues of an organization matching a search, across repositories.
+     * Each issue gets a repository field ({ full_name, name, owner }) like the repository endpoints.
+     * The search API returns at most 1,000 results per query.
+     * @param {string} org - Organization login
+     * @param {Object} filters - Filters (see searchOrgIssues)
+     * @yields {Object} Issue
+     */
+    async *iterateOrgIssues(org, filters = {}) {
+        const q = filters.query || this.buildOrgIssueQuery(org, filters);
+
+        try {
+            await this.ensureInitialized();
+
+            const iterator = this.octokit.paginate.iterator('GET /search/issues', {
+                q,
+                sort: filters.sort || 'created',
+                order: filters.direction || 'desc',
+                per_page: 100,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            for await (const response of iterator) {
+                for (const issue of response.data) {
+                    if (issue.pull_request) continue;
+
+                    const [owner, name] = issue.repository_url.split('/').slice(-2);
+                    yield {
+                        ...issue,
+                        repository: issue.repository || { full_name: `${owner}/${name}`, name, owner: { login: owner } }
+                    };
+                }
+            }
+        } catch (error) {
+            console.error(` Error searching issues in ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Search issues across every repository of an organization.
+     * Returns the getAllIssues shape; each issue carries its repository.
+     * @param {string} org - Organization login
+     * @param {Object} filters - Filters
+     * @param {string} filters.state - 'open' (default), 'closed' or 'all'
+     * @param {string[]} filters.labels - Issues with all of these labels
+     * @param {string} filters.assignee - Assignee login, or 'none' for unassigned issues
+     * @param {string} filters.author - Author login
+     * @param {string} filters.milestone - Milestone title, or 'none'
+     * @param {string[]} filters.repos - Limit to these repository names
+     * @param {number} filters.olderThanDays - Created more than this many days ago
+     * @param {number} filters.updatedBeforeDays - Not updated in this many days
+     * @param {string} filters.text - Free-text search terms
+     * @param {string} filters.query - Raw search query (replaces all other filters)
+     * @returns {Promise<Object>} Issues data with metadata
+     */
+    async searchOrgIssues(org, filters = {}) {
+        const query = filters.query || this.buildOrgIssueQuery(org, filters);
+
+        try {
+            console.log(`🔎 Searching issues in ${org}: ${query}`);
+
+            const issues = [];
+            for await (const issue of this.iterateOrgIssues(org, { ...filters, query })) {
+                issues.push(issue);
+            }
+
+            const repositories = new Set(issues.map(issue => issue.repository.full_name));
+            if (issues.length >= 1000) {
+                console.warn(`⚠️ The search API returns at most 1,000 results; narrow the query to see every match`);
+            }
+
+            console.log(` Found ${issues.length} issues across ${repositories.size} repositories in ${org}`);
+
+            return {
+                repository: org,
+                organization: org,
+                totalCount: issues.length,
+                issues,
+                metadata: {
+                    query,
+                    state: filters.state || 'open',
+                    repositories: repositories.size,
+                    fetchedAt: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            console.error(` Failed to search issues in ${org}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Assign a single issue to one user
      * @param {string} owner - Repository owner
@@ -291,120 +484,1103 @@ class GitHubIssueManagement {
     }
 
     /**
-     * Print formatted issues summary
-     * @param {Object} issuesData - Issues data from fetchIssues or getAllIssues
+     * Add a comment to an issue
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @param {string} body - Comment body (Markdown)
+     * @returns {Promise<Object>} Comment result
      */
-    printIssuesSummary(issuesData) {
-        console.log('\n ISSUES SUMMARY');
-        console.log('================================');
-        console.log(`Repository: ${issuesData.repository}`);
-        console.log(`Total Issues: ${issuesData.totalCount}`);
-        console.log(`State: ${issuesData.metadata.state || 'N/A'}`);
-        console.log(`Fetched At: ${issuesData.metadata.fetchedAt}`);
-        
-        if (issuesData.metadata.pagesProcessed) {
-            console.log(`Pages Processed: ${issuesData.metadata.pagesProcessed}`);
+    async addCommentToIssue(owner, repo, issue_number, body) {
+        try {
+            await this.ensureInitialized();
+
+            console.log(` Commenting on issue #${issue_number} in ${owner}/${repo}`);
+
+            const response = await this.octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+                owner,
+                repo,
+                issue_number,
+                body,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            console.log(` Successfully commented on issue #${issue_number}`);
+
+            return {
+                issue_number,
+                success: true,
+                commentId: response.data.id,
+                url: response.data.html_url
+            };
+        } catch (error) {
+            console.error(` Failed to comment on issue #${issue_number}:`, error.message);
+            return {
+                issue_number,
+                success: false,
+                error: error.message
+            };
         }
+    }
 
-        if (issuesData.issues && issuesData.issues.length > 0) {
-            console.log('\nRecent Issues:');
-            issuesData.issues.slice(0, 5).forEach(issue => {
-                const assignees = issue.assignees.map(a => a.login).join(', ') || 'Unassigned';
-                const labels = issue.labels.map(l => l.name).join(', ') || 'No labels';
-                console.log(`  #${issue.number}: ${issue.title}`);
-                console.log(`    Assignees: ${assignees}`);
-                console.log(`    Labels: ${labels}`);
-                console.log(`    Created: ${new Date(issue.created_at).toLocaleDateString()}`);
+    /**
+     * Get all comments of an issue
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @returns {Promise<Array>} Comments, oldest first
+     */
+    async getIssueComments(owner, repo, issue_number) {
+        try {
+            await this.ensureInitialized();
+            return await this.octokit.paginate('GET /repos/{owner}/{repo}/issues/{issue_number}/comments', {
+                owner,
+                repo,
+                issue_number,
+                per_page: 100,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
             });
-            
-            if (issuesData.issues.length > 5) {
-                console.log(`  ... and ${issuesData.issues.length - 5} more issues`);
-            }
+        } catch (error) {
+            console.error(` Failed to fetch comments of issue #${issue_number}:`, error.message);
+            throw error;
         }
-        console.log('================================\n');
     }
-}
 
-export default GitHubIssueManagement;
+    /**
+     * Edit an issue comment
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} comment_id - Comment ID
+     * @param {string} body - New comment body (Markdown)
+     * @returns {Promise<Object>} Comment result
+     */
+    async updateIssueComment(owner, repo, comment_id, body) {
+        try {
+            await this.ensureInitialized();
 
-// Example usage
-async function main() {
-    // Configuration - replace with your actual values
-    const config = {
-        appId: process.env.GITHUB_APP_ID || 'your-app-id',
-        privateKeyPath: process.env.GITHUB_PRIVATE_KEY_PATH || './private-key.pem',
-        installationId: process.env.GITHUB_INSTALLATION_ID || 'your-installation-id',
-        owner: process.env.GITHUB_OWNER || 'your-owner',
-        repo: process.env.GITHUB_REPO || 'your-repo'
-    };
+            console.log(` Editing comment ${comment_id} in ${owner}/${repo}`);
 
-    console.log('Starting GitHub Issue Management...');
+            const response = await this.octokit.request('PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}', {
+                owner,
+                repo,
+                comment_id,
+                body,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
 
-    try {
-        // Create issue management instance
-        const issueManager = new GitHubIssueManagement(
-            config.appId,
-            config.privateKeyPath,
-            config.installationId
-        );
+            console.log(` Successfully edited comment ${comment_id}`);
 
-        await issueManager.ensureInitialized();
-        console.log('Issue Management initialized successfully!');
+            return {
+                comment_id,
+                success: true,
+                url: response.data.html_url
+            };
+        } catch (error) {
+            console.error(` Failed to edit comment ${comment_id}:`, error.message);
+            return {
+                comment_id,
+                success: false,
+                error: error.message
+            };
+        }
+    }
 
-        // Example 1: Fetch all open issues
-        console.log('\n=== Fetching Open Issues ===');
-        const openIssues = await issueManager.getAllIssues(config.owner, config.repo, {
-            state: 'open'
-        });
-        
-        issueManager.printIssuesSummary(openIssues);
+    /**
+     * Create an issue
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} fields - { title, body, labels, assignees, milestone }
+     * @returns {Promise<Object>} Creation result
+     */
+    async createIssue(owner, repo, fields) {
+        try {
+            await this.ensureInitialized();
 
-        // Example 2: Get a specific issue
-        if (openIssues.issues.length > 0) {
-            const firstIssue = openIssues.issues[0];
-            console.log('\n=== Fetching Specific Issue ===');
-            const issueDetails = await issueManager.getIssue(config.owner, config.repo, firstIssue.number);
-            if (issueDetails.success) {
-                console.log(`Issue #${firstIssue.number}: ${issueDetails.issue.title}`);
-                console.log(`Current assignees: ${issueDetails.issue.assignees.map(a => a.login).join(', ') || 'None'}`);
+            if (!fields?.title) {
+                throw new Error('An issue title is required');
             }
-        }
 
-        // Example 3: Assign a single user to an issue
-        if (openIssues.issues.length > 0) {
-            const firstIssue = openIssues.issues[0];
-            console.log('\n=== Single Issue Assignment Example ===');
-            console.log(`Attempting to assign issue #${firstIssue.number} to a user...`);
-            
-            // Replace 'example-user' with an actual GitHub username
-            const assigneeUsername = 'example-user';
-            
-            // Uncomment to actually perform assignment:
-            // const assignResult = await issueManager.assignIssue(
-            //     config.owner, 
-            //     config.repo, 
-            //     firstIssue.number, 
-            //     assigneeUsername
-            // );
-            // 
-            // if (assignResult.success) {
-            //     console.log(`Successfully assigned issue #${firstIssue.number} to ${assigneeUsername}`);
-            // } else {
-            //     console.log(`Failed to assign issue: ${assignResult.error}`);
-            // }
-            
-            console.log(`Would assign issue #${firstIssue.number} to: ${assigneeUsername}`);
-        }
+            console.log(` Creating issue in ${owner}/${repo}: ${fields.title}`);
 
-        // Example 4: Add labels to an issue
-        if (openIssues.issues.length > 0) {
-            const firstIssue = openIssues.issues[0];
-            console.log('\n=== Adding Labels Example ===');
-            
-            // Uncomment to actually add labels:
-            // const labelResult = await issueManager.addLabelsToIssue(
-            //     config.owner, 
-            //     config.repo, 
+            const response = await this.octokit.request('POST /repos/{owner}/{repo}/issues', {
+                owner,
+                repo,
+                title: fields.title,
+                body: fields.body,
+                labels: fields.labels,
+                assignees: fields.assignees,
+                milestone: fields.milestone,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            console.log(` Successfully created issue #${response.data.number}`);
+
+            return {
+                issue_number: response.data.number,
+                success: true,
+                url: response.data.html_url,
+                issue: response.data
+            };
+        } catch (error) {
+            console.error(` Failed to create issue in ${owner}/${repo}:`, error.message);
+            return {
+                issue_number: null,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Create an issue from a template with {{variable}} substitution.
+     * Templates use the GitHub Markdown issue template format: front matter
+     * (title, labels, assignees) followed by the body.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string|Object} template - Template text, { path } of a local template file, or { title, body, labels, assignees }
+     * @param {Object} variables - Values substituted for {{name}} placeholders
+     * @param {Object} overrides - Fields that replace the template's (e.g. { assignees })
+     * @returns {Promise<Object>} Creation result
+     */
+    async createIssueFromTemplate(owner, repo, template, variables = {}, overrides = {}) {
+        try {
+            let parsed;
+            if (typeof template === 'string') {
+                parsed = parseIssueTemplate(template);
+            } else if (template && template.path) {
+                parsed = parseIssueTemplate(fs.readFileSync(template.path, 'utf8'));
+            } else {
+                parsed = template;
+            }
+
+            const fields = {
+                title: renderTemplateText(parsed.title || '', variables),
+                body: renderTemplateText(parsed.body || '', variables),
+                labels: (parsed.labels || []).map(label => renderTemplateText(label, variables)),
+                assignees: (parsed.assignees || []).map(assignee => renderTemplateText(assignee, variables)),
+                ...overrides
+            };
+
+            const unresolved = [fields.title, fields.body, ...fields.labels, ...fields.assignees]
+                .flatMap(text => [...String(text).matchAll(TEMPLATE_PLACEHOLDER)].map(match => match[1]));
+            if (unresolved.length > 0) {
+                throw new Error(`Missing template variables: ${[...new Set(unresolved)].join(', ')}`);
+            }
+
+            return await this.createIssue(owner, repo, fields);
+        } catch (error) {
+            console.error(` Failed to create issue from template in ${owner}/${repo}:`, error.message);
+            return {
+                issue_number: null,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Read a Markdown issue template from a repository's .github/ISSUE_TEMPLATE folder
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} name - Template file name (e.g. bug_report.md)
+     * @returns {Promise<Object>} Parsed template ({ name, about, title, labels, assignees, body })
+     */
+    async getRepositoryIssueTemplate(owner, repo, name) {
+        try {
+            await this.ensureInitialized();
+
+            const response = await this.octokit.request('GET /repos/{owner}/{repo}/contents/{path}', {
+                owner,
+                repo,
+                path: `.github/ISSUE_TEMPLATE/${name}`,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            return parseIssueTemplate(Buffer.from(response.data.content, 'base64').toString('utf8'));
+        } catch (error) {
+            console.error(` Failed to read issue template ${name} from ${owner}/${repo}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Edit the title and/or body of an issue
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @param {Object} changes - { title, body }
+     * @returns {Promise<Object>} Update result
+     */
+    async updateIssue(owner, repo, issue_number, changes) {
+        const { title, body } = changes || {};
+        if (title === undefined && body === undefined) {
+            return { issue_number, success: false, error: 'Nothing to update: pass a title and/or body' };
+        }
+
+        return this.patchIssue(owner, repo, issue_number, { title, body }, 'update');
+    }
+
+    /**
+     * Close an issue
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @param {string} stateReason - 'completed' (default) or 'not_planned'
+     * @returns {Promise<Object>} Close result
+     */
+    async closeIssue(owner, repo, issue_number, stateReason = 'completed') {
+        return this.patchIssue(owner, repo, issue_number, { state: 'closed', state_reason: stateReason }, 'close');
+    }
+
+    /**
+     * Reopen a closed issue
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @returns {Promise<Object>} Reopen result
+     */
+    async reopenIssue(owner, repo, issue_number) {
+        return this.patchIssue(owner, repo, issue_number, { state: 'open' }, 'reopen');
+    }
+
+    /**
+     * Apply a PATCH to an issue and return the standard result shape
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @param {Object} changes - Fields for PATCH /repos/{owner}/{repo}/issues/{issue_number}
+     * @param {string} action - Action name used in log messages
+     * @returns {Promise<Object>} Result ({ issue_number, success, state, stateReason })
+     */
+    async patchIssue(owner, repo, issue_number, changes, action) {
+        try {
+            await this.ensureInitialized();
+
+            console.log(` Issue #${issue_number} in ${owner}/${repo}: ${action}`);
+
+            const response = await this.octokit.request('PATCH /repos/{owner}/{repo}/issues/{issue_number}', {
+                owner,
+                repo,
+                issue_number,
+                ...changes,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            console.log(` Successfully applied ${action} to issue #${issue_number}`);
+
+            return {
+                issue_number,
+                success: true,
+                state: response.data.state,
+                stateReason: response.data.state_reason || null
+            };
+        } catch (error) {
+            console.error(` Failed to ${action} issue #${issue_number}:`, error.message);
+            return {
+                issue_number,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Lock an issue's conversation
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @param {string} lockReason - 'off-topic', 'too heated', 'resolved' or 'spam' (optional)
+     * @returns {Promise<Object>} Lock result
+     */
+    async lockIssue(owner, repo, issue_number, lockReason = null) {
+        try {
+            await this.ensureInitialized();
+
+            console.log(` Locking issue #${issue_number} in ${owner}/${repo}${lockReason ? ` (${lockReason})` : ''}`);
+
+            await this.octokit.request('PUT /repos/{owner}/{repo}/issues/{issue_number}/lock', {
+                owner,
+                repo,
+                issue_number,
+                ...(lockReason ? { lock_reason: lockReason } : {}),
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            console.log(` Successfully locked issue #${issue_number}`);
+
+            return {
+                issue_number,
+                success: true,
+                locked: true,
+                lockReason
+            };
+        } catch (error) {
+            console.error(` Failed to lock issue #${issue_number}:`, error.message);
+            return {
+                issue_number,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Unlock an issue's conversation
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @returns {Promise<Object>} Unlock result
+     */
+    async unlockIssue(owner, repo, issue_number) {
+        try {
+            await this.ensureInitialized();
+
+            console.log(` Unlocking issue #${issue_number} in ${owner}/${repo}`);
+
+            await this.octokit.request('DELETE /repos/{owner}/{repo}/issues/{issue_number}/lock', {
+                owner,
+                repo,
+                issue_number,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            console.log(` Successfully unlocked issue #${issue_number}`);
+
+            return {
+                issue_number,
+                success: true,
+                locked: false
+            };
+        } catch (error) {
+            console.error(` Failed to unlock issue #${issue_number}:`, error.message);
+            return {
+                issue_number,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Remove assignees from an issue
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @param {string[]} assignees - GitHub usernames
+     * @returns {Promise<Object>} Removal result
+     */
+    async removeAssigneesFromIssue(owner, repo, issue_number, assignees) {
+        try {
+            await this.ensureInitialized();
+
+            console.log(` Removing assignees from issue #${issue_number}: ${assignees.join(', ')}`);
+
+            const response = await this.octokit.request('DELETE /repos/{owner}/{repo}/issues/{issue_number}/assignees', {
+                owner,
+                repo,
+                issue_number,
+                assignees,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            console.log(` Successfully removed assignees from issue #${issue_number}`);
+
+            return {
+                issue_number,
+                assignees,
+                success: true,
+                currentAssignees: response.data.assignees.map(user => user.login)
+            };
+        } catch (error) {
+            console.error(` Failed to remove assignees from issue #${issue_number}:`, error.message);
+            return {
+                issue_number,
+                assignees,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Remove labels from an issue. Labels the issue does not have are ignored.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @param {string[]} labels - Array of label names
+     * @returns {Promise<Object>} Label removal result
+     */
+    async removeLabelsFromIssue(owner, repo, issue_number, labels) {
+        try {
+            await this.ensureInitialized();
+
+            console.log(` Removing labels from issue #${issue_number}: ${labels.join(', ')}`);
+
+            let currentLabels = null;
+            for (const name of labels) {
+                try {
+                    const response = await this.octokit.request('DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}', {
+                        owner,
+                        repo,
+                        issue_number,
+                        name,
+                        headers: {
+                            'X-GitHub-Api-Version': '2022-11-28'
+                        }
+                    });
+                    currentLabels = response.data.map(label => label.name);
+                } catch (error) {
+                    // 404: the issue does not have this label
+                    if (error.status !== 404) throw error;
+                }
+            }
+
+            console.log(` Successfully removed labels from issue #${issue_number}`);
+
+            return {
+                issue_number,
+                labels,
+                success: true,
+                currentLabels
+            };
+        } catch (error) {
+            console.error(` Failed to remove labels from issue #${issue_number}:`, error.message);
+            return {
+                issue_number,
+                labels,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Look up whether the Copilot coding agent can be assigned in a repository.
+     * The agent only appears among the repository's assignable actors when it is
+     * enabled for the repository and the plan, and the credentials can see it.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<Object>} { available, repositoryId, actor, reason }
+     */
+    async getCopilotAgentActor(owner, repo) {
+        try {
+            await this.ensureInitialized();
+
+            const { repository } = await this.octokit.graphql(`
+                query($owner: String!, $name: String!) {
+                    repository(owner: $owner, name: $name) {
+                        id
+                        suggestedActors(capabilities: [CAN_BE_ASSIGNED], first: 100) {
+                            nodes {
+                                login
+                                __typename
+                                ... on Bot { id }
+                                ... on User { id }
+                            }
+                        }
+                    }
+                }
+            `, { owner, name: repo });
+
+            const actor = repository.suggestedActors.nodes.find(node => node.login === COPILOT_AGENT_LOGIN) || null;
+
+            return {
+                available: Boolean(actor),
+                repositoryId: repository.id,
+                actor,
+                reason: actor ? null : `The Copilot coding agent is not assignable in ${owner}/${repo}. Check that the agent is enabled for the repository and the Copilot plan, and that a user token (not an installation token) is used`
+            };
+        } catch (error) {
+            console.error(` Failed to look up the Copilot coding agent in ${owner}/${repo}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Assign the Copilot coding agent to issues, keeping their existing assignees.
+     * Issues already assigned to the agent are skipped; handoffs are recorded in the store.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number[]} issueNumbers - Issue numbers
+     * @param {Object} options - Options
+     * @param {CopilotAgentHandoffStore|null} options.store - Handoff store (defaults to ./history; null disables tracking)
+     * @returns {Promise<Object>} { repository, available, reason, results, summary }
+     */
+    async assignCopilotAgentToIssues(owner, repo, issueNumbers, options = {}) {
+        const { store = new CopilotAgentHandoffStore() } = options;
+
+        const lookup = await this.getCopilotAgentActor(owner, repo);
+        const outcome = {
+            repository: `${owner}/${repo}`,
+            available: lookup.available,
+            reason: lookup.reason,
+            results: [],
+            summary: { succeeded: 0, skipped: 0, failed: 0 }
+        };
+
+        if (!lookup.available) {
+            console.log(`⚠️ ${lookup.reason}`);
+            outcome.results = issueNumbers.map(issue_number => ({ issue_number, success: false, error: lookup.reason }));
+            outcome.summary.failed = issueNumbers.length;
+            return outcome;
+        }
+
+        console.log(`🤖 Handing ${issueNumbers.length} issue(s) in ${owner}/${repo} to the Copilot coding agent`);
+
+        for (const issue_number of issueNumbers) {
+            outcome.results.push(await this.assignCopilotAgentToIssue(owner, repo, issue_number, lookup.actor));
+        }
+
+        outcome.results.forEach(result => {
+            if (result.skipped) outcome.summary.skipped++;
+            else if (result.success) outcome.summary.succeeded++;
+            else outcome.summary.failed++;
+        });
+
+        const handoffs = outcome.results
+            .filter(result => result.success)
+            .map(result => ({
+                repository: `${owner}/${repo}`,
+                issueNumber: result.issue_number,
+                title: result.title,
+                url: result.url,
+                handedOffAt: new Date().toISOString()
+            }));
+        if (store && handoffs.length > 0) {
+            await store.recordHandoffs(owner, handoffs);
+        }
+
+        console.log(`✅ ${outcome.summary.succeeded} handed off, ${outcome.summary.skipped} already assigned, ${outcome.summary.failed} failed`);
+
+        return outcome;
+    }
+
+    /**
+     * Assign the Copilot coding agent to a single issue
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} issue_number - Issue number
+     * @param {Object} actor - Agent actor from getCopilotAgentActor (looked up when omitted)
+     * @returns {Promise<Object>} Assignment result
+     */
+    async assignCopilotAgentToIssue(owner, repo, issue_number, actor = null) {
+        try {
+            await this.ensureInitialized();
+
+            if (!actor) {
+                const lookup = await this.getCopilotAgentActor(owner, repo);
+                if (!lookup.available) {
+                    return { issue_number, success: false, error: lookup.reason };
+                }
+                actor = lookup.actor;
+            }
+
+            const { repository } = await this.octokit.graphql(`
+                query($owner: String!, $name: String!, $number: Int!) {
+                    repository(owner: $owner, name: $name) {
+                        issue(number: $number) {
+                            id
+                            title
+                            url
+                            assignees(first: 100) {
+                                nodes { id login }
+                            }
+                        }
+                    }
+                }
+            `, { owner, name: repo, number: issue_number });
+
+            const issue = repository.issue;
+            if (!issue) {
+                throw new Error(`Issue #${issue_number} not found`);
+            }
+
+            const assignees = issue.assignees.nodes;
+            if (assignees.some(assignee => assignee.login === COPILOT_AGENT_LOGIN)) {
+                console.log(` Issue #${issue_number} is already assigned to the Copilot coding agent`);
+                return { issue_number, title: issue.title, url: issue.url, success: true, skipped: true };
+            }
+
+            console.log(` Assigning issue #${issue_number} in ${owner}/${repo} to the Copilot coding agent`);
+
+            await this.octokit.graphql(`
+                mutation($assignableId: ID!, $actorIds: [ID!]!) {
+                    replaceActorsForAssignable(input: { assignableId: $assignableId, actorIds: $actorIds }) {
+                        assignable {
+                            ... on Issue { id }
+                        }
+                    }
+                }
+            `, {
+                assignableId: issue.id,
+                actorIds: [...assignees.map(assignee => assignee.id), actor.id]
+            });
+
+            console.log(` Successfully handed issue #${issue_number} to the Copilot coding agent`);
+
+            return { issue_number, title: issue.title, url: issue.url, success: true, skipped: false };
+        } catch (error) {
+            console.error(` Failed to assign issue #${issue_number} to the Copilot coding agent:`, error.message);
+            return {
+                issue_number,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Run one operation over many issues with bounded concurrency.
+     * Issues already in the target state are skipped; failures are collected per item
+     * so the result can be exported and re-run with retryFailedBulkOperation.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number[]|Object} target - Issue numbers, { issues: number[] } or { filter: fetchIssues options }
+     * @param {Object} operation - { type, assignees, labels, milestone, body, stateReason } (see BULK_OPERATIONS)
+     * @param {Object} options - Options
+     * @param {number} options.concurrency - Issues processed at once (default 4)
+     * @returns {Promise<Object>} Bulk result ({ operation, items, summary })
+     */
+    async bulkUpdateIssues(owner, repo, target, operation, options = {}) {
+        const { concurrency = 4 } = options;
+        validateBulkOperation(operation);
+
+        try {
+            await this.ensureInitialized();
+
+            const result = {
+                repository: `${owner}/${repo}`,
+                owner,
+                repo,
+                operation,
+                target: Array.isArray(target) ? { issues: target } : target,
+                startedAt: new Date().toISOString(),
+                completedAt: null,
+                summary: { total: 0, succeeded: 0, skipped: 0, failed: 0 },
+                items: []
+            };
+
+            // Milestones are set by number; resolve a title once for the whole run
+            const resolvedOperation = operation.type === 'setMilestone'
+                ? { ...operation, milestone: await this.resolveMilestoneNumber(owner, repo, operation.milestone) }
+                : operation;
+
+            let entries;
+            if (result.target.filter) {
+                entries = [];
+                for await (const issue of this.iterateIssues(owner, repo, result.target.filter)) {
+                    entries.push({ number: issue.number, issue });
+                }
+            } else if (Array.isArray(result.target.issues)) {
+                entries = result.target.issues.map(number => ({ number: Number(number), issue: null }));
+            } else {
+                throw new Error('Bulk target must be a list of issue numbers, { issues } or { filter }');
+            }
+
+            console.log(`📦 Running ${operation.type} on ${entries.length} issue(s) in ${owner}/${repo} (concurrency ${concurrency})`);
+
+            result.items = await mapWithConcurrency(entries, concurrency, async entry => {
+                let issue = entry.issue;
+                if (!issue) {
+                    const fetched = await this.getIssue(owner, repo, entry.number);
+                    if (!fetched.success) {
+                        return { issue_number: entry.number, status: 'failed', error: fetched.error };
+                    }
+                    issue = fetched.issue;
+                }
+
+                if (issue.pull_request) {
+                    return { issue_number: entry.number, title: issue.title, status: 'skipped', reason: 'is a pull request' };
+                }
+
+                try {
+                    const skipReason = getBulkSkipReason(issue, resolvedOperation);
+                    if (skipReason) {
+                        return { issue_number: entry.number, title: issue.title, status: 'skipped', reason: skipReason };
+                    }
+
+                    await executeBulkOperation(this.octokit, owner, repo, issue, resolvedOperation);
+                    return { issue_number: entry.number, title: issue.title, status: 'succeeded' };
+                } catch (error) {
+                    console.error(`❌ Failed to ${operation.type} issue #${entry.number}:`, error.message);
+                    return { issue_number: entry.number, title: issue.title, status: 'failed', error: error.message };
+                }
+            });
+
+            result.items.forEach(item => result.summary[item.status]++);
+            result.summary.total = result.items.length;
+            result.completedAt = new Date().toISOString();
+
+            this.printBulkSummary(result);
+
+            return result;
+        } catch (error) {
+            console.error(`❌ Bulk ${operation.type} failed for ${owner}/${repo}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Re-run a bulk operation for the items that failed in an earlier result
+     * @param {Object} previousResult - Result from bulkUpdateIssues (or its exported JSON)
+     * @param {Object} options - Options passed to bulkUpdateIssues
+     * @returns {Promise<Object>} New bulk result covering only the failed items
+     */
+    async retryFailedBulkOperation(previousResult, options = {}) {
+        if (!previousResult || !Array.isArray(previousResult.items) || !previousResult.operation?.type || !previousResult.owner || !previousResult.repo) {
+            throw new Error('retryFailedBulkOperation requires a result from bulkUpdateIssues (its exported JSON report)');
+        }
+
+        const failed = previousResult.items.filter(item => item.status === 'failed').map(item => item.issue_number);
+        console.log(`🔁 Retrying ${failed.length} failed item(s) of ${previousResult.operation.type} in ${previousResult.repository}`);
+
+        return this.bulkUpdateIssues(previousResult.owner, previousResult.repo, { issues: failed }, previousResult.operation, options);
+    }
+
+    /**
+     * Resolve a milestone title or number to its number
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string|number|null} milestone - Milestone title or number (null clears the milestone)
+     * @returns {Promise<number|null>} Milestone number
+     */
+    async resolveMilestoneNumber(owner, repo, milestone) {
+        if (milestone === null || milestone === 'none') return null;
+        if (/^\d+$/.test(String(milestone))) return Number(milestone);
+
+        try {
+            await this.ensureInitialized();
+            const milestones = await this.octokit.paginate('GET /repos/{owner}/{repo}/milestones', {
+                owner,
+                repo,
+                state: 'all',
+                per_page: 100,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            const match = milestones.find(entry => entry.title === milestone);
+            if (!match) {
+                throw new Error(`Milestone "${milestone}" not found in ${owner}/${repo}`);
+            }
+            return match.number;
+        } catch (error) {
+            console.error(` Failed to resolve milestone ${milestone}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Print the summary of a bulk operation
+     * @param {Object} result - Result from bulkUpdateIssues
+     */
+    printBulkSummary(result) {
+        console.log(`\n📦 BULK ${result.operation.type.toUpperCase()} SUMMARY`);
+        console.log('================================');
+        console.log(`Repository: ${result.repository}`);
+        console.log(`Total: ${result.summary.total} (✅ ${result.summary.succeeded} succeeded, ⏭️ ${result.summary.skipped} skipped, ❌ ${result.summary.failed} failed)`);
+
+        const failed = result.items.filter(item => item.status === 'failed');
+        if (failed.length > 0) {
+            console.log('\nFailures:');
+            failed.forEach(item => console.log(`  #${item.issue_number}: ${item.error}`));
+        }
+        console.log('================================\n');
+    }
+
+    /**
+     * Export issues data to a file
+     * @param {Object} issuesData - Issues data from fetchIssues or getAllIssues, or a bulkUpdateIssues result
+     * @param {string} filename - Output filename
+     * @param {string} format - 'json', 'csv', 'markdown' or 'html'
+     * @returns {Promise<string>} Path of the written file
+     */
+    async exportReportToFile(issuesData, filename = null, format = 'json') {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const prefix = issuesData.operation ? `issues-bulk-${issuesData.operation.type}` : 'issues';
+            const [outputFilename] = await exportReport(issuesData, {
+                format,
+                filename,
+                baseName: `${prefix}-${issuesData.repository.replace('/', '-')}-${timestamp}`
+            });
+            return outputFilename;
+        } catch (error) {
+            console.error('Error exporting issues to file:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Print formatted issues summary
+     * @param {Object} issuesData - Issues data from fetchIssues or getAllIssues
+     */
+    printIssuesSummary(issuesData) {
+        console.log('\n ISSUES SUMMARY');
+        console.log('================================');
+        console.log(`Repository: ${issuesData.repository}`);
+        console.log(`Total Issues: ${issuesData.totalCount}`);
+        console.log(`State: ${issuesData.metadata.state || 'N/A'}`);
+        console.log(`Fetched At: ${issuesData.metadata.fetchedAt}`);
+        
+        if (issuesData.metadata.pagesProcessed) {
+            console.log(`Pages Processed: ${issuesData.metadata.pagesProcessed}`);
+        }
+
+        if (issuesData.issues && issuesData.issues.length > 0) {
+            console.log('\nRecent Issues:');
+            issuesData.issues.slice(0, 5).forEach(issue => {
+                const assignees = issue.assignees.map(a => a.login).join(', ') || 'Unassigned';
+                const labels = issue.labels.map(l => l.name).join(', ') || 'No labels';
+                console.log(`  ${issue.repository?.full_name || ''}#${issue.number}: ${issue.title}`);
+                console.log(`    Assignees: ${assignees}`);
+                console.log(`    Labels: ${labels}`);
+                console.log(`    Created: ${new Date(issue.created_at).toLocaleDateString()}`);
+            });
+            
+            if (issuesData.issues.length > 5) {
+                console.log(`  ... and ${issuesData.issues.length - 5} more issues`);
+            }
+        }
+        console.log('================================\n');
+    }
+}
+
+/**
+ * Parse a Markdown issue template: optional front matter followed by the body
+ * @param {string} content - Template text
+ * @returns {Object} { name, about, title, labels, assignees, body }
+ */
+function parseIssueTemplate(content) {
+    const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    if (!match) {
+        return { title: '', labels: [], assignees: [], body: content };
+    }
+
+    const frontMatter = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const key = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim().replace(/^(['"])(.*)\1$/, '$2');
+        frontMatter[key] = value;
+    });
+
+    const list = value => (value || '').replace(/^\[|\]$/g, '').split(',').map(item => item.trim().replace(/^(['"])(.*)\1$/, '$2')).filter(Boolean);
+
+    return {
+        name: frontMatter.name || null,
+        about: frontMatter.about || null,
+        title: frontMatter.title || '',
+        labels: list(frontMatter.labels),
+        assignees: list(frontMatter.assignees),
+        body: match[2]
+    };
+}
+
+/**
+ * Replace {{name}} placeholders; unknown placeholders and ${{ }} expressions are left in place
+ * @param {string} text - Template text
+ * @param {Object} variables - Placeholder values
+ * @returns {string} Rendered text
+ */
+function renderTemplateText(text, variables) {
+    return String(text).replace(TEMPLATE_PLACEHOLDER, (placeholder, name) =>
+        variables[name] === undefined || variables[name] === null ? placeholder : String(variables[name]));
+}
+
+/**
+ * Check that a bulk operation is known and has the field it needs
+ * @param {Object} operation - Bulk operation
+ */
+function validateBulkOperation(operation) {
+    if (!operation || !(operation.type in BULK_OPERATIONS)) {
+        throw new Error(`Unknown bulk operation: ${operation?.type}. Supported: ${Object.keys(BULK_OPERATIONS).join(', ')}`);
+    }
+
+    const field = BULK_OPERATIONS[operation.type];
+    const value = operation[field];
+    if (field === 'milestone' ? value === undefined : field && (!value || value.length === 0)) {
+        throw new Error(`Bulk ${operation.type} requires ${field}`);
+    }
+    if ((field === 'assignees' || field === 'labels') && !Array.isArray(value)) {
+        throw new Error(`Bulk ${operation.type} requires ${field} as a list`);
+    }
+}
+
+/**
+ * Decide whether an issue is already in the state a bulk operation would produce
+ * @param {Object} issue - Issue from the REST API
+ * @param {Object} operation - Bulk operation (milestone resolved to a number)
+ * @returns {string|null} Skip reason, or null when the operation should run
+ */
+function getBulkSkipReason(issue, operation) {
+    const assignees = (issue.assignees || []).map(assignee => assignee.login.toLowerCase());
+    const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+
+    switch (operation.type) {
+        case 'assign':
+            return operation.assignees.every(login => assignees.includes(login.toLowerCase())) ? 'already assigned' : null;
+        case 'unassign':
+            return operation.assignees.some(login => assignees.includes(login.toLowerCase())) ? null : 'not assigned';
+        case 'addLabels':
+            return operation.labels.every(label => labels.includes(label.toLowerCase())) ? 'labels already present' : null;
+        case 'removeLabels':
+            return operation.labels.some(label => labels.includes(label.toLowerCase())) ? null : 'labels not present';
+        case 'close':
+            return issue.state === 'closed' ? 'already closed' : null;
+        case 'reopen':
+            return issue.state === 'open' ? 'already open' : null;
+        case 'setMilestone':
+            return (issue.milestone?.number ?? null) === operation.milestone ? 'milestone already set' : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Apply a bulk operation to one issue; throws on failure
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} issue - Issue from the REST API
+ * @param {Object} operation - Bulk operation (milestone resolved to a number)
+ */
+async function executeBulkOperation(octokit, owner, repo, issue, operation) {
+    const params = {
+        owner,
+        repo,
+        issue_number: issue.number,
+        headers: {
+            'X-GitHub-Api-Version': '2022-11-28'
+        }
+    };
+
+    switch (operation.type) {
+        case 'assign':
+            await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/assignees', { ...params, assignees: operation.assignees });
+            break;
+        case 'unassign':
+            await octokit.request('DELETE /repos/{owner}/{repo}/issues/{issue_number}/assignees', { ...params, assignees: operation.assignees });
+            break;
+        case 'addLabels':
+            await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/labels', { ...params, labels: operation.labels });
+            break;
+        case 'removeLabels': {
+            const present = (issue.labels || []).map(label => typeof label === 'string' ? label : label.name);
+            for (const label of present.filter(name => operation.labels.some(wanted => wanted.toLowerCase() === name.toLowerCase()))) {
+                await octokit.request('DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}', { ...params, name: label });
+            }
+            break;
+        }
+        case 'close':
+            await octokit.request('PATCH /repos/{owner}/{repo}/issues/{issue_number}', { ...params, state: 'closed', state_reason: operation.stateReason || 'completed' });
+            break;
+        case 'reopen':
+            await octokit.request('PATCH /repos/{owner}/{repo}/issues/{issue_number}', { ...params, state: 'open' });
+            break;
+        case 'setMilestone':
+            await octokit.request('PATCH /repos/{owner}/{repo}/issues/{issue_number}', { ...params, milestone: operation.milestone });
+            break;
+        case 'comment':
+            await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/comments', { ...params, body: operation.body });
+            break;
+    }
+}
+
+export default GitHubIssueManagement;
+
+// Example usage
+async function main() {
+    // Configuration - replace with your actual values
+    const config = {
+        auth: authOptionsFromEnv(),
+        owner: process.env.GITHUB_OWNER || 'your-owner',
+        repo: process.env.GITHUB_REPO || 'your-repo'
+    };
+
+    console.log('Starting GitHub Issue Management...');
+
+    try {
+        // Create issue management instance
+        const issueManager = new GitHubIssueManagement(config.auth);
+
+        await issueManager.ensureInitialized();
+        console.log('Issue Management initialized successfully!');
+
+        // Example 1: Fetch all open issues
+        console.log('\n=== Fetching Open Issues ===');
+        const openIssues = await issueManager.getAllIssues(config.owner, config.repo, {
+            state: 'open'
+        });
+        
+        issueManager.printIssuesSummary(openIssues);
+
+        // Example 2: Get a specific issue
+        if (openIssues.issues.length > 0) {
+            const firstIssue = openIssues.issues[0];
+            console.log('\n=== Fetching Specific Issue ===');
+            const issueDetails = await issueManager.getIssue(config.owner, config.repo, firstIssue.number);
+            if (issueDetails.success) {
+                console.log(`Issue #${firstIssue.number}: ${issueDetails.issue.title}`);
+                console.log(`Current assignees: ${issueDetails.issue.assignees.map(a => a.login).join(', ') || 'None'}`);
+            }
+        }
+
+        // Example 3: Assign a single user to an issue
+        if (openIssues.issues.length > 0) {
+            const firstIssue = openIssues.issues[0];
+            console.log('\n=== Single Issue Assignment Example ===');
+            console.log(`Attempting to assign issue #${firstIssue.number} to a user...`);
+            
+            // Replace 'example-user' with an actual GitHub username
+            const assigneeUsername = 'example-user';
+            
+            // Uncomment to actually perform assignment:
+            // const assignResult = await issueManager.assignIssue(
+            //     config.owner, 
+            //     config.repo, 
+            //     firstIssue.number, 
+            //     assigneeUsername
+            // );
+            // 
+            // if (assignResult.success) {
+            //     console.log(`Successfully assigned issue #${firstIssue.number} to ${assigneeUsername}`);
+            // } else {
+            //     console.log(`Failed to assign issue: ${assignResult.error}`);
+            // }
+            
+            console.log(`Would assign issue #${firstIssue.number} to: ${assigneeUsername}`);
+        }
+
+        // Example 4: Add labels to an issue
+        if (openIssues.issues.length > 0) {
+            const firstIssue = openIssues.issues[0];
+            console.log('\n=== Adding Labels Example ===');
+            
+            // Uncomment to actually add labels:
+            // const labelResult = await issueManager.addLabelsToIssue(
+            //     config.owner, 
+            //     config.repo, 
             //     firstIssue.number, 
             //     ['needs-review', 'enhancement']
             // );
@@ -418,14 +1594,18 @@ async function main() {
             console.log(`Would add labels ['needs-review', 'enhancement'] to issue #${firstIssue.number}`);
         }
 
+        printRateLimitReport(issueManager.octokit);
+
     } catch (error) {
         console.error('Error in main execution:', error.message);
         process.exit(1);
     }
 }
 
-// Run the example
-main().catch(error => {
-    console.error('Unhandled error:', error.message);
-    process.exit(1);
-});
+// Run the example when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
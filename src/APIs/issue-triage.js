@@ -0,0 +1,449 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv } from '../auth/client-factory.js';
+import GitHubIssueManagement, { COPILOT_AGENT_LOGIN } from './issue-management.js';
+import { printRateLimitReport } from '../request/request-layer.js';
+import { assertFreshPlan } from './plan-freshness.js';
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Assignee name in rules files that stands for the Copilot coding agent
+const COPILOT_ASSIGNEE = 'copilot';
+
+// Logins the Copilot coding agent appears under (REST and GraphQL)
+const COPILOT_AGENT_LOGINS = ['copilot', COPILOT_AGENT_LOGIN];
+
+const MATCH_KEYS = ['title', 'body', 'labels', 'notLabels', 'author', 'olderThanDays', 'newerThanDays'];
+const ACTION_KEYS = ['labels', 'assignees', 'comment'];
+
+/**
+ * Load a triage rules file (JSON, or YAML when the yaml package is installed)
+ * @param {string} filePath - Path to a .json, .yml or .yaml file
+ * @returns {Promise<Object[]>} Validated rules
+ */
+export async function loadTriageRules(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    let parsed;
+    if (extension === '.yml' || extension === '.yaml') {
+        let yaml;
+        try {
+            yaml = await import('yaml');
+        } catch (error) {
+            throw new Error(`Reading ${filePath} requires the yaml package (npm install yaml), or use a JSON rules file`);
+        }
+        parsed = yaml.parse(content);
+    } else {
+        parsed = JSON.parse(content);
+    }
+
+    return validateTriageRules(Array.isArray(parsed) ? parsed : parsed?.rules);
+}
+
+/**
+ * Validate triage rules and fill in defaults
+ * @param {Object[]} rules - Rules ({ name, match, actions })
+ * @returns {Object[]} Validated rules
+ */
+export function validateTriageRules(rules) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+        throw new Error('Triage rules must be a non-empty list (or an object with a "rules" list)');
+    }
+
+    const names = new Set();
+    return rules.map((rule, index) => {
+        const name = rule.name || `rule-${index + 1}`;
+        if (names.has(name)) {
+            throw new Error(`Duplicate triage rule name: ${name}`);
+        }
+        names.add(name);
+
+        const match = rule.match || {};
+        const actions = rule.actions || {};
+
+        const unknownMatch = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+        const unknownActions = Object.keys(actions).filter(key => !ACTION_KEYS.includes(key));
+        if (unknownMatch.length > 0 || unknownActions.length > 0) {
+            throw new Error(`Rule ${name}: unknown keys ${[...unknownMatch, ...unknownActions].join(', ')}`);
+        }
+        if (Object.keys(actions).length === 0) {
+            throw new Error(`Rule ${name}: at least one action (labels, assignees, comment) is required`);
+        }
+
+        ['title', 'body'].forEach(key => {
+            if (match[key] === undefined) return;
+            try {
+                new RegExp(match[key], 'i');
+            } catch (error) {
+                throw new Error(`Rule ${name}: invalid ${key} pattern: ${error.message}`);
+            }
+        });
+
+        return {
+            name,
+            match: {
+                ...match,
+                labels: toList(match.labels),
+                notLabels: toList(match.notLabels),
+                author: toList(match.author)
+            },
+            actions: {
+                labels: toList(actions.labels),
+                assignees: toList(actions.assignees),
+                comment: actions.comment || null
+            }
+        };
+    });
+}
+
+/**
+ * Rule-based issue triage: match issues against rules and apply labels,
+ * assignees (including the Copilot coding agent) and comments.
+ * Extends GitHubIssueManagement to reuse its issue listing and write operations.
+ */
+class GitHubIssueTriage extends GitHubIssueManagement {
+    /**
+     * Check whether an issue matches a rule
+     * @param {Object} issue - Issue from the REST API
+     * @param {Object} rule - Validated rule
+     * @param {Date} now - Reference time for age conditions
+     * @returns {boolean} True when every condition of the rule holds
+     */
+    matchesRule(issue, rule, now = new Date()) {
+        const { match } = rule;
+        const labels = issueLabels(issue);
+        const ageDays = (now.getTime() - new Date(issue.created_at).getTime()) / DAY_MS;
+
+        if (match.title !== undefined && !new RegExp(match.title, 'i').test(issue.title || '')) return false;
+        if (match.body !== undefined && !new RegExp(match.body, 'i').test(issue.body || '')) return false;
+        if (!match.labels.every(label => labels.includes(label.toLowerCase()))) return false;
+        if (match.notLabels.some(label => labels.includes(label.toLowerCase()))) return false;
+        if (match.author.length > 0 && !match.author.some(author => author.toLowerCase() === issue.user?.login?.toLowerCase())) return false;
+        if (match.olderThanDays !== undefined && ageDays < match.olderThanDays) return false;
+        if (match.newerThanDays !== undefined && ageDays > match.newerThanDays) return false;
+
+        return true;
+    }
+
+    /**
+     * Work out the actions a set of matching rules would take on an issue,
+     * leaving out anything the issue already has
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} issue - Issue from the REST API
+     * @param {Object[]} matchedRules - Rules that match the issue
+     * @returns {Promise<Object>} { labels, assignees, copilot, comments }
+     */
+    async planIssueActions(owner, repo, issue, matchedRules) {
+        const labels = issueLabels(issue);
+        const assignees = (issue.assignees || []).map(assignee => assignee.login.toLowerCase());
+        const actions = { labels: [], assignees: [], copilot: false, comments: [] };
+
+        matchedRules.forEach(rule => {
+            rule.actions.labels
+                .filter(label => !labels.includes(label.toLowerCase()) && !actions.labels.includes(label))
+                .forEach(label => actions.labels.push(label));
+
+            rule.actions.assignees.forEach(assignee => {
+                if (assignee.toLowerCase() === COPILOT_ASSIGNEE) {
+                    actions.copilot = actions.copilot || !assignees.some(login => COPILOT_AGENT_LOGINS.includes(login));
+                } else if (!assignees.includes(assignee.toLowerCase()) && !actions.assignees.includes(assignee)) {
+                    actions.assignees.push(assignee);
+                }
+            });
+        });
+
+        // Comments carry a marker per rule so a rule never comments twice on the same issue
+        const commentRules = matchedRules.filter(rule => rule.actions.comment);
+        if (commentRules.length > 0) {
+            const existing = issue.comments > 0 ? await this.getIssueComments(owner, repo, issue.number) : [];
+            commentRules
+                .filter(rule => !existing.some(comment => (comment.body || '').includes(commentMarker(rule.name))))
+                .forEach(rule => actions.comments.push({ rule: rule.name, body: `${rule.actions.comment}\n\n${commentMarker(rule.name)}` }));
+        }
+
+        return actions;
+    }
+
+    /**
+     * Narrow the actions of a plan down to what an issue still lacks, so applying
+     * the same plan twice changes nothing the second time
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} issue - Current issue from the REST API
+     * @param {Object} planned - Actions from a triage plan
+     * @returns {Promise<Object>} { labels, assignees, copilot, comments }
+     */
+    async remainingIssueActions(owner, repo, issue, planned) {
+        const labels = issueLabels(issue);
+        const assignees = (issue.assignees || []).map(assignee => assignee.login.toLowerCase());
+        const existing = planned.comments.length > 0 && issue.comments > 0 ? await this.getIssueComments(owner, repo, issue.number) : [];
+
+        return {
+            labels: planned.labels.filter(label => !labels.includes(label.toLowerCase())),
+            assignees: planned.assignees.filter(assignee => !assignees.includes(assignee.toLowerCase())),
+            copilot: planned.copilot && !assignees.some(login => COPILOT_AGENT_LOGINS.includes(login)),
+            comments: planned.comments.filter(comment => !existing.some(item => (item.body || '').includes(commentMarker(comment.rule))))
+        };
+    }
+
+    /**
+     * Build a triage plan (dry-run preview) for a repository's issues.
+     * Nothing is changed; pass the returned plan to applyTriagePlan.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object[]} rules - Rules from loadTriageRules or validateTriageRules
+     * @param {Object} options - Options
+     * @param {Object} options.issueOptions - Filters passed to iterateIssues (default: open issues)
+     * @param {Object[]} options.issues - Plan only these issues instead of listing the repository (e.g. from a webhook payload)
+     * @param {Date} options.now - Reference time for age conditions
+     * @returns {Promise<Object>} Triage plan
+     */
+    async planTriage(owner, repo, rules, options = {}) {
+        const { issueOptions = { state: 'open' }, issues = null, now = new Date() } = options;
+        const validatedRules = validateTriageRules(rules);
+
+        try {
+            console.log(`🔎 Planning triage for ${owner}/${repo} with ${validatedRules.length} rule(s)`);
+
+            const plan = {
+                repository: `${owner}/${repo}`,
+                owner,
+                repo,
+                dryRun: true,
+                plannedAt: now.toISOString(),
+                rules: validatedRules,
+                issues: [],
+                summary: {
+                    scanned: 0,
+                    matched: 0,
+                    withActions: 0,
+                    alreadyTriaged: 0
+                }
+            };
+
+            for await (const issue of issues || this.iterateIssues(owner, repo, issueOptions)) {
+                plan.summary.scanned++;
+
+                const matchedRules = validatedRules.filter(rule => this.matchesRule(issue, rule, now));
+                if (matchedRules.length === 0) continue;
+                plan.summary.matched++;
+
+                const actions = await this.planIssueActions(owner, repo, issue, matchedRules);
+                const hasActions = actions.labels.length > 0 || actions.assignees.length > 0 || actions.copilot || actions.comments.length > 0;
+                if (hasActions) plan.summary.withActions++;
+                else plan.summary.alreadyTriaged++;
+
+                plan.issues.push({
+                    number: issue.number,
+                    title: issue.title,
+                    url: issue.html_url,
+                    matchedRules: matchedRules.map(rule => rule.name),
+                    actions,
+                    alreadyTriaged: !hasActions
+                });
+            }
+
+            this.printTriagePlan(plan);
+
+            return plan;
+        } catch (error) {
+            console.error(`❌ Failed to plan triage for ${owner}/${repo}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a triage plan. Each issue is read again first and only gets the labels,
+     * assignees and rule comments it still lacks; issues already in the target state are skipped.
+     * @param {Object} plan - Plan from planTriage
+     * @param {Object} options - Apply options
+     * @param {number} options.maxPlanAgeHours - Refuse plans older than this
+     * @returns {Promise<Object>} Triage record ({ results, summary })
+     */
+    async applyTriagePlan(plan, options = {}) {
+        const { maxPlanAgeHours = 24 } = options;
+
+        if (!plan || !plan.dryRun || !Array.isArray(plan.issues)) {
+            throw new Error('applyTriagePlan requires a plan from planTriage (dry-run preview)');
+        }
+
+        assertFreshPlan(plan, maxPlanAgeHours, 'Triage plan');
+
+        const { owner, repo } = plan;
+
+        try {
+            await this.ensureInitialized();
+
+            const record = {
+                repository: plan.repository,
+                appliedAt: new Date().toISOString(),
+                plannedAt: plan.plannedAt,
+                results: [],
+                summary: { succeeded: 0, skipped: 0, failed: 0 }
+            };
+
+            const copilotIssues = [];
+
+            for (const entry of plan.issues) {
+                if (entry.alreadyTriaged) {
+                    record.results.push({ number: entry.number, status: 'skipped', reason: 'already in target state' });
+                    record.summary.skipped++;
+                    continue;
+                }
+
+                // The plan may be hours old or already applied, so check against the issue as it is now
+                const current = await this.getIssue(owner, repo, entry.number);
+                if (!current.success) {
+                    record.results.push({ number: entry.number, status: 'failed', error: current.error });
+                    record.summary.failed++;
+                    continue;
+                }
+
+                const actions = await this.remainingIssueActions(owner, repo, current.issue, entry.actions);
+                if (actions.labels.length === 0 && actions.assignees.length === 0 && !actions.copilot && actions.comments.length === 0) {
+                    record.results.push({ number: entry.number, status: 'skipped', reason: 'already in target state' });
+                    record.summary.skipped++;
+                    continue;
+                }
+
+                const operations = [];
+
+                if (actions.labels.length > 0) {
+                    operations.push({ action: 'labels', ...await this.addLabelsToIssue(owner, repo, entry.number, actions.labels) });
+                }
+                for (const assignee of actions.assignees) {
+                    operations.push({ action: 'assignee', ...await this.assignIssue(owner, repo, entry.number, assignee) });
+                }
+                for (const comment of actions.comments) {
+                    operations.push({ action: 'comment', rule: comment.rule, ...await this.addCommentToIssue(owner, repo, entry.number, comment.body) });
+                }
+                if (actions.copilot) {
+                    copilotIssues.push(entry.number);
+                }
+
+                record.results.push({ number: entry.number, operations });
+            }
+
+            // The agent is looked up once and every handoff is tracked by assignCopilotAgentToIssues
+            if (copilotIssues.length > 0) {
+                const handoff = await this.assignCopilotAgentToIssues(owner, repo, copilotIssues);
+                handoff.results.forEach(result => {
+                    const entry = record.results.find(item => item.number === result.issue_number);
+                    entry.operations.push({ action: 'copilot', ...result });
+                });
+            }
+
+            record.results.filter(entry => entry.operations).forEach(entry => {
+                entry.status = entry.operations.every(operation => operation.success) ? 'succeeded' : 'failed';
+                record.summary[entry.status]++;
+            });
+
+            console.log(`✅ Triage applied: ${record.summary.succeeded} succeeded, ${record.summary.skipped} skipped, ${record.summary.failed} failed`);
+
+            return record;
+        } catch (error) {
+            console.error(`❌ Failed to apply triage for ${plan.repository}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Print a triage plan
+     * @param {Object} plan - Plan from planTriage
+     */
+    printTriagePlan(plan) {
+        console.log('\n🗂️ ISSUE TRIAGE PLAN (dry run)');
+        console.log('================================');
+        console.log(`Repository: ${plan.repository}`);
+        console.log(`Planned At: ${plan.plannedAt}`);
+        console.log(`Issues scanned: ${plan.summary.scanned}, matched: ${plan.summary.matched}, with actions: ${plan.summary.withActions}, already triaged: ${plan.summary.alreadyTriaged}`);
+
+        plan.issues.filter(entry => !entry.alreadyTriaged).forEach(entry => {
+            console.log(`\n  #${entry.number}: ${entry.title}`);
+            console.log(`    Rules: ${entry.matchedRules.join(', ')}`);
+            if (entry.actions.labels.length > 0) console.log(`    + labels: ${entry.actions.labels.join(', ')}`);
+            if (entry.actions.assignees.length > 0) console.log(`    + assignees: ${entry.actions.assignees.join(', ')}`);
+            if (entry.actions.copilot) console.log('    + assignee: Copilot coding agent');
+            entry.actions.comments.forEach(comment => console.log(`    + comment (${comment.rule})`));
+        });
+        console.log('================================\n');
+    }
+}
+
+/**
+ * Normalize a string or list value into a list
+ * @param {string|string[]} value - Value from a rules file
+ * @returns {string[]} List
+ */
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * Lower-cased label names of an issue
+ * @param {Object} issue - Issue from the REST API
+ * @returns {string[]} Label names
+ */
+function issueLabels(issue) {
+    return (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+}
+
+/**
+ * Hidden marker identifying comments written by a triage rule
+ * @param {string} ruleName - Rule name
+ * @returns {string} HTML comment
+ */
+function commentMarker(ruleName) {
+    return `<!-- ghtk-triage:${ruleName} -->`;
+}
+
+export default GitHubIssueTriage;
+
+// Example usage
+async function main() {
+    const config = {
+        auth: authOptionsFromEnv(),
+        owner: process.env.GITHUB_OWNER || 'your-owner',
+        repo: process.env.GITHUB_REPO || 'your-repo',
+        rulesFile: process.env.TRIAGE_RULES_FILE || './triage-rules.json',
+        // Only change issues when explicitly requested
+        apply: process.env.TRIAGE_APPLY === 'true'
+    };
+
+    try {
+        const triage = new GitHubIssueTriage(config.auth);
+        const rules = await loadTriageRules(config.rulesFile);
+
+        const plan = await triage.planTriage(config.owner, config.repo, rules);
+
+        if (!config.apply) {
+            console.log('Dry run only. Set TRIAGE_APPLY=true to apply the actions listed above.');
+            return;
+        }
+
+        await triage.applyTriagePlan(plan);
+        printRateLimitReport(triage.octokit);
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
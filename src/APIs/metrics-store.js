@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local JSONL store for Copilot metrics history.
+ * The metrics API only returns the last 28 days, so each sync appends new days
+ * (and one seat snapshot per day) to per-organization files:
+ *
+ *   {baseDir}/{org}/metrics.jsonl  - one line per day from /copilot/metrics
+ *   {baseDir}/{org}/seats.jsonl    - one seat snapshot per day
+ */
+class CopilotMetricsStore {
+    /**
+     * @param {string} baseDir - Store directory (defaults to ./history)
+     */
+    constructor(baseDir = null) {
+        this.baseDir = baseDir || process.env.COPILOT_HISTORY_DIR || path.join(process.cwd(), 'history');
+    }
+
+    /**
+     * Path of one of an organization's store files
+     * @param {string} org - Organization name
+     * @param {string} name - 'metrics' or 'seats'
+     * @returns {string} File path
+     */
+    getFilePath(org, name) {
+        return path.join(this.baseDir, org, `${name}.jsonl`);
+    }
+
+    /**
+     * Read all records from a store file
+     * @param {string} org - Organization name
+     * @param {string} name - 'metrics' or 'seats'
+     * @returns {Array} Records in file order
+     */
+    readRecords(org, name) {
+        const filePath = this.getFilePath(org, name);
+        if (!fs.existsSync(filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    /**
+     * Append records whose date is not stored yet
+     * @param {string} org - Organization name
+     * @param {string} name - 'metrics' or 'seats'
+     * @param {Array} records - Records with a `date` field (YYYY-MM-DD)
+     * @returns {Object} { added, skipped }
+     */
+    appendRecords(org, name, records) {
+        const stored = new Set(this.readRecords(org, name).map(record => record.date));
+        const seen = new Set();
+        const newRecords = records
+            .filter(record => !stored.has(record.date) && !seen.has(record.date) && seen.add(record.date))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        if (newRecords.length > 0) {
+            const filePath = this.getFilePath(org, name);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.appendFileSync(filePath, newRecords.map(record => JSON.stringify(record)).join('\n') + '\n');
+        }
+
+        return {
+            added: newRecords.length,
+            skipped: records.length - newRecords.length
+        };
+    }
+
+    /**
+     * Get the most recent stored metrics day
+     * @param {string} org - Organization name
+     * @returns {Promise<string|null>} Date (YYYY-MM-DD) or null when nothing is stored
+     */
+    async getLatestMetricsDate(org) {
+        const dates = this.readRecords(org, 'metrics').map(record => record.date).sort();
+        return dates.length > 0 ? dates[dates.length - 1] : null;
+    }
+
+    /**
+     * Append daily metrics, skipping days that are already stored
+     * @param {string} org - Organization name
+     * @param {Array} days - Daily metrics from /copilot/metrics
+     * @returns {Promise<Object>} { added, skipped }
+     */
+    async appendMetricsDays(org, days) {
+        return this.appendRecords(org, 'metrics', days);
+    }
+
+    /**
+     * Append a seat snapshot, skipping it when one is already stored for that date
+     * @param {string} org - Organization name
+     * @param {Object} snapshot - Seat snapshot with a `date` field
+     * @returns {Promise<Object>} { added, skipped }
+     */
+    async appendSeatSnapshot(org, snapshot) {
+        return this.appendRecords(org, 'seats', [snapshot]);
+    }
+
+    /**
+     * Query stored daily metrics for a date range (inclusive)
+     * @param {string} org - Organization name
+     * @param {string} since - Start date (YYYY-MM-DD format)
+     * @param {string} until - End date (YYYY-MM-DD format)
+     * @returns {Promise<Array>} Daily metrics sorted by date
+     */
+    async queryMetricsDays(org, since = null, until = null) {
+        return filterByDate(this.readRecords(org, 'metrics'), since, until);
+    }
+
+    /**
+     * Query stored seat snapshots for a date range (inclusive)
+     * @param {string} org - Organization name
+     * @param {string} since - Start date (YYYY-MM-DD format)
+     * @param {string} until - End date (YYYY-MM-DD format)
+     * @returns {Promise<Array>} Seat snapshots sorted by date
+     */
+    async querySeatSnapshots(org, since = null, until = null) {
+        return filterByDate(this.readRecords(org, 'seats'), since, until);
+    }
+}
+
+/**
+ * Keep records inside a date range and sort them by date
+ * @param {Array} records - Records with a `date` field
+ * @param {string} since - Start date (inclusive)
+ * @param {string} until - End date (inclusive)
+ * @returns {Array} Filtered records
+ */
+function filterByDate(records, since, until) {
+    return records
+        .filter(record => (!since || record.date >= since) && (!until || record.date <= until))
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export default CopilotMetricsStore;
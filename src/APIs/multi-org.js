@@ -0,0 +1,437 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv, createGitHubApp } from '../auth/client-factory.js';
+import { exportReport } from '../exporters/index.js';
+import { getRateLimitTracker, printRateLimitReport } from '../request/request-layer.js';
+import GitHubCopilotMetrics, { acceptanceRate } from './GHCP-metrics.js';
+import GitHubIssueManagement from './issue-management.js';
+import GitHubEnterprisePolicyManagement from './enterprise-policy.js';
+
+// Used to detect when this module is executed directly
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+// Metric summary fields that are not counters and must not be summed across organizations
+const NON_ADDITIVE_METRICS = [
+    'daysReported',
+    'peakActiveUsers',
+    'peakEngagedUsers',
+    'averageActiveUsers',
+    'averageEngagedUsers',
+    'acceptanceRate',
+    'lineAcceptanceRate'
+];
+
+/**
+ * Runs the toolkit reports against every installation of a GitHub App.
+ * Each installation gets its own client; a failure in one organization
+ * is recorded in the results and does not stop the others.
+ */
+class GitHubMultiOrgRunner {
+    /**
+     * @param {Object} authOptions - GitHub App auth options (installationId is not required)
+     * @param {Object} options - Runner options
+     * @param {string[]} options.organizations - Only run for these organization logins
+     * @param {string[]} options.excludeOrganizations - Skip these organization logins
+     * @param {boolean} options.includeUserAccounts - Also run for installations on user accounts
+     */
+    constructor(authOptions, options = {}) {
+        this.authOptions = authOptions;
+        this.options = options;
+        this.app = null;
+        this.initialized = false;
+    }
+
+    async ensureInitialized() {
+        if (!this.initialized) {
+            await this.initialize();
+            this.initialized = true;
+        }
+    }
+
+    async initialize() {
+        try {
+            this.app = createGitHubApp(this.authOptions);
+        } catch (error) {
+            console.error('Error initializing GitHub App:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * List the App's installations, applying the organization filters
+     * @returns {Promise<Array>} Installations ({ installationId, organization, accountType })
+     */
+    async listInstallations() {
+        try {
+            await this.ensureInitialized();
+
+            const {
+                organizations = null,
+                excludeOrganizations = [],
+                includeUserAccounts = false
+            } = this.options;
+
+            const installations = await this.app.octokit.paginate('GET /app/installations', {
+                per_page: 100,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+
+            const normalize = login => login.toLowerCase();
+            const include = organizations ? organizations.map(normalize) : null;
+            const exclude = excludeOrganizations.map(normalize);
+
+            const selected = installations
+                .filter(installation => includeUserAccounts || installation.account?.type === 'Organization')
+                .filter(installation => !installation.suspended_at)
+                .filter(installation => !include || include.includes(normalize(installation.account.login)))
+                .filter(installation => !exclude.includes(normalize(installation.account.login)))
+                .map(installation => ({
+                    installationId: installation.id,
+                    organization: installation.account.login,
+                    accountType: installation.account.type
+                }));
+
+            console.log(`🏢 Found ${installations.length} installations, ${selected.length} selected`);
+
+            return selected;
+        } catch (error) {
+            console.error('Error listing GitHub App installations:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Run a task against every selected installation
+     * @param {Function} ApiClass - Toolkit class to instantiate per installation
+     * @param {Function} task - async (client, installation) => result
+     * @returns {Promise<Array>} Per-organization results ({ organization, installationId, success, data | error })
+     */
+    async runForEachInstallation(ApiClass, task) {
+        const installations = await this.listInstallations();
+        const results = [];
+
+        for (const installation of installations) {
+            console.log(`\n➡️  Running for ${installation.organization} (installation ${installation.installationId})`);
+
+            let octokit = null;
+            try {
+                octokit = await this.app.getInstallationOctokit(installation.installationId);
+                const client = new ApiClass({ strategy: 'octokit', octokit, requestLayer: this.authOptions.requestLayer });
+                const data = await task(client, installation);
+
+                results.push({
+                    organization: installation.organization,
+                    installationId: installation.installationId,
+                    success: true,
+                    data,
+                    rateLimit: getRateLimitTracker(octokit)?.getReport() || null
+                });
+            } catch (error) {
+                console.error(`❌ Failed for ${installation.organization}:`, error.message);
+                results.push({
+                    organization: installation.organization,
+                    installationId: installation.installationId,
+                    success: false,
+                    error: error.message,
+                    rateLimit: getRateLimitTracker(octokit)?.getReport() || null
+                });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Generate a Copilot metrics report for every organization
+     * @param {string} since - Start date (YYYY-MM-DD format)
+     * @param {string} until - End date (YYYY-MM-DD format)
+     * @param {Object} reportOptions - Options passed to generateMetricsReport
+     * @returns {Promise<Object>} Combined report with per-organization results and roll-up
+     */
+    async generateMetricsReports(since = null, until = null, reportOptions = {}) {
+        const results = await this.runForEachInstallation(
+            GitHubCopilotMetrics,
+            (metrics, { organization }) => metrics.generateMetricsReport(organization, since, until, reportOptions)
+        );
+
+        return this.buildCombinedReport('copilot-metrics', results, successful => {
+            const byOrganization = successful.map(result => {
+                const { byLanguage, byEditor, byModel, daily, ...summary } = result.data.summary;
+                return { organization: result.organization, ...summary };
+            });
+
+            // Counters can be summed across organizations; rates are recomputed from the summed counters,
+            // and day counts, peaks and averages from the daily user counts combined by date
+            const totals = sumNumericFields(byOrganization.map(summary => Object.fromEntries(Object.entries(summary)
+                .filter(([key]) => !NON_ADDITIVE_METRICS.includes(key)))));
+            totals.acceptanceRate = acceptanceRate(totals.totalAcceptances, totals.totalSuggestions);
+            totals.lineAcceptanceRate = acceptanceRate(totals.totalLinesAccepted, totals.totalLinesSuggested);
+
+            const byDate = new Map();
+            successful.flatMap(result => result.data.summary.daily || []).forEach(day => {
+                const combined = byDate.get(day.date) || { activeUsers: 0, engagedUsers: 0 };
+                combined.activeUsers += day.activeUsers;
+                combined.engagedUsers += day.engagedUsers;
+                byDate.set(day.date, combined);
+            });
+            const days = [...byDate.values()];
+            totals.daysReported = days.length;
+            totals.peakActiveUsers = Math.max(0, ...days.map(day => day.activeUsers));
+            totals.peakEngagedUsers = Math.max(0, ...days.map(day => day.engagedUsers));
+            totals.averageActiveUsers = average(days.map(day => day.activeUsers)) ?? 0;
+            totals.averageEngagedUsers = average(days.map(day => day.engagedUsers)) ?? 0;
+
+            return { totals, byOrganization };
+        }, { since: since || 'N/A', until: until || 'N/A' });
+    }
+
+    /**
+     * Get the comprehensive policy overview for every organization
+     * @returns {Promise<Object>} Combined report with per-organization results and roll-up
+     */
+    async getPolicyOverviews() {
+        const results = await this.runForEachInstallation(
+            GitHubEnterprisePolicyManagement,
+            (policyManager, { organization }) => policyManager.getComprehensivePolicyOverview(organization)
+        );
+
+        return this.buildCombinedReport('policy-overview', results, successful => {
+            const byOrganization = successful.map(result => {
+                const security = result.data.securitySettings || {};
+                const copilot = result.data.copilotSettings || {};
+                return {
+                    organization: result.organization,
+                    twoFactorRequirementEnabled: security.twoFactorRequirementEnabled ?? null,
+                    membersCanCreatePublicRepositories: security.membersCanCreatePublicRepositories ?? null,
+                    dependabotAlertsEnabledForNewRepositories: security.dependabotAlertsEnabledForNewRepositories ?? null,
+                    copilotEnabled: copilot.enabled ?? null,
+                    complianceScore: result.data.compliance?.score ?? null,
+                    complianceCoverage: result.data.compliance?.coverage ?? null
+                };
+            });
+
+            return {
+                totals: {
+                    twoFactorRequired: byOrganization.filter(org => org.twoFactorRequirementEnabled === true).length,
+                    publicRepositoryCreationAllowed: byOrganization.filter(org => org.membersCanCreatePublicRepositories === true).length,
+                    dependabotAlertsForNewRepositories: byOrganization.filter(org => org.dependabotAlertsEnabledForNewRepositories === true).length,
+                    copilotEnabled: byOrganization.filter(org => org.copilotEnabled === true).length,
+                    averageComplianceScore: average(byOrganization.map(org => org.complianceScore).filter(score => score !== null))
+                },
+                byOrganization
+            };
+        });
+    }
+
+    /**
+     * Fetch all issues for every organization.
+     * Uses the given repository names in each organization, or every repository
+     * the installation can access when no names are given.
+     * @param {Object} options - Filtering options passed to getAllIssues
+     * @param {string[]} repos - Repository names to query in each organization
+     * @returns {Promise<Object>} Combined report with per-organization results and roll-up
+     */
+    async getAllIssues(options = {}, repos = null) {
+        const results = await this.runForEachInstallation(
+            GitHubIssueManagement,
+            async (issueManager, { organization }) => {
+                let repoNames = repos;
+                if (!repoNames) {
+                    const repositories = await issueManager.octokit.paginate('GET /installation/repositories', {
+                        per_page: 100,
+                        headers: {
+                            'X-GitHub-Api-Version': '2022-11-28'
+                        }
+                    });
+                    repoNames = repositories
+                        .filter(repository => repository.owner.login.toLowerCase() === organization.toLowerCase())
+                        .filter(repository => repository.has_issues && !repository.archived)
+                        .map(repository => repository.name);
+                }
+
+                const repositories = [];
+                for (const repo of repoNames) {
+                    repositories.push(await issueManager.getAllIssues(organization, repo, options));
+                }
+
+                return {
+                    organization,
+                    totalCount: repositories.reduce((sum, repository) => sum + repository.totalCount, 0),
+                    repositories
+                };
+            }
+        );
+
+        return this.buildCombinedReport('issues', results, successful => ({
+            totals: {
+                repositories: successful.reduce((sum, result) => sum + result.data.repositories.length, 0),
+                issues: successful.reduce((sum, result) => sum + result.data.totalCount, 0)
+            },
+            byOrganization: successful.map(result => ({
+                organization: result.organization,
+                repositories: result.data.repositories.length,
+                issues: result.data.totalCount
+            }))
+        }));
+    }
+
+    /**
+     * Wrap per-organization results with counts and a roll-up section
+     * @param {string} reportType - Report type name
+     * @param {Array} results - Results from runForEachInstallation
+     * @param {Function} buildRollup - (successfulResults) => roll-up object
+     * @param {Object} period - Optional reporting period
+     * @returns {Object} Combined report
+     */
+    buildCombinedReport(reportType, results, buildRollup, period = null) {
+        const successful = results.filter(result => result.success);
+        const failed = results.filter(result => !result.success);
+
+        const report = {
+            reportType,
+            reportDate: new Date().toISOString(),
+            organizations: {
+                total: results.length,
+                succeeded: successful.length,
+                failed: failed.length
+            },
+            rollup: buildRollup(successful),
+            failures: failed.map(result => ({
+                organization: result.organization,
+                installationId: result.installationId,
+                error: result.error
+            })),
+            results
+        };
+
+        if (period) report.period = period;
+
+        return report;
+    }
+
+    /**
+     * Print a short summary of a combined report
+     * @param {Object} report - Combined report from one of the run methods
+     */
+    printCombinedSummary(report) {
+        console.log(`\n🌐 MULTI-ORG ${report.reportType.toUpperCase()} SUMMARY`);
+        console.log('=====================================');
+        console.log(`Generated: ${report.reportDate}`);
+        console.log(`Organizations: ${report.organizations.total} (✅ ${report.organizations.succeeded}, ❌ ${report.organizations.failed})`);
+
+        console.log('\nTotals:');
+        Object.entries(report.rollup.totals).forEach(([key, value]) => {
+            console.log(`  ${key}: ${value}`);
+        });
+
+        const rateLimited = report.results.filter(result => result.rateLimit?.rateLimitWaits > 0);
+        if (rateLimited.length > 0) {
+            console.log('\nRate limited:');
+            rateLimited.forEach(result => {
+                console.log(`  ${result.organization}: ${result.rateLimit.rateLimitWaits} waits, ${Math.round(result.rateLimit.waitedMs / 1000)}s`);
+            });
+        }
+
+        if (report.failures.length > 0) {
+            console.log('\nFailures:');
+            report.failures.forEach(failure => {
+                console.log(`  ${failure.organization}: ${failure.error}`);
+            });
+        }
+        console.log('=====================================\n');
+    }
+
+    /**
+     * Export a combined report to a JSON file
+     * @param {Object} report - Combined report
+     * @param {string} filename - Output filename
+     * @returns {Promise<string>} Path of the written file
+     */
+    async exportReportToFile(report, filename = null) {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const [outputFilename] = await exportReport(report, {
+                format: 'json',
+                filename,
+                baseName: `multi-org-${report.reportType}-${timestamp}`
+            });
+            return outputFilename;
+        } catch (error) {
+            console.error('Error exporting report to file:', error.message);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Sum every numeric field across a list of objects
+ * @param {Object[]} items - Objects to sum
+ * @returns {Object} Field-wise totals
+ */
+function sumNumericFields(items) {
+    return items.reduce((totals, item) => {
+        Object.entries(item || {}).forEach(([key, value]) => {
+            if (typeof value === 'number') {
+                totals[key] = (totals[key] || 0) + value;
+            }
+        });
+        return totals;
+    }, {});
+}
+
+/**
+ * Average of a list of numbers, rounded to a whole number
+ * @param {number[]} values - Values
+ * @returns {number|null} Average, or null for an empty list
+ */
+function average(values) {
+    return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+export default GitHubMultiOrgRunner;
+
+// Example usage
+async function main() {
+    const config = {
+        auth: authOptionsFromEnv(),
+        organizations: process.env.GITHUB_ORGS ? process.env.GITHUB_ORGS.split(',').map(org => org.trim()) : null
+    };
+
+    console.log('Starting multi-org Copilot metrics collection...');
+
+    try {
+        const runner = new GitHubMultiOrgRunner(config.auth, { organizations: config.organizations });
+
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        const since = thirtyDaysAgo.toISOString().split('T')[0];
+        const until = new Date().toISOString().split('T')[0];
+
+        const report = await runner.generateMetricsReports(since, until);
+
+        runner.printCombinedSummary(report);
+        await runner.exportReportToFile(report);
+        printRateLimitReport(runner.app.octokit);
+
+        if (report.organizations.failed > 0) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
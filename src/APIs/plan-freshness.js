@@ -0,0 +1,29 @@
+/**
+ * Freshness check shared by the apply step of every dry-run preview.
+ *
+ * Plans carry the time they were made in `plannedAt`; applying a plan older than the
+ * allowed age, or one whose `plannedAt` is missing, malformed or in the future (for
+ * example a hand-edited plan file), is refused.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Throw unless a plan was made within the allowed age
+ * @param {Object} plan - Plan with a plannedAt timestamp
+ * @param {number} maxPlanAgeHours - Oldest plan that may be applied, in hours
+ * @param {string} kind - Plan name used in the error (e.g. 'Stale plan')
+ * @returns {number} Plan age in hours
+ */
+export function assertFreshPlan(plan, maxPlanAgeHours, kind = 'Plan') {
+    const planAgeHours = (Date.now() - new Date(plan.plannedAt).getTime()) / HOUR_MS;
+
+    if (!Number.isFinite(planAgeHours) || planAgeHours < 0) {
+        throw new Error(`${kind} has no valid plannedAt (${plan.plannedAt}); create a new preview first`);
+    }
+    if (planAgeHours > maxPlanAgeHours) {
+        throw new Error(`${kind} is ${planAgeHours.toFixed(1)} hours old; create a new preview first`);
+    }
+
+    return planAgeHours;
+}
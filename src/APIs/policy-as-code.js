@@ -0,0 +1,387 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv } from '../auth/client-factory.js';
+import { exportReport } from '../exporters/index.js';
+import { printRateLimitReport } from '../request/request-layer.js';
+import GitHubEnterprisePolicyManagement from './enterprise-policy.js';
+import { assertFreshPlan } from './plan-freshness.js';
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+const REPOSITORY_PERMISSIONS = ['read', 'write', 'admin', 'none'];
+
+/**
+ * Organization settings a policy file may declare, keyed by their GET/PATCH /orgs/{org} field name.
+ * Settings with writable: false are compared but cannot be changed through the REST API.
+ */
+export const ORGANIZATION_SETTINGS = {
+    default_repository_permission: { type: 'string', values: REPOSITORY_PERMISSIONS, writable: true },
+    members_can_create_repositories: { type: 'boolean', writable: true },
+    members_can_create_public_repositories: { type: 'boolean', writable: true },
+    members_can_create_private_repositories: { type: 'boolean', writable: true },
+    members_can_create_internal_repositories: { type: 'boolean', writable: true },
+    members_can_create_pages: { type: 'boolean', writable: true },
+    members_can_create_public_pages: { type: 'boolean', writable: true },
+    members_can_create_private_pages: { type: 'boolean', writable: true },
+    members_can_fork_private_repositories: { type: 'boolean', writable: true },
+    web_commit_signoff_required: { type: 'boolean', writable: true },
+    has_organization_projects: { type: 'boolean', writable: true },
+    has_repository_projects: { type: 'boolean', writable: true },
+    deploy_keys_enabled_for_repositories: { type: 'boolean', writable: true },
+    advanced_security_enabled_for_new_repositories: { type: 'boolean', writable: true },
+    dependabot_alerts_enabled_for_new_repositories: { type: 'boolean', writable: true },
+    dependabot_security_updates_enabled_for_new_repositories: { type: 'boolean', writable: true },
+    dependency_graph_enabled_for_new_repositories: { type: 'boolean', writable: true },
+    secret_scanning_enabled_for_new_repositories: { type: 'boolean', writable: true },
+    secret_scanning_push_protection_enabled_for_new_repositories: { type: 'boolean', writable: true },
+    two_factor_requirement_enabled: {
+        type: 'boolean',
+        writable: false,
+        note: 'Two-factor authentication can only be required in the organization settings (Authentication security)'
+    },
+    members_allowed_repository_creation_type: {
+        type: 'string',
+        values: ['all', 'private', 'none'],
+        writable: false,
+        note: 'Deprecated by GitHub; declare the members_can_create_*_repositories settings instead'
+    }
+};
+
+/**
+ * Check that a settings object only uses known settings with valid values
+ * @param {Object} settings - Setting name -> desired value
+ * @param {string} source - Where the settings come from (for error messages)
+ * @returns {Object} The settings
+ */
+export function validatePolicySettings(settings, source = 'policy') {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error(`${source}: settings must be an object of setting names and values`);
+    }
+
+    Object.entries(settings).forEach(([setting, value]) => {
+        const definition = ORGANIZATION_SETTINGS[setting];
+        if (!definition) {
+            throw new Error(`${source}: unknown setting ${setting}. Known settings: ${Object.keys(ORGANIZATION_SETTINGS).join(', ')}`);
+        }
+        if (typeof value !== definition.type || (definition.values && !definition.values.includes(value))) {
+            const expected = definition.values ? definition.values.join(', ') : definition.type;
+            throw new Error(`${source}: ${setting} must be ${expected}`);
+        }
+    });
+
+    return settings;
+}
+
+/**
+ * Load the desired organization settings from a policy file (JSON).
+ * A file either holds { baseline, organizations: { <org>: overrides } } for several organizations,
+ * or { settings } for one, optionally with { extends: <baseline file> } that its settings override.
+ * @param {string} filePath - Policy file path
+ * @param {string} org - Organization the settings are resolved for
+ * @param {string[]} extendedBy - Resolved paths of the files extending this one, to detect cycles
+ * @returns {Object} Desired settings (setting name -> value)
+ */
+export function loadPolicyFile(filePath, org, extendedBy = []) {
+    const resolvedPath = path.resolve(filePath);
+    const cycleStart = extendedBy.indexOf(resolvedPath);
+    if (cycleStart !== -1) {
+        const via = [...extendedBy.slice(cycleStart + 1), resolvedPath];
+        throw new Error(`Policy file ${extendedBy[cycleStart]} extends itself via ${via.join(' -> ')}`);
+    }
+
+    let policy;
+    try {
+        policy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Policy file ${filePath} not found; copy org-policy.example.json to ${filePath} and edit it, or pass another file`);
+        }
+        throw new Error(`Cannot read policy file ${filePath}: ${error.message}`);
+    }
+
+    let settings;
+    if (policy.baseline || policy.organizations) {
+        const overrides = Object.entries(policy.organizations || {})
+            .find(([name]) => name.toLowerCase() === org.toLowerCase())?.[1];
+        settings = { ...(policy.baseline || {}), ...(overrides || {}) };
+    } else if (policy.settings) {
+        const baseline = policy.extends ? loadPolicyFile(path.resolve(path.dirname(filePath), policy.extends), org, [...extendedBy, resolvedPath]) : {};
+        settings = { ...baseline, ...policy.settings };
+    } else {
+        throw new Error(`Policy file ${filePath} must define settings, or a baseline and/or organizations`);
+    }
+
+    return validatePolicySettings(settings, filePath);
+}
+
+/**
+ * Plans and applies declared organization settings against the live values
+ */
+class GitHubOrganizationPolicyAsCode extends GitHubEnterprisePolicyManagement {
+    /**
+     * Read the live values of the declarable settings
+     * @param {string} org - Organization name
+     * @returns {Promise<Object>} Setting name -> live value (null when GitHub does not return it)
+     */
+    async getOrganizationSettings(org) {
+        await this.ensureInitialized();
+
+        const response = await this.octokit.request('GET /orgs/{org}', {
+            org,
+            headers: {
+                'X-GitHub-Api-Version': '2022-11-28'
+            }
+        });
+
+        return Object.fromEntries(Object.keys(ORGANIZATION_SETTINGS).map(setting => [setting, response.data[setting] ?? null]));
+    }
+
+    /**
+     * Compare the desired settings with the live organization settings
+     * @param {string} org - Organization name
+     * @param {Object} desiredSettings - Setting name -> desired value (see loadPolicyFile)
+     * @param {Object} options - Options
+     * @param {string} options.policyFile - Policy file the settings came from (recorded in the plan)
+     * @returns {Promise<Object>} Plan ({ items, summary }); items have action change, unchanged or unsupported
+     */
+    async planOrganizationPolicy(org, desiredSettings, options = {}) {
+        const { policyFile = null } = options;
+        validatePolicySettings(desiredSettings);
+
+        try {
+            console.log(`📐 Planning organization settings for: ${org}`);
+
+            const live = await this.getOrganizationSettings(org);
+
+            const items = Object.entries(desiredSettings).map(([setting, desired]) => {
+                const definition = ORGANIZATION_SETTINGS[setting];
+                const current = live[setting];
+
+                if (current === desired) {
+                    return { setting, current, desired, action: 'unchanged' };
+                }
+                if (!definition.writable) {
+                    return { setting, current, desired, action: 'unsupported', reason: definition.note };
+                }
+                return { setting, current, desired, action: 'change' };
+            });
+
+            const plan = {
+                organization: org,
+                dryRun: true,
+                plannedAt: new Date().toISOString(),
+                policyFile,
+                desiredSettings,
+                items,
+                summary: {
+                    settings: items.length,
+                    change: items.filter(item => item.action === 'change').length,
+                    unchanged: items.filter(item => item.action === 'unchanged').length,
+                    unsupported: items.filter(item => item.action === 'unsupported').length
+                }
+            };
+
+            console.log(`✅ Planned ${plan.summary.change} change(s) for ${org}`);
+
+            return plan;
+        } catch (error) {
+            console.error(`❌ Failed to plan organization settings for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a plan: PATCH only the settings that differ, in one request.
+     * Settings changed by someone else since the plan was made are skipped, and
+     * settings GitHub accepts but does not change (e.g. not available on the plan) are reported.
+     * @param {Object} plan - Plan from planOrganizationPolicy
+     * @param {Object} options - Apply options
+     * @param {number} options.maxPlanAgeHours - Refuse plans older than this
+     * @returns {Promise<Object>} Apply report ({ items, summary })
+     */
+    async applyOrganizationPolicyPlan(plan, options = {}) {
+        const { maxPlanAgeHours = 24 } = options;
+
+        if (!plan || !plan.dryRun || !Array.isArray(plan.items) || !plan.desiredSettings) {
+            throw new Error('applyOrganizationPolicyPlan requires a plan from planOrganizationPolicy (dry-run preview)');
+        }
+
+        // A plan read from a file may have been edited: only declared, writable settings are changed
+        validatePolicySettings(plan.desiredSettings, 'plan');
+        plan.items.filter(item => item.action === 'change').forEach(item => {
+            if (!ORGANIZATION_SETTINGS[item.setting]?.writable) {
+                throw new Error(`plan: ${item.setting} cannot be changed through the policy plan`);
+            }
+            if (item.desired !== plan.desiredSettings[item.setting]) {
+                throw new Error(`plan: ${item.setting} is planned as ${item.desired} but the plan's desired settings say ${plan.desiredSettings[item.setting]}`);
+            }
+        });
+
+        assertFreshPlan(plan, maxPlanAgeHours, 'Policy plan');
+
+        const org = plan.organization;
+
+        try {
+            console.log(`🔧 Applying organization settings for: ${org}`);
+
+            const live = await this.getOrganizationSettings(org);
+            const items = plan.items.map(item => {
+                if (item.action !== 'change') {
+                    return { ...item, status: item.action };
+                }
+                if (live[item.setting] === item.desired) {
+                    return { ...item, status: 'unchanged', reason: 'already set' };
+                }
+                if (live[item.setting] !== item.current) {
+                    return { ...item, status: 'skipped', reason: `changed to ${live[item.setting]} since the plan was made` };
+                }
+                return { ...item, status: 'pending' };
+            });
+
+            const changes = Object.fromEntries(items.filter(item => item.status === 'pending').map(item => [item.setting, item.desired]));
+
+            if (Object.keys(changes).length > 0) {
+                try {
+                    const response = await this.octokit.request('PATCH /orgs/{org}', {
+                        org,
+                        ...changes,
+                        headers: {
+                            'X-GitHub-Api-Version': '2022-11-28'
+                        }
+                    });
+
+                    items.filter(item => item.status === 'pending').forEach(item => {
+                        if ((response.data[item.setting] ?? null) === item.desired) {
+                            item.status = 'applied';
+                        } else {
+                            item.status = 'not-applied';
+                            item.reason = 'GitHub accepted the request but kept the previous value; the setting may not be available for this organization';
+                        }
+                    });
+                } catch (error) {
+                    console.error(`❌ Failed to update organization settings for ${org}:`, error.message);
+                    items.filter(item => item.status === 'pending').forEach(item => {
+                        item.status = 'failed';
+                        item.error = error.message;
+                    });
+                }
+            }
+
+            const count = status => items.filter(item => item.status === status).length;
+            const report = {
+                organization: org,
+                dryRun: false,
+                plannedAt: plan.plannedAt,
+                appliedAt: new Date().toISOString(),
+                policyFile: plan.policyFile,
+                desiredSettings: plan.desiredSettings,
+                items,
+                summary: {
+                    applied: count('applied'),
+                    unchanged: count('unchanged'),
+                    unsupported: count('unsupported') + count('not-applied'),
+                    skipped: count('skipped'),
+                    failed: count('failed')
+                }
+            };
+
+            console.log(`✅ Applied ${report.summary.applied} setting(s) for ${org}`);
+
+            return report;
+        } catch (error) {
+            console.error(`❌ Failed to apply organization settings for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Print a policy plan or apply report
+     * @param {Object} report - Result of planOrganizationPolicy or applyOrganizationPolicyPlan
+     */
+    printPolicyPlan(report) {
+        console.log(`\n📐 ORGANIZATION POLICY ${report.dryRun ? 'PLAN' : 'APPLY'}`);
+        console.log('=====================================');
+        console.log(`Organization: ${report.organization}`);
+        if (report.policyFile) console.log(`Policy file: ${report.policyFile}`);
+        console.log(Object.entries(report.summary).map(([name, count]) => `${name}: ${count}`).join(', '));
+
+        const symbols = { change: '~', applied: '✓', unchanged: '=', unsupported: '!', 'not-applied': '!', skipped: '-', failed: '✗' };
+        report.items.forEach(item => {
+            const state = item.status || item.action;
+            if (state === 'unchanged') return;
+            const detail = item.error || item.reason;
+            console.log(`  ${symbols[state] || ' '} ${item.setting}: ${item.current} → ${item.desired}${report.dryRun ? '' : ` (${state})`}${detail ? ` — ${detail}` : ''}`);
+        });
+        console.log('=====================================\n');
+    }
+
+    /**
+     * Export a policy plan or apply report to a file
+     * @param {Object} report - Result of planOrganizationPolicy or applyOrganizationPolicyPlan
+     * @param {string} filename - Output filename
+     * @param {string} format - 'json', 'csv', 'markdown' or 'html'
+     * @returns {Promise<string>} Path of the written file
+     */
+    async exportReportToFile(report, filename = null, format = 'json') {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const [outputFilename] = await exportReport(report, {
+                format,
+                filename,
+                baseName: `policy-${report.dryRun ? 'plan' : 'apply'}-${report.organization}-${timestamp}`
+            });
+            return outputFilename;
+        } catch (error) {
+            console.error('Error exporting policy plan to file:', error.message);
+            throw error;
+        }
+    }
+}
+
+export default GitHubOrganizationPolicyAsCode;
+
+// Example usage
+async function main() {
+    const config = {
+        auth: authOptionsFromEnv(),
+        organization: process.env.GITHUB_ORG || 'your-org-name',
+        policyFile: process.env.POLICY_FILE || './org-policy.json',
+        // Only change settings when explicitly requested
+        apply: process.env.POLICY_APPLY === 'true'
+    };
+
+    try {
+        const policyAsCode = new GitHubOrganizationPolicyAsCode(config.auth);
+        const desiredSettings = loadPolicyFile(config.policyFile, config.organization);
+
+        const plan = await policyAsCode.planOrganizationPolicy(config.organization, desiredSettings, { policyFile: config.policyFile });
+        policyAsCode.printPolicyPlan(plan);
+
+        if (config.apply) {
+            const report = await policyAsCode.applyOrganizationPolicyPlan(plan);
+            policyAsCode.printPolicyPlan(report);
+            await policyAsCode.exportReportToFile(report);
+        } else {
+            console.log('Dry run only. Set POLICY_APPLY=true to change the settings listed above.');
+        }
+
+        printRateLimitReport(policyAsCode.octokit);
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Local JSONL journal of security remediation runs, used to roll a run back.
+ * One file per run; the first line describes the run and every following line holds
+ * the state of one repository before the run changed it:
+ *
+ *   {baseDir}/{org}/security-remediation/{runId}.jsonl
+ */
+class SecurityRemediationJournal {
+    /**
+     * @param {string} baseDir - Store directory (defaults to ./history)
+     */
+    constructor(baseDir = null) {
+        this.baseDir = baseDir || process.env.COPILOT_HISTORY_DIR || path.join(process.cwd(), 'history');
+    }
+
+    /**
+     * Directory holding an organization's journals
+     * @param {string} org - Organization name
+     * @returns {string} Directory path
+     */
+    getDirectory(org) {
+        return path.join(this.baseDir, org, 'security-remediation');
+    }
+
+    /**
+     * Path of a run's journal
+     * @param {string} org - Organization name
+     * @param {string} runId - Run id
+     * @returns {string} File path
+     */
+    getFilePath(org, runId) {
+        if (typeof runId !== 'string' || !/^[\w-]+$/.test(runId)) {
+            throw new Error(`Invalid remediation run id: ${runId}`);
+        }
+        return path.join(this.getDirectory(org), `${runId}.jsonl`);
+    }
+
+    /**
+     * Start a run's journal
+     * @param {string} org - Organization name
+     * @param {string} runId - Run id
+     * @param {Object} run - { features, selection, plannedAt, startedAt }
+     * @returns {Promise<string>} Journal path
+     */
+    async startRun(org, runId, run) {
+        const filePath = this.getFilePath(org, runId);
+        if (fs.existsSync(filePath)) {
+            throw new Error(`Remediation journal ${filePath} already exists`);
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify({ type: 'run', organization: org, runId, ...run }) + '\n');
+        return filePath;
+    }
+
+    /**
+     * Record a repository's state before it is changed
+     * @param {string} org - Organization name
+     * @param {string} runId - Run id
+     * @param {Object} entry - { repository, name, visibility, changes: [{ feature, from, to }], recordedAt }
+     */
+    async recordPriorState(org, runId, entry) {
+        fs.appendFileSync(this.getFilePath(org, runId), JSON.stringify({ type: 'repository', ...entry }) + '\n');
+    }
+
+    /**
+     * Read a run's journal
+     * @param {string} org - Organization name
+     * @param {string} runId - Run id
+     * @returns {Promise<Object>} { run, repositories }
+     */
+    async readRun(org, runId) {
+        const filePath = this.getFilePath(org, runId);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`No remediation journal for run ${runId} in ${this.getDirectory(org)}`);
+        }
+
+        const records = fs.readFileSync(filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+
+        return {
+            run: records.find(record => record.type === 'run'),
+            repositories: records.filter(record => record.type === 'repository')
+        };
+    }
+
+    /**
+     * List the run ids of an organization, oldest first
+     * @param {string} org - Organization name
+     * @returns {Promise<string[]>} Run ids
+     */
+    async listRuns(org) {
+        const directory = this.getDirectory(org);
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+
+        return fs.readdirSync(directory)
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => file.slice(0, -'.jsonl'.length))
+            .sort();
+    }
+}
+
+export default SecurityRemediationJournal;
@@ -0,0 +1,291 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv } from '../auth/client-factory.js';
+import { exportReport } from '../exporters/index.js';
+import { printRateLimitReport, mapWithConcurrency } from '../request/request-layer.js';
+import GitHubEnterprisePolicyManagement from './enterprise-policy.js';
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Columns of the security posture matrix and the values a baseline may expect for them
+ */
+export const POSTURE_SETTINGS = {
+    advancedSecurity: ['enabled', 'disabled'],
+    secretScanning: ['enabled', 'disabled'],
+    secretScanningPushProtection: ['enabled', 'disabled'],
+    dependabotSecurityUpdates: ['enabled', 'disabled'],
+    vulnerabilityAlerts: [true, false],
+    allowMergeCommit: [true, false],
+    allowSquashMerge: [true, false],
+    allowRebaseMerge: [true, false],
+    allowAutoMerge: [true, false],
+    deleteBranchOnMerge: [true, false],
+    allowForking: [true, false]
+};
+
+/**
+ * Expected state of every repository unless a baseline file says otherwise.
+ * Merge settings are reported in the matrix but only checked when a baseline sets them.
+ */
+export const DEFAULT_SECURITY_BASELINE = {
+    secretScanning: 'enabled',
+    secretScanningPushProtection: 'enabled',
+    dependabotSecurityUpdates: 'enabled',
+    vulnerabilityAlerts: true
+};
+
+/**
+ * Load a security baseline (JSON) on top of DEFAULT_SECURITY_BASELINE.
+ * A setting set to null in the file is not checked.
+ * @param {string} filePath - Baseline file
+ * @returns {Object} Baseline (setting -> expected value)
+ */
+export function loadSecurityBaseline(filePath) {
+    let overrides;
+    try {
+        overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read security baseline ${filePath}: ${error.message}`);
+    }
+
+    const baseline = { ...DEFAULT_SECURITY_BASELINE, ...overrides };
+    Object.entries(baseline).forEach(([setting, expected]) => {
+        if (!(setting in POSTURE_SETTINGS)) {
+            throw new Error(`${filePath}: unknown setting ${setting}. Known settings: ${Object.keys(POSTURE_SETTINGS).join(', ')}`);
+        }
+        if (expected !== null && !POSTURE_SETTINGS[setting].includes(expected)) {
+            throw new Error(`${filePath}: ${setting} must be one of ${POSTURE_SETTINGS[setting].join(', ')} or null`);
+        }
+        if (expected === null) delete baseline[setting];
+    });
+
+    return baseline;
+}
+
+/**
+ * Scans the security and merge settings of every repository in an organization
+ */
+class GitHubSecurityPostureScanner extends GitHubEnterprisePolicyManagement {
+    /**
+     * List an organization's repositories
+     * @param {string} org - Organization name
+     * @param {Object} filters - Filters
+     * @param {boolean} filters.includeArchived - Include archived repositories (default false)
+     * @param {boolean} filters.includeForks - Include forks (default true)
+     * @param {string} filters.visibility - Only 'public', 'private' or 'internal' repositories
+     * @returns {Promise<Array>} Repositories from the REST API
+     */
+    async listOrganizationRepositories(org, filters = {}) {
+        const { includeArchived = false, includeForks = true, visibility = null } = filters;
+
+        await this.ensureInitialized();
+
+        const repositories = await this.octokit.paginate('GET /orgs/{org}/repos', {
+            org,
+            type: 'all',
+            per_page: 100,
+            headers: {
+                'X-GitHub-Api-Version': '2022-11-28'
+            }
+        });
+
+        return repositories
+            .filter(repository => includeArchived || !repository.archived)
+            .filter(repository => includeForks || !repository.fork)
+            .filter(repository => !visibility || repository.visibility === visibility);
+    }
+
+    /**
+     * Matrix row of one repository, compared with the baseline
+     * @param {string} org - Organization name
+     * @param {Object} repository - Repository from listOrganizationRepositories
+     * @param {Object} baseline - Expected values
+     * @returns {Promise<Object>} Row with deviations (or error)
+     */
+    async scanRepository(org, repository, baseline) {
+        const row = {
+            repository: repository.full_name,
+            visibility: repository.visibility,
+            archived: repository.archived,
+            fork: repository.fork
+        };
+
+        try {
+            const settings = await this.getRepositorySecuritySettings(org, repository.name);
+            const analysis = settings.securityAndAnalysis;
+
+            Object.assign(row, {
+                advancedSecurity: analysis.advanced_security?.status ?? null,
+                secretScanning: analysis.secret_scanning?.status ?? null,
+                secretScanningPushProtection: analysis.secret_scanning_push_protection?.status ?? null,
+                dependabotSecurityUpdates: analysis.dependabot_security_updates?.status ?? null,
+                vulnerabilityAlerts: settings.vulnerabilityAlertsEnabled,
+                allowMergeCommit: settings.allowMergeCommit ?? null,
+                allowSquashMerge: settings.allowSquashMerge ?? null,
+                allowRebaseMerge: settings.allowRebaseMerge ?? null,
+                allowAutoMerge: settings.allowAutoMerge ?? null,
+                deleteBranchOnMerge: settings.deleteBranchOnMerge ?? null,
+                allowForking: settings.allowForking ?? null
+            });
+
+            // Unreadable values (null) are unknown rather than deviations
+            row.deviations = Object.entries(baseline)
+                .filter(([setting, expected]) => row[setting] !== null && row[setting] !== expected)
+                .map(([setting, expected]) => ({ setting, expected, actual: row[setting] }));
+            row.unknown = Object.keys(baseline).filter(setting => row[setting] === null);
+        } catch (error) {
+            row.error = error.message;
+            row.deviations = [];
+            row.unknown = [];
+        }
+
+        return row;
+    }
+
+    /**
+     * Scan every repository of an organization against a security baseline
+     * @param {string} org - Organization name
+     * @param {Object} options - Options
+     * @param {Object} options.baseline - Expected values (default DEFAULT_SECURITY_BASELINE)
+     * @param {boolean} options.includeArchived - Include archived repositories (default false)
+     * @param {boolean} options.includeForks - Include forks (default true)
+     * @param {string} options.visibility - Only repositories with this visibility
+     * @param {number} options.concurrency - Repositories scanned at once (default 4)
+     * @returns {Promise<Object>} Security posture report ({ repositories, summary })
+     */
+    async scanOrganizationSecurityPosture(org, options = {}) {
+        const {
+            baseline = DEFAULT_SECURITY_BASELINE,
+            includeArchived = false,
+            includeForks = true,
+            visibility = null,
+            concurrency = 4
+        } = options;
+
+        try {
+            console.log(`🛡️ Scanning repository security settings for: ${org}`);
+
+            const repositories = await this.listOrganizationRepositories(org, { includeArchived, includeForks, visibility });
+            console.log(`📦 Found ${repositories.length} repositories to scan`);
+
+            const rows = await mapWithConcurrency(repositories, concurrency, repository => this.scanRepository(org, repository, baseline));
+            rows.sort((a, b) => b.deviations.length - a.deviations.length || a.repository.localeCompare(b.repository));
+
+            const bySetting = Object.fromEntries(Object.keys(baseline).map(setting => [
+                setting,
+                rows.filter(row => row.deviations.some(deviation => deviation.setting === setting)).length
+            ]));
+
+            const report = {
+                organization: org,
+                scannedAt: new Date().toISOString(),
+                filters: { includeArchived, includeForks, visibility },
+                baseline,
+                repositories: rows,
+                summary: {
+                    scanned: rows.length,
+                    compliant: rows.filter(row => !row.error && row.deviations.length === 0).length,
+                    deviating: rows.filter(row => row.deviations.length > 0).length,
+                    failed: rows.filter(row => row.error).length,
+                    bySetting
+                }
+            };
+
+            console.log(`✅ Scanned ${report.summary.scanned} repositories: ${report.summary.deviating} deviate from the baseline`);
+
+            return report;
+        } catch (error) {
+            console.error(`❌ Failed to scan repository security settings for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Print a security posture report
+     * @param {Object} report - Result of scanOrganizationSecurityPosture
+     */
+    printSecurityPostureSummary(report) {
+        console.log('\n🛡️ SECURITY POSTURE');
+        console.log('=====================================');
+        console.log(`Organization: ${report.organization}`);
+        console.log(`Repositories: ${report.summary.scanned} (compliant: ${report.summary.compliant}, deviating: ${report.summary.deviating}, failed: ${report.summary.failed})`);
+
+        console.log('\nDeviations by setting:');
+        Object.entries(report.summary.bySetting).forEach(([setting, count]) => {
+            console.log(`  ${setting} (expected ${report.baseline[setting]}): ${count}`);
+        });
+
+        const deviating = report.repositories.filter(row => row.deviations.length > 0 || row.error);
+        if (deviating.length > 0) {
+            console.log('\nRepositories:');
+            deviating.forEach(row => {
+                const detail = row.error || row.deviations.map(deviation => `${deviation.setting}=${deviation.actual}`).join(', ');
+                console.log(`  ${row.repository}: ${detail}`);
+            });
+        }
+        console.log('=====================================\n');
+    }
+
+    /**
+     * Export a security posture report to a file
+     * @param {Object} report - Result of scanOrganizationSecurityPosture
+     * @param {string} filename - Output filename
+     * @param {string} format - 'json', 'csv', 'markdown' or 'html'
+     * @returns {Promise<string>} Path of the written file
+     */
+    async exportReportToFile(report, filename = null, format = 'json') {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const [outputFilename] = await exportReport(report, {
+                format,
+                filename,
+                baseName: `security-posture-${report.organization}-${timestamp}`
+            });
+            return outputFilename;
+        } catch (error) {
+            console.error('Error exporting security posture report to file:', error.message);
+            throw error;
+        }
+    }
+}
+
+export default GitHubSecurityPostureScanner;
+
+// Example usage
+async function main() {
+    const config = {
+        auth: authOptionsFromEnv(),
+        organization: process.env.GITHUB_ORG || 'your-org-name',
+        baselineFile: process.env.SECURITY_BASELINE_FILE || null,
+        format: process.env.REPORT_FORMAT || 'json'
+    };
+
+    try {
+        const scanner = new GitHubSecurityPostureScanner(config.auth);
+        const baseline = config.baselineFile ? loadSecurityBaseline(config.baselineFile) : DEFAULT_SECURITY_BASELINE;
+
+        const report = await scanner.scanOrganizationSecurityPosture(config.organization, { baseline });
+        scanner.printSecurityPostureSummary(report);
+        await scanner.exportReportToFile(report, null, config.format);
+
+        printRateLimitReport(scanner.octokit);
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,498 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv } from '../auth/client-factory.js';
+import { exportReport } from '../exporters/index.js';
+import { printRateLimitReport, mapWithConcurrency } from '../request/request-layer.js';
+import GitHubSecurityPostureScanner, { DEFAULT_SECURITY_BASELINE } from './security-posture.js';
+import SecurityRemediationJournal from './remediation-journal.js';
+import { assertFreshPlan } from './plan-freshness.js';
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Security features the remediation can enable, in the order they are enabled.
+ * Dependabot security updates need vulnerability alerts and push protection needs
+ * secret scanning, so a rollback restores them in reverse order.
+ */
+export const REMEDIATION_FEATURES = [
+    'vulnerabilityAlerts',
+    'dependabotSecurityUpdates',
+    'secretScanning',
+    'secretScanningPushProtection'
+];
+
+// security_and_analysis fields behind the features changed with PATCH /repos/{owner}/{repo}
+const SECURITY_AND_ANALYSIS_FIELDS = {
+    secretScanning: 'secret_scanning',
+    secretScanningPushProtection: 'secret_scanning_push_protection'
+};
+
+/**
+ * Enables security features across a selection of repositories and rolls a run back
+ * from its journal
+ */
+class GitHubSecurityRemediation extends GitHubSecurityPostureScanner {
+    /**
+     * @param {string|Object} appId - GitHub App ID, or an auth options object for createGitHubClient
+     * @param {string} privateKeyPath - Path to the GitHub App private key
+     * @param {string} installationId - GitHub App installation ID
+     * @param {SecurityRemediationJournal} journal - Prior state journal (defaults to ./history)
+     */
+    constructor(appId, privateKeyPath, installationId, journal = null) {
+        super(appId, privateKeyPath, installationId);
+        this.journal = journal || new SecurityRemediationJournal();
+    }
+
+    /**
+     * Repositories of an organization matching a selection
+     * @param {string} org - Organization name
+     * @param {Object} selection - Selection
+     * @param {string[]} selection.topics - Repositories with any of these topics
+     * @param {string} selection.visibility - Only 'public', 'private' or 'internal' repositories
+     * @param {string[]} selection.names - Repository name patterns (* and ? wildcards, case-insensitive)
+     * @param {boolean} selection.includeArchived - Include archived repositories (default false)
+     * @param {boolean} selection.includeForks - Include forks (default true)
+     * @returns {Promise<Array>} Repositories from the REST API
+     */
+    async selectRepositories(org, selection = {}) {
+        const { topics = [], visibility = null, names = [], includeArchived = false, includeForks = true } = selection;
+
+        const repositories = await this.listOrganizationRepositories(org, { includeArchived, includeForks, visibility });
+        const namePatterns = names.map(namePatternToRegex);
+
+        return repositories
+            .filter(repository => topics.length === 0 || (repository.topics || []).some(topic => topics.includes(topic)))
+            .filter(repository => namePatterns.length === 0 || namePatterns.some(pattern => pattern.test(repository.name)));
+    }
+
+    /**
+     * Enable or disable one security feature of a repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} feature - One of REMEDIATION_FEATURES
+     * @param {boolean|string} value - true/false for vulnerabilityAlerts, 'enabled'/'disabled' otherwise
+     */
+    async setSecurityFeature(owner, repo, feature, value) {
+        await this.ensureInitialized();
+
+        if (feature === 'vulnerabilityAlerts') {
+            const result = await this.updateDependabotSettings(owner, repo, value);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            return;
+        }
+
+        if (feature === 'dependabotSecurityUpdates') {
+            await this.octokit.request(`${value === 'enabled' ? 'PUT' : 'DELETE'} /repos/{owner}/{repo}/automated-security-fixes`, {
+                owner,
+                repo,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+            return;
+        }
+
+        const field = SECURITY_AND_ANALYSIS_FIELDS[feature];
+        const response = await this.octokit.request('PATCH /repos/{owner}/{repo}', {
+            owner,
+            repo,
+            security_and_analysis: {
+                [field]: { status: value }
+            },
+            headers: {
+                'X-GitHub-Api-Version': '2022-11-28'
+            }
+        });
+
+        // GitHub ignores the change when the feature is not available for the repository
+        const status = response.data.security_and_analysis?.[field]?.status;
+        if (status !== value) {
+            throw new Error(`GitHub kept ${field} ${status || 'unavailable'}; the feature may need GitHub Advanced Security for this repository`);
+        }
+    }
+
+    /**
+     * Preview the changes needed to enable security features on the selected repositories
+     * @param {string} org - Organization name
+     * @param {Object} selection - See selectRepositories
+     * @param {Object} options - Options
+     * @param {string[]} options.features - Features to enable (default all REMEDIATION_FEATURES)
+     * @param {number} options.concurrency - Repositories read at once (default 4)
+     * @returns {Promise<Object>} Remediation plan (dry run)
+     */
+    async planSecurityRemediation(org, selection = {}, options = {}) {
+        const { features = REMEDIATION_FEATURES, concurrency = 4 } = options;
+
+        const unknownFeatures = features.filter(feature => !REMEDIATION_FEATURES.includes(feature));
+        if (unknownFeatures.length > 0) {
+            throw new Error(`Unknown security features: ${unknownFeatures.join(', ')}. Known features: ${REMEDIATION_FEATURES.join(', ')}`);
+        }
+        // An empty selection would match every repository of the organization
+        const { topics = [], visibility = null, names = [] } = selection;
+        if (topics.length === 0 && !visibility && names.length === 0) {
+            throw new Error("Select repositories by topics, visibility or names (names: ['*'] selects every repository)");
+        }
+        const ordered = REMEDIATION_FEATURES.filter(feature => features.includes(feature));
+        const target = Object.fromEntries(ordered.map(feature => [feature, DEFAULT_SECURITY_BASELINE[feature]]));
+
+        try {
+            console.log(`🛡️ Planning security remediation for: ${org}`);
+
+            const repositories = await this.selectRepositories(org, selection);
+            console.log(`📦 Selected ${repositories.length} repositories`);
+
+            const items = await mapWithConcurrency(repositories, concurrency, async repository => {
+                const row = await this.scanRepository(org, repository, target);
+                const item = { repository: row.repository, name: repository.name, visibility: row.visibility };
+
+                if (row.error) {
+                    return { ...item, changes: [], unknown: [], status: 'failed', error: row.error };
+                }
+
+                // Features whose state cannot be read are left alone: their prior state could not be restored
+                const changes = row.deviations.map(deviation => ({ feature: deviation.setting, from: deviation.actual, to: deviation.expected, status: 'planned' }));
+                return { ...item, changes, unknown: row.unknown, status: changes.length > 0 ? 'planned' : 'compliant' };
+            });
+            items.sort((a, b) => a.repository.localeCompare(b.repository));
+
+            const plan = {
+                organization: org,
+                mode: 'plan',
+                dryRun: true,
+                plannedAt: new Date().toISOString(),
+                selection,
+                features: ordered,
+                items,
+                summary: summarizeItems(items, ['planned', 'compliant', 'failed'])
+            };
+
+            console.log(`✅ ${plan.summary.planned} of ${items.length} repositories need changes`);
+
+            return plan;
+        } catch (error) {
+            console.error(`❌ Failed to plan security remediation for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Enable the features listed in a plan. The state of each repository is written to the
+     * journal before it is changed so the run can be rolled back.
+     * @param {Object} plan - Result of planSecurityRemediation
+     * @param {Object} options - Options
+     * @param {number} options.concurrency - Repositories changed at once (default 4)
+     * @param {number} options.maxPlanAgeHours - Refuse plans older than this (default 24)
+     * @returns {Promise<Object>} Remediation report with the run id
+     */
+    async applySecurityRemediation(plan, options = {}) {
+        const { concurrency = 4, maxPlanAgeHours = 24 } = options;
+
+        if (!plan || plan.mode !== 'plan' || !Array.isArray(plan.items) || !Array.isArray(plan.features)) {
+            throw new Error('applySecurityRemediation requires a plan from planSecurityRemediation (dry-run preview)');
+        }
+
+        assertFreshPlan(plan, maxPlanAgeHours, 'Security remediation plan');
+
+        const org = plan.organization;
+        const startedAt = new Date().toISOString();
+        const runId = startedAt.replace(/[:.]/g, '-');
+
+        try {
+            console.log(`🔧 Applying security remediation for: ${org} (run ${runId})`);
+
+            const journalPath = await this.journal.startRun(org, runId, {
+                features: plan.features,
+                selection: plan.selection,
+                plannedAt: plan.plannedAt,
+                startedAt
+            });
+
+            const items = await mapWithConcurrency(plan.items, concurrency, item => (
+                item.status === 'planned' ? this.remediateRepository(org, runId, item) : { ...item }
+            ));
+
+            const report = {
+                organization: org,
+                mode: 'apply',
+                dryRun: false,
+                runId,
+                journal: journalPath,
+                plannedAt: plan.plannedAt,
+                appliedAt: new Date().toISOString(),
+                selection: plan.selection,
+                features: plan.features,
+                items,
+                summary: summarizeItems(items, ['remediated', 'partial', 'unchanged', 'compliant', 'failed'])
+            };
+
+            console.log(`✅ Remediated ${report.summary.remediated} repositories (${report.summary.partial} partially, ${report.summary.failed} failed)`);
+
+            return report;
+        } catch (error) {
+            console.error(`❌ Failed to apply security remediation for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply one plan item: re-read the repository, journal its prior state, then enable its features
+     * @param {string} org - Organization name
+     * @param {string} runId - Run id
+     * @param {Object} item - Plan item
+     * @returns {Promise<Object>} Item with per-feature statuses
+     */
+    async remediateRepository(org, runId, item) {
+        const live = await this.scanRepository(org, { full_name: item.repository, name: item.name, visibility: item.visibility }, {});
+        if (live.error) {
+            return { ...item, status: 'failed', error: live.error };
+        }
+
+        const changes = item.changes.map(change => {
+            if (live[change.feature] === change.to) {
+                return { ...change, status: 'unchanged', reason: 'already enabled' };
+            }
+            if (live[change.feature] !== change.from) {
+                return { ...change, status: 'skipped', reason: `changed to ${live[change.feature]} since the plan was made` };
+            }
+            return { ...change, status: 'pending' };
+        });
+
+        const pending = changes.filter(change => change.status === 'pending');
+        if (pending.length === 0) {
+            return { ...item, changes, status: 'unchanged' };
+        }
+
+        await this.journal.recordPriorState(org, runId, {
+            repository: item.repository,
+            name: item.name,
+            visibility: item.visibility,
+            changes: pending.map(({ feature, from, to }) => ({ feature, from, to })),
+            recordedAt: new Date().toISOString()
+        });
+
+        // One feature at a time, in REMEDIATION_FEATURES order
+        for (const change of pending) {
+            try {
+                await this.setSecurityFeature(org, item.name, change.feature, change.to);
+                change.status = 'applied';
+            } catch (error) {
+                console.error(`❌ Failed to enable ${change.feature} for ${item.repository}:`, error.message);
+                change.status = 'failed';
+                change.error = error.message;
+            }
+        }
+
+        const failed = pending.filter(change => change.status === 'failed').length;
+        const status = failed === 0 ? 'remediated' : failed === pending.length ? 'failed' : 'partial';
+        return { ...item, changes, status };
+    }
+
+    /**
+     * Restore the state a remediation run found. Features changed again since the run are left alone.
+     * @param {string} org - Organization name
+     * @param {string} runId - Run id from applySecurityRemediation
+     * @param {Object} options - Options
+     * @param {boolean} options.dryRun - Only report what would be restored
+     * @param {number} options.concurrency - Repositories restored at once (default 4)
+     * @returns {Promise<Object>} Rollback report
+     */
+    async rollbackSecurityRemediation(org, runId, options = {}) {
+        const { dryRun = false, concurrency = 4 } = options;
+
+        try {
+            console.log(`↩️ ${dryRun ? 'Previewing rollback of' : 'Rolling back'} security remediation run ${runId} for: ${org}`);
+
+            const { run, repositories } = await this.journal.readRun(org, runId);
+
+            const items = await mapWithConcurrency(repositories, concurrency, async entry => {
+                const item = { repository: entry.repository, name: entry.name, visibility: entry.visibility };
+                const live = await this.scanRepository(org, { full_name: entry.repository, name: entry.name, visibility: entry.visibility }, {});
+                if (live.error) {
+                    return { ...item, changes: [], status: 'failed', error: live.error };
+                }
+
+                const changes = [...entry.changes].reverse().map(change => {
+                    const restore = { feature: change.feature, from: live[change.feature], to: change.from };
+                    if (live[change.feature] === change.from) {
+                        return { ...restore, status: 'unchanged', reason: 'already at the prior state' };
+                    }
+                    if (live[change.feature] !== change.to) {
+                        return { ...restore, status: 'skipped', reason: `changed to ${live[change.feature]} since the run` };
+                    }
+                    return { ...restore, status: dryRun ? 'planned' : 'pending' };
+                });
+
+                if (!dryRun) {
+                    for (const change of changes.filter(change => change.status === 'pending')) {
+                        try {
+                            await this.setSecurityFeature(org, entry.name, change.feature, change.to);
+                            change.status = 'restored';
+                        } catch (error) {
+                            console.error(`❌ Failed to restore ${change.feature} for ${entry.repository}:`, error.message);
+                            change.status = 'failed';
+                            change.error = error.message;
+                        }
+                    }
+                }
+
+                const statuses = changes.map(change => change.status);
+                let status = 'unchanged';
+                if (statuses.includes('failed')) {
+                    status = statuses.includes('restored') ? 'partial' : 'failed';
+                } else if (statuses.includes('restored')) {
+                    status = 'restored';
+                } else if (statuses.includes('planned')) {
+                    status = 'planned';
+                }
+                return { ...item, changes, status };
+            });
+
+            const report = {
+                organization: org,
+                mode: 'rollback',
+                dryRun,
+                runId,
+                plannedAt: run?.plannedAt,
+                rolledBackAt: new Date().toISOString(),
+                selection: run?.selection || {},
+                features: run?.features || [],
+                items,
+                summary: summarizeItems(items, dryRun ? ['planned', 'unchanged', 'failed'] : ['restored', 'partial', 'unchanged', 'failed'])
+            };
+
+            console.log(`✅ ${dryRun ? 'Would restore' : 'Restored'} ${dryRun ? report.summary.planned : report.summary.restored} of ${items.length} repositories`);
+
+            return report;
+        } catch (error) {
+            console.error(`❌ Failed to roll back security remediation run ${runId} for ${org}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Print a remediation plan, apply or rollback report
+     * @param {Object} report - Result of planSecurityRemediation, applySecurityRemediation or rollbackSecurityRemediation
+     */
+    printRemediationReport(report) {
+        const titles = { plan: 'PLAN', apply: 'APPLY', rollback: report.dryRun ? 'ROLLBACK PREVIEW' : 'ROLLBACK' };
+        console.log(`\n🛡️ SECURITY REMEDIATION ${titles[report.mode]}`);
+        console.log('=====================================');
+        console.log(`Organization: ${report.organization}`);
+        if (report.runId) console.log(`Run: ${report.runId}`);
+        console.log(`Features: ${report.features.join(', ')}`);
+        console.log(Object.entries(report.summary).map(([name, count]) => `${name}: ${count}`).join(', '));
+
+        const symbols = { planned: '~', applied: '✓', restored: '✓', unchanged: '=', skipped: '-', failed: '✗' };
+        report.items.filter(item => item.status !== 'compliant' && item.status !== 'unchanged').forEach(item => {
+            console.log(`  ${item.repository} (${item.status})${item.error ? ` — ${item.error}` : ''}`);
+            item.changes.filter(change => change.status !== 'unchanged').forEach(change => {
+                const detail = change.error || change.reason;
+                console.log(`    ${symbols[change.status] || ' '} ${change.feature}: ${change.from} → ${change.to}${detail ? ` — ${detail}` : ''}`);
+            });
+        });
+
+        if (report.mode === 'apply') {
+            console.log(`\nRoll back with: ghtk security rollback --org ${report.organization} --run ${report.runId}`);
+        }
+        console.log('=====================================\n');
+    }
+
+    /**
+     * Export a remediation report to a file
+     * @param {Object} report - Result of planSecurityRemediation, applySecurityRemediation or rollbackSecurityRemediation
+     * @param {string} filename - Output filename
+     * @param {string} format - 'json', 'csv', 'markdown' or 'html'
+     * @returns {Promise<string>} Path of the written file
+     */
+    async exportReportToFile(report, filename = null, format = 'json') {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const [outputFilename] = await exportReport(report, {
+                format,
+                filename,
+                baseName: `security-remediation-${report.mode}-${report.organization}-${timestamp}`
+            });
+            return outputFilename;
+        } catch (error) {
+            console.error('Error exporting security remediation report to file:', error.message);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Count report items per status
+ * @param {Object[]} items - Report items
+ * @param {string[]} statuses - Statuses to count
+ * @returns {Object} { repositories, ...status counts }
+ */
+function summarizeItems(items, statuses) {
+    return {
+        repositories: items.length,
+        ...Object.fromEntries(statuses.map(status => [status, items.filter(item => item.status === status).length]))
+    };
+}
+
+/**
+ * Convert a repository name pattern with * and ? wildcards to a case-insensitive regular expression
+ * @param {string} pattern - Name pattern
+ * @returns {RegExp} Regular expression matching whole names
+ */
+function namePatternToRegex(pattern) {
+    const source = pattern
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+export default GitHubSecurityRemediation;
+
+// Example usage
+async function main() {
+    const config = {
+        auth: authOptionsFromEnv(),
+        organization: process.env.GITHUB_ORG || 'your-org-name',
+        topics: (process.env.REMEDIATION_TOPICS || '').split(',').map(topic => topic.trim()).filter(Boolean),
+        // Only change repositories when explicitly requested
+        apply: process.env.REMEDIATION_APPLY === 'true'
+    };
+
+    try {
+        const remediation = new GitHubSecurityRemediation(config.auth);
+
+        const plan = await remediation.planSecurityRemediation(config.organization, { topics: config.topics });
+        remediation.printRemediationReport(plan);
+
+        if (config.apply) {
+            const report = await remediation.applySecurityRemediation(plan);
+            remediation.printRemediationReport(report);
+            await remediation.exportReportToFile(report);
+        } else {
+            console.log('Dry run only. Set REMEDIATION_APPLY=true to enable the features listed above.');
+        }
+        printRateLimitReport(remediation.octokit);
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
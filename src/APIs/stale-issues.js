@@ -0,0 +1,388 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv } from '../auth/client-factory.js';
+import GitHubIssueManagement from './issue-management.js';
+import { exportReport } from '../exporters/index.js';
+import { printRateLimitReport } from '../request/request-layer.js';
+import { assertFreshPlan } from './plan-freshness.js';
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hidden marker on warning comments, so they do not count as activity
+const STALE_MARKER = '<!-- ghtk-stale -->';
+
+export const DEFAULT_STALE_CONFIG = {
+    daysUntilStale: 60,
+    daysUntilClose: 7,
+    staleLabel: 'stale',
+    staleComment: 'This issue has had no activity for {days} days and has been marked as stale. It will be closed in {closeDays} days unless there is new activity.',
+    closeComment: 'Closing this issue after {closeDays} more days without activity. Feel free to reopen it if it is still relevant.',
+    closeReason: 'not_planned',
+    exemptLabels: [],
+    // Milestone titles, or '*' to exempt every issue with a milestone
+    exemptMilestones: []
+};
+
+/**
+ * Merge and check a stale workflow configuration
+ * @param {Object} config - Partial configuration
+ * @returns {Object} Complete configuration
+ */
+export function validateStaleConfig(config = {}) {
+    const merged = { ...DEFAULT_STALE_CONFIG, ...config };
+
+    ['daysUntilStale', 'daysUntilClose'].forEach(key => {
+        if (!Number.isFinite(merged[key]) || merged[key] < 0) {
+            throw new Error(`Stale config: ${key} must be a number of days (0 or more)`);
+        }
+    });
+    if (!merged.staleLabel) {
+        throw new Error('Stale config: staleLabel is required');
+    }
+    if (!['completed', 'not_planned'].includes(merged.closeReason)) {
+        throw new Error('Stale config: closeReason must be completed or not_planned');
+    }
+
+    return merged;
+}
+
+class GitHubStaleIssues extends GitHubIssueManagement {
+    /**
+     * Find the last time an issue was marked stale and whether anyone was active since
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} issue - Issue carrying the stale label
+     * @param {string} staleLabel - Stale label name
+     * @returns {Promise<Object>} { markedAt, activity } where activity describes the first activity after marking
+     */
+    async getStaleActivity(owner, repo, issue, staleLabel) {
+        await this.ensureInitialized();
+
+        const events = await this.octokit.paginate('GET /repos/{owner}/{repo}/issues/{issue_number}/events', {
+            owner,
+            repo,
+            issue_number: issue.number,
+            per_page: 100,
+            headers: {
+                'X-GitHub-Api-Version': '2022-11-28'
+            }
+        });
+
+        const labelEvents = events.filter(event => event.event === 'labeled' && event.label?.name.toLowerCase() === staleLabel.toLowerCase());
+        const markedAt = labelEvents.length > 0 ? labelEvents[labelEvents.length - 1].created_at : issue.updated_at;
+
+        const laterEvent = events.find(event =>
+            event.created_at > markedAt
+            && event.actor?.type !== 'Bot'
+            && !(event.event === 'labeled' && event.label?.name.toLowerCase() === staleLabel.toLowerCase()));
+        if (laterEvent) {
+            return { markedAt, activity: `${laterEvent.event} by ${laterEvent.actor?.login || 'unknown'} at ${laterEvent.created_at}` };
+        }
+
+        const comments = issue.comments > 0 ? await this.getIssueComments(owner, repo, issue.number) : [];
+        const laterComment = comments.find(comment =>
+            comment.created_at > markedAt
+            && comment.user?.type !== 'Bot'
+            && !(comment.body || '').includes(STALE_MARKER));
+        if (laterComment) {
+            return { markedAt, activity: `comment by ${laterComment.user?.login || 'unknown'} at ${laterComment.created_at}` };
+        }
+
+        return { markedAt, activity: null };
+    }
+
+    /**
+     * Build a stale-issue plan (dry-run preview): issues to mark, close and unmark.
+     * Nothing is changed; pass the returned plan to applyStalePlan.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} config - Stale configuration (see DEFAULT_STALE_CONFIG)
+     * @param {Object} options - Options
+     * @param {Date} options.now - Reference time
+     * @returns {Promise<Object>} Stale plan
+     */
+    async planStaleIssues(owner, repo, config = {}, options = {}) {
+        const staleConfig = validateStaleConfig(config);
+        const { now = new Date() } = options;
+        const staleCutoff = new Date(now.getTime() - staleConfig.daysUntilStale * DAY_MS).toISOString();
+        const closeCutoff = new Date(now.getTime() - staleConfig.daysUntilClose * DAY_MS).toISOString();
+
+        try {
+            console.log(`🕸️ Planning stale issues for ${owner}/${repo} (stale after ${staleConfig.daysUntilStale} days, close ${staleConfig.daysUntilClose} days later)`);
+
+            const plan = {
+                repository: `${owner}/${repo}`,
+                owner,
+                repo,
+                dryRun: true,
+                plannedAt: now.toISOString(),
+                staleConfig,
+                items: [],
+                summary: {
+                    scanned: 0,
+                    mark: 0,
+                    close: 0,
+                    unmark: 0,
+                    exempt: 0
+                }
+            };
+
+            const addItem = (issue, action, reason, extra = {}) => {
+                plan.items.push({
+                    issue_number: issue.number,
+                    title: issue.title,
+                    url: issue.html_url,
+                    updatedAt: issue.updated_at,
+                    action,
+                    reason,
+                    ...extra
+                });
+                plan.summary[action]++;
+            };
+
+            // Issues already marked: close them after the grace period, or unmark them on new activity
+            for await (const issue of this.iterateIssues(owner, repo, { state: 'open', labels: staleConfig.staleLabel })) {
+                plan.summary.scanned++;
+
+                const exemption = getExemption(issue, staleConfig);
+                if (exemption) {
+                    addItem(issue, 'unmark', `exempt: ${exemption}`);
+                    continue;
+                }
+
+                const { markedAt, activity } = await this.getStaleActivity(owner, repo, issue, staleConfig.staleLabel);
+                if (activity) {
+                    addItem(issue, 'unmark', `activity since marked: ${activity}`, { markedAt });
+                } else if (markedAt <= closeCutoff) {
+                    addItem(issue, 'close', `stale since ${markedAt.split('T')[0]}`, { markedAt });
+                }
+            }
+
+            // Least recently updated first, so the listing stops at the first issue updated after the cutoff
+            for await (const issue of this.iterateIssues(owner, repo, { state: 'open', sort: 'updated', direction: 'asc' })) {
+                if (issue.updated_at >= staleCutoff) break;
+                if (hasLabel(issue, staleConfig.staleLabel)) continue;
+                plan.summary.scanned++;
+
+                const exemption = getExemption(issue, staleConfig);
+                if (exemption) {
+                    plan.summary.exempt++;
+                    continue;
+                }
+
+                addItem(issue, 'mark', `no activity since ${issue.updated_at.split('T')[0]}`);
+            }
+
+            this.printStalePlan(plan);
+
+            return plan;
+        } catch (error) {
+            console.error(`❌ Failed to plan stale issues for ${owner}/${repo}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a stale plan. Each item ends up succeeded or failed; failures do not stop the run.
+     * @param {Object} plan - Plan from planStaleIssues
+     * @param {Object} options - Apply options
+     * @param {number} options.maxPlanAgeHours - Refuse plans older than this
+     * @returns {Promise<Object>} Stale report ({ items, summary })
+     */
+    async applyStalePlan(plan, options = {}) {
+        const { maxPlanAgeHours = 24 } = options;
+
+        if (!plan || !plan.dryRun || !Array.isArray(plan.items)) {
+            throw new Error('applyStalePlan requires a plan from planStaleIssues (dry-run preview)');
+        }
+
+        assertFreshPlan(plan, maxPlanAgeHours, 'Stale plan');
+
+        const { owner, repo, staleConfig } = plan;
+        const message = template => formatStaleMessage(template, staleConfig);
+
+        try {
+            await this.ensureInitialized();
+
+            const report = {
+                repository: plan.repository,
+                owner,
+                repo,
+                dryRun: false,
+                plannedAt: plan.plannedAt,
+                appliedAt: new Date().toISOString(),
+                staleConfig,
+                items: [],
+                summary: { marked: 0, closed: 0, unmarked: 0, failed: 0 }
+            };
+
+            for (const item of plan.items) {
+                const steps = [];
+
+                if (item.action === 'mark') {
+                    steps.push(await this.addLabelsToIssue(owner, repo, item.issue_number, [staleConfig.staleLabel]));
+                    if (staleConfig.staleComment) {
+                        steps.push(await this.addCommentToIssue(owner, repo, item.issue_number, `${message(staleConfig.staleComment)}\n\n${STALE_MARKER}`));
+                    }
+                } else if (item.action === 'close') {
+                    if (staleConfig.closeComment) {
+                        steps.push(await this.addCommentToIssue(owner, repo, item.issue_number, `${message(staleConfig.closeComment)}\n\n${STALE_MARKER}`));
+                    }
+                    steps.push(await this.closeIssue(owner, repo, item.issue_number, staleConfig.closeReason));
+                } else if (item.action === 'unmark') {
+                    steps.push(await this.removeLabelsFromIssue(owner, repo, item.issue_number, [staleConfig.staleLabel]));
+                }
+
+                const failed = steps.find(step => !step.success);
+                const status = failed ? 'failed' : { mark: 'marked', close: 'closed', unmark: 'unmarked' }[item.action];
+                report.items.push({ ...item, status, ...(failed ? { error: failed.error } : {}) });
+                report.summary[status]++;
+            }
+
+            console.log(`✅ Stale workflow applied: ${report.summary.marked} marked, ${report.summary.closed} closed, ${report.summary.unmarked} unmarked, ${report.summary.failed} failed`);
+
+            return report;
+        } catch (error) {
+            console.error(`❌ Failed to apply stale plan for ${plan.repository}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Print a stale plan
+     * @param {Object} plan - Plan from planStaleIssues
+     */
+    printStalePlan(plan) {
+        console.log('\n🕸️ STALE ISSUES PLAN (dry run)');
+        console.log('================================');
+        console.log(`Repository: ${plan.repository}`);
+        console.log(`Planned At: ${plan.plannedAt}`);
+        console.log(`Issues scanned: ${plan.summary.scanned}, exempt: ${plan.summary.exempt}`);
+        console.log(`To mark: ${plan.summary.mark}, to close: ${plan.summary.close}, to unmark: ${plan.summary.unmark}`);
+
+        ['mark', 'close', 'unmark'].forEach(action => {
+            plan.items.filter(item => item.action === action).forEach(item => {
+                console.log(`  ${action.padEnd(6)} #${item.issue_number}: ${item.title} (${item.reason})`);
+            });
+        });
+        console.log('================================\n');
+    }
+
+    /**
+     * Export a stale plan or report (JSON, CSV, Markdown or HTML)
+     * @param {Object} report - Result of planStaleIssues or applyStalePlan
+     * @param {string} filename - Output filename (optional)
+     * @param {string} format - Export format
+     * @returns {Promise<string>} Path of the written file
+     */
+    async exportReportToFile(report, filename = null, format = 'json') {
+        if (!report.staleConfig) {
+            return super.exportReportToFile(report, filename, format);
+        }
+
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const [outputFilename] = await exportReport(report, {
+                format,
+                filename,
+                baseName: `issues-stale-${report.repository.replace('/', '-')}-${timestamp}`
+            });
+            return outputFilename;
+        } catch (error) {
+            console.error('Error exporting stale issues report:', error.message);
+            throw error;
+        }
+    }
+}
+
+/**
+ * Check whether an issue has a label (case-insensitive)
+ * @param {Object} issue - Issue from the REST API
+ * @param {string} name - Label name
+ * @returns {boolean} True when the label is present
+ */
+function hasLabel(issue, name) {
+    return (issue.labels || []).some(label => (typeof label === 'string' ? label : label.name).toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Reason an issue is exempt from the stale workflow
+ * @param {Object} issue - Issue from the REST API
+ * @param {Object} config - Stale configuration
+ * @returns {string|null} Exemption reason, or null when the issue is not exempt
+ */
+function getExemption(issue, config) {
+    const label = config.exemptLabels.find(name => hasLabel(issue, name));
+    if (label) return `label ${label}`;
+
+    const milestone = issue.milestone?.title;
+    if (milestone && (config.exemptMilestones.includes('*') || config.exemptMilestones.includes(milestone))) {
+        return `milestone ${milestone}`;
+    }
+
+    return null;
+}
+
+/**
+ * Fill {days} and {closeDays} in a comment template
+ * @param {string} template - Comment template
+ * @param {Object} config - Stale configuration
+ * @returns {string} Comment body
+ */
+function formatStaleMessage(template, config) {
+    return template.replace(/\{days\}/g, config.daysUntilStale).replace(/\{closeDays\}/g, config.daysUntilClose);
+}
+
+export default GitHubStaleIssues;
+
+// Example usage
+async function main() {
+    const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+    const config = {
+        auth: authOptionsFromEnv(),
+        owner: process.env.GITHUB_OWNER || 'your-owner',
+        repo: process.env.GITHUB_REPO || 'your-repo',
+        stale: {
+            daysUntilStale: Number(process.env.STALE_DAYS || DEFAULT_STALE_CONFIG.daysUntilStale),
+            daysUntilClose: Number(process.env.STALE_CLOSE_DAYS || DEFAULT_STALE_CONFIG.daysUntilClose),
+            staleLabel: process.env.STALE_LABEL || DEFAULT_STALE_CONFIG.staleLabel,
+            exemptLabels: list(process.env.STALE_EXEMPT_LABELS),
+            exemptMilestones: list(process.env.STALE_EXEMPT_MILESTONES)
+        },
+        // Only change issues when explicitly requested
+        apply: process.env.STALE_APPLY === 'true'
+    };
+
+    try {
+        const staleIssues = new GitHubStaleIssues(config.auth);
+        const plan = await staleIssues.planStaleIssues(config.owner, config.repo, config.stale);
+
+        if (!config.apply) {
+            await staleIssues.exportReportToFile(plan);
+            console.log('Dry run only. Set STALE_APPLY=true to mark, close and unmark the issues listed above.');
+            return;
+        }
+
+        const report = await staleIssues.applyStalePlan(plan);
+        await staleIssues.exportReportToFile(report);
+        printRateLimitReport(staleIssues.octokit);
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,76 @@
+import assert from 'assert';
+import { parseOwnersMapping, findOwnersEntry, ownersEntryMatches } from './issue-assignment.js';
+
+// Behaviour checks for the CODEOWNERS-style mapping used by issue auto-assignment.
+// Run with: node src/APIs/test-owners-mapping.js
+
+const issue = (body, labels = []) => ({ title: '', body, labels: labels.map(name => ({ name })) });
+
+const cases = [
+    // Anchored patterns only match from the repository root
+    ['/src/api/', issue('Crash in src/api/users.js'), true],
+    ['/src/api/', issue('Crash in lib/src/api/users.js'), false],
+    ['src/*.js', issue('See src/index.js'), true],
+    ['src/*.js', issue('See src/util/index.js'), false],
+    ['docs/**', issue('Typo in docs/guide/setup.md'), true],
+    ['a/**/b', issue('Broken a/b/file.txt'), true],
+    ['a/**/b', issue('Broken a/x/y/b/file.txt'), true],
+    ['**/logs', issue('Noise in logs/app.txt'), true],
+    ['**/logs', issue('Noise in server/logs/app.txt'), true],
+
+    // Unanchored patterns match at any depth
+    ['*.js', issue('Error in src/app.js'), true],
+    ['*.js', issue('Error in config.json'), false],
+    ['README.md', issue('Update packages/web/README.md'), true],
+
+    // Directory patterns match everything below the directory
+    ['docs/', issue('Broken link in docs/index.md'), true],
+    ['docs/', issue('Broken link in packages/docs/index.md'), true],
+    ['docs/', issue('Broken link in documentation/index.md'), false],
+    ['/build/', issue('Output in ./build/out/app.js'), true],
+
+    // Label patterns match issue labels, ignoring case
+    ['label:bug', issue('', ['Bug']), true],
+    ['label:bug', issue('', ['bugfix']), false],
+    ['label:bug', { title: '', body: '', labels: ['bug'] }, true],
+
+    // * is the catch-all; paths are only read from the issue text
+    ['*', issue('No paths here'), true],
+    ['/src/api/', issue('No paths here'), false]
+];
+
+let failed = 0;
+cases.forEach(([pattern, testIssue, expected]) => {
+    const actual = ownersEntryMatches(pattern, testIssue);
+    if (actual !== expected) {
+        failed++;
+        console.error(`❌ ${pattern} against "${testIssue.body}" (${testIssue.labels.map(label => label.name || label).join(', ')}): expected ${expected}, got ${actual}`);
+    }
+});
+
+// As in CODEOWNERS, the last matching line wins
+const entries = parseOwnersMapping([
+    '# Comments and blank lines are ignored',
+    '',
+    '*            @default-owner',
+    '/src/        @core-team',
+    '/src/api/    @api-owner owner@example.com',
+    'label:docs   @docs-team'
+].join('\n'));
+
+try {
+    assert.deepStrictEqual(findOwnersEntry(entries, issue('Crash in src/api/users.js')).owners, ['api-owner', 'owner@example.com']);
+    assert.deepStrictEqual(findOwnersEntry(entries, issue('Crash in src/cli/ghtk.js')).owners, ['core-team']);
+    assert.deepStrictEqual(findOwnersEntry(entries, issue('Crash in src/api/users.js', ['docs'])).owners, ['docs-team']);
+    assert.deepStrictEqual(findOwnersEntry(entries, issue('Something is off')).owners, ['default-owner']);
+    assert.strictEqual(findOwnersEntry(entries.slice(1), issue('Something is off')), undefined);
+} catch (error) {
+    failed++;
+    console.error('❌ Last matching entry:', error.message);
+}
+
+if (failed > 0) {
+    console.error(`\n${failed} owners mapping check(s) failed`);
+    process.exit(1);
+}
+console.log(`✅ ${cases.length + 1} owners mapping checks passed`);
@@ -0,0 +1,197 @@
+// GitHub Client Factory
+// Builds an authenticated Octokit instance from one of the supported
+// authentication strategies so every API class can share the same setup.
+
+import { App } from '@octokit/app';
+import { Octokit } from '@octokit/rest';
+import fs from 'fs';
+import { applyRequestLayer } from '../request/request-layer.js';
+
+export const AUTH_STRATEGIES = {
+    APP: 'app',
+    TOKEN: 'token',
+    OCTOKIT: 'octokit'
+};
+
+/**
+ * Normalize the arguments accepted by the API class constructors into auth options.
+ * Supports the legacy positional form (appId, privateKeyPath, installationId)
+ * as well as a single options object.
+ * @param {string|Object} appIdOrOptions - GitHub App ID or an auth options object
+ * @param {string} privateKeyPath - Path to the GitHub App private key (legacy form)
+ * @param {string|number} installationId - Installation ID (legacy form)
+ * @returns {Object} Auth options for createGitHubClient
+ */
+export function toAuthOptions(appIdOrOptions, privateKeyPath, installationId) {
+    if (appIdOrOptions && typeof appIdOrOptions === 'object') {
+        return { ...appIdOrOptions };
+    }
+
+    return {
+        strategy: AUTH_STRATEGIES.APP,
+        appId: appIdOrOptions,
+        privateKeyPath,
+        installationId
+    };
+}
+
+/**
+ * Build auth options from environment variables.
+ * GitHub App credentials take precedence over GITHUB_TOKEN when both are present.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Auth options for createGitHubClient
+ */
+export function authOptionsFromEnv(env = process.env) {
+    const hasPrivateKey = env.GITHUB_PRIVATE_KEY_PATH || env.GITHUB_PRIVATE_KEY || env.GITHUB_PRIVATE_KEY_BASE64;
+
+    const requestLayer = {};
+    if (env.GITHUB_MAX_RETRIES) requestLayer.maxRetries = Number(env.GITHUB_MAX_RETRIES);
+    if (env.GITHUB_CONCURRENCY) requestLayer.concurrency = Number(env.GITHUB_CONCURRENCY);
+
+    if (env.GITHUB_APP_ID && hasPrivateKey) {
+        return {
+            strategy: AUTH_STRATEGIES.APP,
+            appId: env.GITHUB_APP_ID,
+            installationId: env.GITHUB_INSTALLATION_ID,
+            privateKeyPath: env.GITHUB_PRIVATE_KEY_PATH,
+            privateKey: env.GITHUB_PRIVATE_KEY,
+            privateKeyBase64: env.GITHUB_PRIVATE_KEY_BASE64,
+            requestLayer
+        };
+    }
+
+    if (env.GITHUB_TOKEN) {
+        return {
+            strategy: AUTH_STRATEGIES.TOKEN,
+            token: env.GITHUB_TOKEN,
+            requestLayer
+        };
+    }
+
+    throw new Error('No GitHub credentials found. Set GITHUB_APP_ID with a private key (GITHUB_PRIVATE_KEY_PATH, GITHUB_PRIVATE_KEY or GITHUB_PRIVATE_KEY_BASE64), or GITHUB_TOKEN');
+}
+
+/**
+ * Resolve the GitHub App private key from a file path, inline PEM or base64 value
+ * @param {Object} options - App auth options
+ * @returns {string} PEM-encoded private key
+ */
+export function resolvePrivateKey(options) {
+    if (options.privateKey) {
+        // Inline keys coming from env files often have escaped newlines
+        return options.privateKey.replace(/\\n/g, '\n');
+    }
+
+    if (options.privateKeyBase64) {
+        return Buffer.from(options.privateKeyBase64, 'base64').toString('utf8');
+    }
+
+    if (options.privateKeyPath) {
+        return fs.readFileSync(options.privateKeyPath, 'utf8');
+    }
+
+    throw new Error('GitHub App authentication requires privateKeyPath, privateKey or privateKeyBase64');
+}
+
+/**
+ * Create a GitHub App instance (not bound to any installation).
+ * Installation clients created from it use the full @octokit/rest Octokit.
+ * @param {Object} options - App auth options (appId plus one of the private key options)
+ * @returns {App} GitHub App instance
+ */
+export function createGitHubApp(options = {}) {
+    if (!options.appId) {
+        throw new Error('GitHub App authentication requires appId');
+    }
+
+    const app = new App({
+        appId: options.appId,
+        privateKey: resolvePrivateKey(options),
+        Octokit
+    });
+
+    if (options.requestLayer !== false) {
+        applyRequestLayer(app.octokit, options.requestLayer);
+    }
+
+    return app;
+}
+
+/**
+ * Infer the strategy when the caller did not name one explicitly
+ * @param {Object} options - Auth options
+ * @returns {string} One of AUTH_STRATEGIES
+ */
+function detectStrategy(options) {
+    if (options.strategy) return options.strategy;
+    if (options.octokit) return AUTH_STRATEGIES.OCTOKIT;
+    if (options.token) return AUTH_STRATEGIES.TOKEN;
+    return AUTH_STRATEGIES.APP;
+}
+
+/**
+ * Create an authenticated GitHub client
+ * @param {Object} options - Auth options
+ * @param {string} options.strategy - 'app', 'token' or 'octokit' (inferred when omitted)
+ * @param {string} options.appId - GitHub App ID (app)
+ * @param {string|number} options.installationId - Installation ID (app)
+ * @param {string} options.privateKeyPath - Path to the private key file (app)
+ * @param {string} options.privateKey - Inline PEM private key (app)
+ * @param {string} options.privateKeyBase64 - Base64-encoded PEM private key (app)
+ * @param {string} options.token - Personal access token or installation token (token)
+ * @param {Object} options.octokit - Pre-built Octokit instance (octokit)
+ * @param {Object|boolean} options.requestLayer - Retry/concurrency options for applyRequestLayer, or false to disable it
+ * @returns {Promise<Object>} { strategy, octokit, app }
+ */
+export async function createGitHubClient(options = {}) {
+    const client = await createClientForStrategy(options);
+
+    if (options.requestLayer !== false) {
+        applyRequestLayer(client.octokit, options.requestLayer);
+    }
+
+    return client;
+}
+
+/**
+ * Build the Octokit instance for the selected strategy
+ * @param {Object} options - Auth options
+ * @returns {Promise<Object>} { strategy, octokit, app }
+ */
+async function createClientForStrategy(options) {
+    const strategy = detectStrategy(options);
+
+    switch (strategy) {
+        case AUTH_STRATEGIES.APP: {
+            if (!options.installationId) {
+                throw new Error('GitHub App authentication requires installationId');
+            }
+
+            const app = createGitHubApp(options);
+
+            // Get an installation-specific Octokit instance
+            const octokit = await app.getInstallationOctokit(Number(options.installationId));
+            return { strategy, octokit, app };
+        }
+
+        case AUTH_STRATEGIES.TOKEN: {
+            if (!options.token) {
+                throw new Error('Token authentication requires token');
+            }
+
+            const octokit = new Octokit({ auth: options.token });
+            return { strategy, octokit, app: null };
+        }
+
+        case AUTH_STRATEGIES.OCTOKIT: {
+            if (!options.octokit || typeof options.octokit.request !== 'function') {
+                throw new Error('Octokit authentication requires an Octokit instance');
+            }
+
+            return { strategy, octokit: options.octokit, app: null };
+        }
+
+        default:
+            throw new Error(`Unknown authentication strategy: ${strategy}`);
+    }
+}
@@ -1,36 +1,22 @@
-import { App } from '@octokit/app';
 import dotenv from 'dotenv';
-import fs from 'fs';
+import { authOptionsFromEnv, createGitHubClient } from './client-factory.js';
 
 // Load environment variables
 dotenv.config();
 
 async function testAuth() {
     try {
-        console.log('Testing GitHub App authentication...');
+        console.log('Testing GitHub authentication...');
         
-        const appId = process.env.GITHUB_APP_ID;
-        const privateKeyPath = process.env.GITHUB_PRIVATE_KEY_PATH;
-        const installationId = process.env.GITHUB_INSTALLATION_ID;
+        const authOptions = authOptionsFromEnv();
         const org = process.env.GITHUB_ORG;
         
-        console.log('Config:', { appId, privateKeyPath, installationId, org });
+        console.log('Config:', { strategy: authOptions.strategy, appId: authOptions.appId, installationId: authOptions.installationId, org });
         
-        // Read private key
-        console.log('Reading private key...');
-        const privateKey = fs.readFileSync(privateKeyPath, 'utf8');
-        console.log('Private key loaded successfully');
-        
-        // Create app instance
-        const app = new App({
-            appId: appId,
-            privateKey: privateKey,
-        });
-
-        // Get installation octokit
-        console.log('Getting installation Octokit...');
-        const octokit = await app.getInstallationOctokit(installationId);
-        console.log('Installation Octokit created successfully');
+        // Create the authenticated client
+        console.log('Creating authenticated Octokit...');
+        const { octokit } = await createGitHubClient(authOptions);
+        console.log('Authenticated Octokit created successfully');
         
 
         // Test a simple API call
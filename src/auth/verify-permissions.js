@@ -2,9 +2,8 @@
 // This script checks if your GitHub App has the correct permissions
 // and can access the required Copilot API endpoints
 
-import { App } from '@octokit/app';
 import dotenv from 'dotenv';
-import fs from 'fs';
+import { authOptionsFromEnv, createGitHubClient } from './client-factory.js';
 
 dotenv.config();
 
@@ -13,31 +12,21 @@ async function verifyPermissions() {
         console.log('🔐 GitHub App Permissions Verification');
         console.log('======================================\n');
 
-        const appId = process.env.GITHUB_APP_ID;
-        const privateKeyPath = process.env.GITHUB_PRIVATE_KEY_PATH;
-        const installationId = process.env.GITHUB_INSTALLATION_ID;
+        const authOptions = authOptionsFromEnv();
         const org = process.env.GITHUB_ORG;
 
         console.log('📋 Configuration:');
-        console.log(`   App ID: ${appId}`);
-        console.log(`   Private Key: ${privateKeyPath}`);
-        console.log(`   Installation ID: ${installationId}`);
+        console.log(`   Auth Strategy: ${authOptions.strategy}`);
+        if (authOptions.appId) {
+            console.log(`   App ID: ${authOptions.appId}`);
+            console.log(`   Installation ID: ${authOptions.installationId}`);
+        }
         console.log(`   Organization: ${org}\n`);
 
-        // Read private key
-        console.log('🔑 Reading private key...');
-        const privateKey = fs.readFileSync(privateKeyPath, 'utf8');
-        console.log('   ✅ Private key loaded successfully\n');
-
-        // Create app and get installation
-        console.log('🚀 Creating GitHub App...');
-        const app = new App({
-            appId: appId,
-            privateKey: privateKey,
-        });
-        
-        const octokit = await app.getInstallationOctokit(installationId);
-        console.log('   ✅ GitHub App created and authenticated\n');
+        // Create the authenticated client
+        console.log('🚀 Creating authenticated client...');
+        const { octokit } = await createGitHubClient(authOptions);
+        console.log('   ✅ Client created and authenticated\n');
 
         // Test 1: Check organization access
         console.log('🏢 Testing organization access...');
@@ -0,0 +1,78 @@
+// ghtk auth - Credential and permission checks
+
+import { authOptionsFromEnv, createGitHubClient, AUTH_STRATEGIES } from '../../auth/client-factory.js';
+import { EXIT_CODES, resolveOrganization } from '../shared.js';
+
+/**
+ * Endpoints probed by `auth verify`, with the permission each one needs
+ */
+const CHECKS = [
+    {
+        name: 'Organization access',
+        route: 'GET /orgs/{org}',
+        hint: 'Check that the app is installed on (or the token can access) this organization'
+    },
+    {
+        name: 'Copilot metrics',
+        route: 'GET /orgs/{org}/copilot/metrics',
+        params: { per_page: 1 },
+        hint: 'Requires "Copilot Business management" read permission'
+    },
+    {
+        name: 'Copilot billing',
+        route: 'GET /orgs/{org}/copilot/billing',
+        hint: 'Requires "Organization administration" read permission'
+    },
+    {
+        name: 'Copilot seats',
+        route: 'GET /orgs/{org}/copilot/billing/seats',
+        params: { per_page: 1 },
+        hint: 'Requires "Organization administration" read permission'
+    },
+    {
+        name: 'Installation details',
+        route: 'GET /installation',
+        strategy: AUTH_STRATEGIES.APP,
+        hint: 'Check GITHUB_INSTALLATION_ID'
+    }
+];
+
+export default {
+    description: 'Authentication',
+    commands: {
+        verify: {
+            description: 'Verify credentials and the permissions the toolkit needs',
+            options: {},
+            async run(values) {
+                const org = resolveOrganization(values);
+                const authOptions = authOptionsFromEnv();
+
+                console.log(`🔐 Verifying ${authOptions.strategy} credentials against ${org}\n`);
+                const { octokit } = await createGitHubClient({ ...authOptions, requestLayer: { maxRetries: 0 } });
+
+                let failed = 0;
+                for (const check of CHECKS) {
+                    if (check.strategy && check.strategy !== authOptions.strategy) continue;
+
+                    try {
+                        await octokit.request(check.route, {
+                            org,
+                            ...check.params,
+                            headers: {
+                                'X-GitHub-Api-Version': '2022-11-28'
+                            }
+                        });
+                        console.log(`   ✅ ${check.name}`);
+                    } catch (error) {
+                        failed++;
+                        console.log(`   ❌ ${check.name}: ${error.status || ''} ${error.message}`);
+                        console.log(`      💡 ${check.hint}`);
+                    }
+                }
+
+                console.log(failed === 0 ? '\n✅ All checks passed' : `\n⚠️ ${failed} check(s) failed`);
+                return failed === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL;
+            }
+        }
+    }
+};
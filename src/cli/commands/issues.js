@@ -0,0 +1,667 @@
+// ghtk issues - Repository issue listing, analytics, lifecycle, assignment and labelling
+
+import { authOptionsFromEnv } from '../../auth/client-factory.js';
+import fs from 'fs';
+import GitHubIssueManagement, { BULK_OPERATIONS } from '../../APIs/issue-management.js';
+import CopilotAgentHandoffStore from '../../APIs/agent-handoff-store.js';
+import GitHubIssueTriage, { loadTriageRules } from '../../APIs/issue-triage.js';
+import GitHubIssueAnalytics from '../../APIs/issue-analytics.js';
+import GitHubStaleIssues, { DEFAULT_STALE_CONFIG } from '../../APIs/stale-issues.js';
+import GitHubIssueAssigner, { loadAssignmentConfig } from '../../APIs/issue-assignment.js';
+import { exportReport } from '../../exporters/index.js';
+import { printRateLimitReport } from '../../request/request-layer.js';
+import { EXIT_CODES, UsageError, resolveOrganization, resolveRepository, resolveNumber, validateFormat, writeOutput } from '../shared.js';
+
+const ISSUE_STATES = ['open', 'closed', 'all'];
+const STATE_REASONS = ['completed', 'not_planned'];
+const LOCK_REASONS = ['off-topic', 'too heated', 'resolved', 'spam'];
+
+/**
+ * Parse the --issue flags into issue numbers
+ * @param {Object} values - Parsed flag values
+ * @returns {number[]} Issue numbers
+ */
+function resolveIssueNumbers(values) {
+    const numbers = (values.issue || []).flatMap(value => value.split(',')).map(value => Number(value.trim().replace(/^#/, '')));
+    if (numbers.length === 0 || numbers.some(number => !Number.isInteger(number) || number <= 0)) {
+        throw new UsageError('--issue must be given one or more issue numbers');
+    }
+    return numbers;
+}
+
+/**
+ * Build a bulk operation from the command-line flags
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} Bulk operation
+ */
+function buildBulkOperation(values) {
+    const type = values.op;
+    if (!(type in BULK_OPERATIONS)) {
+        throw new UsageError(`--op must be one of: ${Object.keys(BULK_OPERATIONS).join(', ')}`);
+    }
+
+    const list = name => (values[name] || []).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+    const operation = { type };
+
+    switch (BULK_OPERATIONS[type]) {
+        case 'assignees':
+            operation.assignees = list('assignee');
+            if (operation.assignees.length === 0) throw new UsageError(`--assignee is required for ${type}`);
+            break;
+        case 'labels':
+            operation.labels = list('label');
+            if (operation.labels.length === 0) throw new UsageError(`--label is required for ${type}`);
+            break;
+        case 'milestone':
+            if (!values.milestone) throw new UsageError('--milestone is required for setMilestone');
+            operation.milestone = values.milestone === 'none' ? null : values.milestone;
+            break;
+        case 'body':
+            if (!values.body) throw new UsageError('--body is required for comment');
+            operation.body = values.body;
+            break;
+    }
+
+    if (type === 'close' && values.reason) {
+        if (!['completed', 'not_planned'].includes(values.reason)) {
+            throw new UsageError('--reason must be completed or not_planned');
+        }
+        operation.stateReason = values.reason;
+    }
+
+    return operation;
+}
+
+/**
+ * Reject --issue together with the --match-* flags, which select issues in two different ways
+ * @param {Object} values - Parsed flag values
+ */
+function assertSingleTarget(values) {
+    if (values.issue && (values['match-state'] || values['match-label'])) {
+        throw new UsageError('--issue cannot be combined with --match-state or --match-label');
+    }
+}
+
+/**
+ * Build a fetchIssues filter target from the --match-* flags
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} { filter }
+ */
+function buildBulkFilter(values) {
+    if (!values['match-state'] && !values['match-label']) {
+        throw new UsageError('Pass --issue, or --match-state/--match-label to select issues');
+    }
+
+    const state = values['match-state'] || 'open';
+    if (!ISSUE_STATES.includes(state)) {
+        throw new UsageError(`--match-state must be one of: ${ISSUE_STATES.join(', ')}`);
+    }
+
+    return {
+        filter: {
+            state,
+            labels: values['match-label'] ? values['match-label'].join(',') : null
+        }
+    };
+}
+
+export default {
+    description: 'Repository issues',
+    commands: {
+        list: {
+            description: 'List the issues of a repository',
+            options: {
+                state: { type: 'string', description: 'open, closed or all (default open)' },
+                label: { type: 'string', multiple: true, description: 'Only issues with this label (repeatable)' },
+                assignee: { type: 'string', description: 'Only issues assigned to this login (none or * are accepted)' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                const state = values.state || 'open';
+                if (!ISSUE_STATES.includes(state)) {
+                    throw new UsageError(`--state must be one of: ${ISSUE_STATES.join(', ')}`);
+                }
+                validateFormat(values);
+
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+                const issuesData = await issueManager.getAllIssues(owner, repo, {
+                    state,
+                    labels: values.label ? values.label.join(',') : null,
+                    assignee: values.assignee || null,
+                    since: values.since ? `${values.since}T00:00:00Z` : null
+                });
+
+                issueManager.printIssuesSummary(issuesData);
+                await writeOutput((filename, format) => issueManager.exportReportToFile(issuesData, filename, format), values);
+                printRateLimitReport(issueManager.octokit);
+
+                return EXIT_CODES.SUCCESS;
+            }
+        },
+
+        search: {
+            description: 'Search issues across every repository of an organization',
+            options: {
+                state: { type: 'string', description: 'open, closed or all (default open)' },
+                label: { type: 'string', multiple: true, description: 'Only issues with this label (repeatable)' },
+                assignee: { type: 'string', description: 'Only issues assigned to this login (none for unassigned)' },
+                author: { type: 'string', description: 'Only issues opened by this login' },
+                'older-than-days': { type: 'string', description: 'Only issues created more than this many days ago' },
+                query: { type: 'string', description: 'Raw search query (replaces the other filters), e.g. "org:my-org is:issue label:bug"' }
+            },
+            async run(values) {
+                const org = resolveOrganization(values);
+                const state = values.state || 'open';
+                if (!ISSUE_STATES.includes(state)) {
+                    throw new UsageError(`--state must be one of: ${ISSUE_STATES.join(', ')}`);
+                }
+                validateFormat(values);
+
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+                const issuesData = await issueManager.searchOrgIssues(org, {
+                    state,
+                    labels: (values.label || []).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean),
+                    assignee: values.assignee || null,
+                    author: values.author || null,
+                    olderThanDays: resolveNumber(values, 'older-than-days', null),
+                    query: values.query || null
+                });
+
+                issueManager.printIssuesSummary(issuesData);
+                await writeOutput((filename, format) => issueManager.exportReportToFile(issuesData, filename, format), values);
+                printRateLimitReport(issueManager.octokit);
+
+                return EXIT_CODES.SUCCESS;
+            }
+        },
+
+        health: {
+            description: 'Issue health analytics: age, response and close times, distributions and weekly trend',
+            options: {
+                weeks: { type: 'string', description: 'Weeks of opened-vs-closed trend (default 12)' },
+                'skip-responses': { type: 'boolean', description: 'Leave out time to first response (saves fetching comments)' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                const weeks = resolveNumber(values, 'weeks', 12);
+                validateFormat(values);
+
+                const analytics = new GitHubIssueAnalytics(authOptionsFromEnv());
+                const report = await analytics.generateIssueHealthReport(owner, repo, {
+                    weeks,
+                    since: values.since ? `${values.since}T00:00:00Z` : null,
+                    includeFirstResponse: !values['skip-responses']
+                });
+
+                analytics.printIssueHealthSummary(report);
+                await writeOutput((filename, format) => analytics.exportReportToFile(report, filename, format), values);
+                printRateLimitReport(analytics.octokit);
+
+                return EXIT_CODES.SUCCESS;
+            }
+        },
+        assign: {
+            description: 'Assign one or more issues to a user',
+            options: {
+                issue: { type: 'string', multiple: true, description: 'Issue number (repeatable or comma-separated)' },
+                assignee: { type: 'string', description: 'Login to assign' },
+                'dry-run': { type: 'boolean', description: 'Show what would change without assigning' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                const issueNumbers = resolveIssueNumbers(values);
+                if (!values.assignee) {
+                    throw new UsageError('--assignee is required');
+                }
+
+                if (values['dry-run']) {
+                    issueNumbers.forEach(number => console.log(`Would assign ${owner}/${repo}#${number} to ${values.assignee}`));
+                    return EXIT_CODES.SUCCESS;
+                }
+
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+                const results = [];
+                for (const issueNumber of issueNumbers) {
+                    results.push(await issueManager.assignIssue(owner, repo, issueNumber, values.assignee));
+                }
+                printRateLimitReport(issueManager.octokit);
+
+                return summarizeResults(results);
+            }
+        },
+
+        label: {
+            description: 'Add labels to one or more issues',
+            options: {
+                issue: { type: 'string', multiple: true, description: 'Issue number (repeatable or comma-separated)' },
+                label: { type: 'string', multiple: true, description: 'Label to add (repeatable)' },
+                'dry-run': { type: 'boolean', description: 'Show what would change without labelling' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                const issueNumbers = resolveIssueNumbers(values);
+                const labels = (values.label || []).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+                if (labels.length === 0) {
+                    throw new UsageError('--label is required');
+                }
+
+                if (values['dry-run']) {
+                    issueNumbers.forEach(number => console.log(`Would add labels [${labels.join(', ')}] to ${owner}/${repo}#${number}`));
+                    return EXIT_CODES.SUCCESS;
+                }
+
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+                const results = [];
+                for (const issueNumber of issueNumbers) {
+                    results.push(await issueManager.addLabelsToIssue(owner, repo, issueNumber, labels));
+                }
+                printRateLimitReport(issueManager.octokit);
+
+                return summarizeResults(results);
+            }
+        },
+
+        bulk: {
+            description: 'Run one operation over many issues and report succeeded, skipped and failed items',
+            options: {
+                op: { type: 'string', description: Object.keys(BULK_OPERATIONS).join(', ') },
+                issue: { type: 'string', multiple: true, description: 'Issue number (repeatable or comma-separated)' },
+                'match-state': { type: 'string', description: 'Target issues in this state instead of --issue (open, closed, all)' },
+                'match-label': { type: 'string', multiple: true, description: 'Target issues with this label instead of --issue (repeatable)' },
+                assignee: { type: 'string', multiple: true, description: 'Login for assign/unassign (repeatable)' },
+                label: { type: 'string', multiple: true, description: 'Label for addLabels/removeLabels (repeatable)' },
+                milestone: { type: 'string', description: 'Milestone title or number for setMilestone (none clears it)' },
+                body: { type: 'string', description: 'Comment body for comment' },
+                reason: { type: 'string', description: 'State reason for close: completed or not_planned' },
+                concurrency: { type: 'string', description: 'Issues processed at once (default 4)' },
+                retry: { type: 'string', description: 'Re-run only the failed items of an exported JSON result' }
+            },
+            async run(values) {
+                validateFormat(values);
+                const concurrency = resolveNumber(values, 'concurrency', 4);
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+
+                let result;
+                if (values.retry) {
+                    let previous;
+                    try {
+                        previous = JSON.parse(fs.readFileSync(values.retry, 'utf8'));
+                    } catch (error) {
+                        throw new UsageError(`Cannot read --retry file: ${error.message}`);
+                    }
+                    result = await issueManager.retryFailedBulkOperation(previous, { concurrency });
+                } else {
+                    const { owner, repo } = resolveRepository(values);
+                    const operation = buildBulkOperation(values);
+                    assertSingleTarget(values);
+                    const target = values.issue
+                        ? { issues: resolveIssueNumbers(values) }
+                        : buildBulkFilter(values);
+
+                    result = await issueManager.bulkUpdateIssues(owner, repo, target, operation, { concurrency });
+                }
+
+                await writeOutput((filename, format) => issueManager.exportReportToFile(result, filename, format), values);
+                printRateLimitReport(issueManager.octokit);
+
+                if (result.summary.failed === 0) return EXIT_CODES.SUCCESS;
+                return result.summary.succeeded + result.summary.skipped > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+            }
+        },
+
+        triage: {
+            description: 'Apply a rules file of labels, assignees and comments to matching issues (dry run unless --apply)',
+            options: {
+                rules: { type: 'string', description: 'Rules file (.json, or .yml/.yaml with the yaml package)' },
+                state: { type: 'string', description: 'open, closed or all (default open)' },
+                apply: { type: 'boolean', description: 'Apply the planned actions' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                const state = values.state || 'open';
+                if (!ISSUE_STATES.includes(state)) {
+                    throw new UsageError(`--state must be one of: ${ISSUE_STATES.join(', ')}`);
+                }
+                if (!values.rules) {
+                    throw new UsageError('--rules is required');
+                }
+                validateFormat(values, ['json']);
+
+                let rules;
+                try {
+                    rules = await loadTriageRules(values.rules);
+                } catch (error) {
+                    throw new UsageError(`Invalid rules file: ${error.message}`);
+                }
+
+                const triage = new GitHubIssueTriage(authOptionsFromEnv());
+                const plan = await triage.planTriage(owner, repo, rules, { issueOptions: { state } });
+
+                if (!values.apply) {
+                    console.log('Dry run only. Pass --apply to apply the actions listed above.');
+                    await writeOutput((filename, format) => exportReport(plan, {
+                        format,
+                        filename,
+                        baseName: `issue-triage-plan-${owner}-${repo}-${plan.plannedAt.replace(/[:.]/g, '-')}`
+                    }), values);
+                    return EXIT_CODES.SUCCESS;
+                }
+
+                const record = await triage.applyTriagePlan(plan);
+                await writeOutput((filename, format) => exportReport(record, {
+                    format,
+                    filename,
+                    baseName: `issue-triage-${owner}-${repo}-${record.appliedAt.replace(/[:.]/g, '-')}`
+                }), values);
+                printRateLimitReport(triage.octokit);
+
+                if (record.summary.failed === 0) return EXIT_CODES.SUCCESS;
+                return record.summary.succeeded > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+            }
+        },
+
+        create: {
+            description: 'Create an issue, optionally from a Markdown issue template with {{variable}} placeholders',
+            options: {
+                title: { type: 'string', description: 'Issue title (overrides the template title)' },
+                body: { type: 'string', description: 'Issue body' },
+                template: { type: 'string', description: 'Name of a template in the repository\'s .github/ISSUE_TEMPLATE' },
+                'template-file': { type: 'string', description: 'Local template file (instead of --template)' },
+                var: { type: 'string', multiple: true, description: 'Template variable as name=value (repeatable)' },
+                label: { type: 'string', multiple: true, description: 'Label to add (repeatable)' },
+                assignee: { type: 'string', multiple: true, description: 'Login to assign (repeatable)' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                if (values.template && values['template-file']) {
+                    throw new UsageError('--template and --template-file cannot be combined');
+                }
+                if (!values.title && !values.template && !values['template-file']) {
+                    throw new UsageError('--title, --template or --template-file is required');
+                }
+
+                const variables = {};
+                for (const entry of values.var || []) {
+                    const separator = entry.indexOf('=');
+                    if (separator <= 0) {
+                        throw new UsageError(`--var must be name=value, got: ${entry}`);
+                    }
+                    variables[entry.slice(0, separator)] = entry.slice(separator + 1);
+                }
+
+                const overrides = {
+                    ...(values.title ? { title: values.title } : {}),
+                    ...(values.body ? { body: values.body } : {}),
+                    ...(values.label ? { labels: values.label } : {}),
+                    ...(values.assignee ? { assignees: values.assignee } : {})
+                };
+
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+                let result;
+                if (values.template || values['template-file']) {
+                    const template = values['template-file']
+                        ? { path: values['template-file'] }
+                        : await issueManager.getRepositoryIssueTemplate(owner, repo, values.template);
+                    result = await issueManager.createIssueFromTemplate(owner, repo, template, variables, overrides);
+                } else {
+                    result = await issueManager.createIssue(owner, repo, overrides);
+                }
+                printRateLimitReport(issueManager.octokit);
+
+                if (result.success) console.log(result.url);
+                return result.success ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+            }
+        },
+        close: {
+            description: 'Close one or more issues',
+            options: {
+                issue: { type: 'string', multiple: true, description: 'Issue number (repeatable or comma-separated)' },
+                reason: { type: 'string', description: 'completed (default) or not_planned' },
+                comment: { type: 'string', description: 'Comment posted before closing' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                const issueNumbers = resolveIssueNumbers(values);
+                const reason = values.reason || 'completed';
+                if (!STATE_REASONS.includes(reason)) {
+                    throw new UsageError(`--reason must be one of: ${STATE_REASONS.join(', ')}`);
+                }
+
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+                const results = [];
+                for (const issueNumber of issueNumbers) {
+                    if (values.comment) {
+                        const commented = await issueManager.addCommentToIssue(owner, repo, issueNumber, values.comment);
+                        if (!commented.success) {
+                            results.push(commented);
+                            continue;
+                        }
+                    }
+                    results.push(await issueManager.closeIssue(owner, repo, issueNumber, reason));
+                }
+                printRateLimitReport(issueManager.octokit);
+
+                return summarizeResults(results);
+            }
+        },
+        reopen: {
+            description: 'Reopen one or more closed issues',
+            options: {
+                issue: { type: 'string', multiple: true, description: 'Issue number (repeatable or comma-separated)' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                const issueNumbers = resolveIssueNumbers(values);
+
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+                const results = [];
+                for (const issueNumber of issueNumbers) {
+                    results.push(await issueManager.reopenIssue(owner, repo, issueNumber));
+                }
+                printRateLimitReport(issueManager.octokit);
+
+                return summarizeResults(results);
+            }
+        },
+        lock: {
+            description: 'Lock (or with --unlock, unlock) the conversation of one or more issues',
+            options: {
+                issue: { type: 'string', multiple: true, description: 'Issue number (repeatable or comma-separated)' },
+                reason: { type: 'string', description: `Lock reason: ${LOCK_REASONS.join(', ')}` },
+                unlock: { type: 'boolean', description: 'Unlock instead of lock' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                const issueNumbers = resolveIssueNumbers(values);
+                if (values.reason && !LOCK_REASONS.includes(values.reason)) {
+                    throw new UsageError(`--reason must be one of: ${LOCK_REASONS.join(', ')}`);
+                }
+
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+                const results = [];
+                for (const issueNumber of issueNumbers) {
+                    results.push(values.unlock
+                        ? await issueManager.unlockIssue(owner, repo, issueNumber)
+                        : await issueManager.lockIssue(owner, repo, issueNumber, values.reason || null));
+                }
+                printRateLimitReport(issueManager.octokit);
+
+                return summarizeResults(results);
+            }
+        },
+        comment: {
+            description: 'Comment on an issue, or edit an existing comment with --comment-id',
+            options: {
+                issue: { type: 'string', multiple: true, description: 'Issue number (repeatable or comma-separated)' },
+                'comment-id': { type: 'string', description: 'Edit this comment instead of posting a new one' },
+                body: { type: 'string', description: 'Comment body (Markdown)' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                if (!values.body) {
+                    throw new UsageError('--body is required');
+                }
+
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+                const results = [];
+                if (values['comment-id']) {
+                    const commentId = resolveNumber(values, 'comment-id', null);
+                    results.push(await issueManager.updateIssueComment(owner, repo, commentId, values.body));
+                } else {
+                    for (const issueNumber of resolveIssueNumbers(values)) {
+                        results.push(await issueManager.addCommentToIssue(owner, repo, issueNumber, values.body));
+                    }
+                }
+                printRateLimitReport(issueManager.octokit);
+
+                return summarizeResults(results);
+            }
+        },
+        stale: {
+            description: 'Mark inactive issues stale, close them after a grace period and unmark them on new activity (dry run unless --apply)',
+            options: {
+                'stale-days': { type: 'string', description: 'Days without activity before an issue is marked (default 60)' },
+                'close-days': { type: 'string', description: 'Days after marking before a stale issue is closed (default 7)' },
+                'stale-label': { type: 'string', description: 'Label that marks stale issues (default stale)' },
+                'exempt-label': { type: 'string', multiple: true, description: 'Never mark issues with this label (repeatable)' },
+                'exempt-milestone': { type: 'string', multiple: true, description: 'Never mark issues in this milestone, * for any (repeatable)' },
+                apply: { type: 'boolean', description: 'Mark, close and unmark the planned issues' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                validateFormat(values);
+
+                const list = name => (values[name] || []).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+                const config = {
+                    daysUntilStale: resolveNumber(values, 'stale-days', DEFAULT_STALE_CONFIG.daysUntilStale),
+                    daysUntilClose: resolveNumber(values, 'close-days', DEFAULT_STALE_CONFIG.daysUntilClose),
+                    staleLabel: values['stale-label'] || DEFAULT_STALE_CONFIG.staleLabel,
+                    exemptLabels: list('exempt-label'),
+                    exemptMilestones: list('exempt-milestone')
+                };
+
+                const staleIssues = new GitHubStaleIssues(authOptionsFromEnv());
+                const plan = await staleIssues.planStaleIssues(owner, repo, config);
+
+                if (!values.apply) {
+                    await writeOutput((filename, format) => staleIssues.exportReportToFile(plan, filename, format), values);
+                    console.log('Dry run only. Re-run with --apply to change the issues listed above.');
+                    printRateLimitReport(staleIssues.octokit);
+                    return EXIT_CODES.SUCCESS;
+                }
+
+                const report = await staleIssues.applyStalePlan(plan);
+                await writeOutput((filename, format) => staleIssues.exportReportToFile(report, filename, format), values);
+                printRateLimitReport(staleIssues.octokit);
+
+                if (report.summary.failed === 0) return EXIT_CODES.SUCCESS;
+                return report.summary.failed < report.items.length ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+            }
+        },
+        'auto-assign': {
+            description: 'Assign issues from a pool of people by round-robin or least open issues (default: open unassigned issues; dry run unless --apply)',
+            options: {
+                config: { type: 'string', description: 'Assignment config file (default ASSIGNMENT_CONFIG_FILE or ./assignment-config.json)' },
+                issue: { type: 'string', multiple: true, description: 'Only these issue numbers (repeatable or comma-separated)' },
+                'match-state': { type: 'string', description: 'Unassigned issues in this state instead of --issue (open, closed, all)' },
+                'match-label': { type: 'string', multiple: true, description: 'Unassigned issues with this label instead of --issue (repeatable)' },
+                apply: { type: 'boolean', description: 'Assign the planned issues and record them in the assignment history' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                assertSingleTarget(values);
+                let target;
+                if (values.issue) {
+                    target = resolveIssueNumbers(values);
+                } else if (values['match-state'] || values['match-label']) {
+                    target = { filter: { ...buildBulkFilter(values).filter, assignee: 'none' } };
+                }
+                validateFormat(values, ['json']);
+
+                let config;
+                try {
+                    config = loadAssignmentConfig(values.config || process.env.ASSIGNMENT_CONFIG_FILE || './assignment-config.json');
+                } catch (error) {
+                    throw new UsageError(`Invalid assignment config: ${error.message}`);
+                }
+
+                const assigner = new GitHubIssueAssigner(authOptionsFromEnv());
+                const result = await assigner.autoAssignIssues(owner, repo, target, config, { dryRun: !values.apply });
+                if (!values.apply) {
+                    console.log('Dry run only. Re-run with --apply to assign the issues listed above.');
+                }
+                await writeOutput((filename, format) => exportReport(result, {
+                    format,
+                    filename,
+                    baseName: `issue-assignment-${owner}-${repo}-${result.startedAt.replace(/[:.]/g, '-')}`
+                }), values);
+                printRateLimitReport(assigner.octokit);
+
+                if (result.summary.failed === 0) return EXIT_CODES.SUCCESS;
+                return result.summary.failed < result.items.length ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+            }
+        },
+        handoff: {
+            description: 'Assign issues to the Copilot coding agent',
+            options: {
+                issue: { type: 'string', multiple: true, description: 'Issue number (repeatable or comma-separated)' },
+                'dry-run': { type: 'boolean', description: 'Only check that the agent can be assigned in the repository' }
+            },
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                const issueNumbers = resolveIssueNumbers(values);
+                const issueManager = new GitHubIssueManagement(authOptionsFromEnv());
+
+                if (values['dry-run']) {
+                    const lookup = await issueManager.getCopilotAgentActor(owner, repo);
+                    if (!lookup.available) {
+                        console.log(`❌ ${lookup.reason}`);
+                        return EXIT_CODES.FAILURE;
+                    }
+                    issueNumbers.forEach(number => console.log(`Would hand ${owner}/${repo}#${number} to the Copilot coding agent`));
+                    return EXIT_CODES.SUCCESS;
+                }
+
+                const outcome = await issueManager.assignCopilotAgentToIssues(owner, repo, issueNumbers);
+                printRateLimitReport(issueManager.octokit);
+
+                return summarizeResults(outcome.results);
+            }
+        },
+
+        handoffs: {
+            description: 'List the issues handed to the Copilot coding agent',
+            options: {},
+            async run(values) {
+                const { owner, repo } = resolveRepository(values);
+                validateFormat(values, ['json']);
+
+                const handoffs = await new CopilotAgentHandoffStore().getHandoffs(owner, repo);
+                handoffs.forEach(handoff => console.log(`  ${handoff.repository}#${handoff.issueNumber}\t${handoff.handedOffAt}\t${handoff.title || ''}`));
+                console.log(`\n🤖 ${handoffs.length} issue(s) handed to the Copilot coding agent in ${owner}/${repo}`);
+
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                await writeOutput((filename, format) => exportReport({ repository: `${owner}/${repo}`, handoffs }, {
+                    format,
+                    filename,
+                    baseName: `copilot-agent-handoffs-${owner}-${repo}-${timestamp}`
+                }), values);
+
+                return EXIT_CODES.SUCCESS;
+            }
+        }
+    }
+};
+
+/**
+ * Print the outcome of per-issue operations and pick the exit code
+ * @param {Object[]} results - Results with success and issue_number
+ * @returns {number} Exit code
+ */
+function summarizeResults(results) {
+    const failed = results.filter(result => !result.success);
+    console.log(`\n✅ ${results.length - failed.length} succeeded, ❌ ${failed.length} failed`);
+
+    if (failed.length === 0) return EXIT_CODES.SUCCESS;
+    return failed.length === results.length ? EXIT_CODES.FAILURE : EXIT_CODES.PARTIAL;
+}
@@ -0,0 +1,45 @@
+// ghtk metrics - Copilot metrics reports
+
+import { authOptionsFromEnv } from '../../auth/client-factory.js';
+import GitHubCopilotMetrics from '../../APIs/GHCP-metrics.js';
+import CopilotMetricsStore from '../../APIs/metrics-store.js';
+import { printRateLimitReport } from '../../request/request-layer.js';
+import { EXIT_CODES, resolveOrganization, resolveDateRange, validateFormat, writeOutput } from '../shared.js';
+
+export default {
+    description: 'Copilot usage metrics',
+    commands: {
+        report: {
+            description: 'Generate a Copilot metrics report for an organization',
+            options: {
+                'team-breakdown': { type: 'boolean', description: 'Include per-team metrics' },
+                history: { type: 'boolean', description: 'Sync the local history store and read the range from it' }
+            },
+            async run(values) {
+                const org = resolveOrganization(values);
+                const { since, until } = resolveDateRange(values);
+                validateFormat(values);
+
+                const metrics = new GitHubCopilotMetrics(authOptionsFromEnv());
+                let store = null;
+                if (values.history) {
+                    store = new CopilotMetricsStore();
+                    await metrics.syncMetricsToStore(org, store);
+                }
+
+                const report = await metrics.generateMetricsReport(org, since, until, {
+                    teamBreakdown: values['team-breakdown'],
+                    store
+                });
+
+                metrics.printMetricsSummary(report);
+                await writeOutput((filename, format) => metrics.exportReportToFile(report, filename, format), values);
+                printRateLimitReport(metrics.octokit);
+
+                // Teams whose metrics could not be fetched make the report incomplete
+                const failedTeams = (report.teams || []).filter(team => !team.success);
+                return failedTeams.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+            }
+        }
+    }
+};
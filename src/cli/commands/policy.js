@@ -0,0 +1,197 @@
+// ghtk policy - Organization policy overview, declared settings planned and applied as code, and default branch protection
+
+import fs from 'fs';
+import { authOptionsFromEnv } from '../../auth/client-factory.js';
+import GitHubEnterprisePolicyManagement from '../../APIs/enterprise-policy.js';
+import GitHubOrganizationPolicyAsCode, { loadPolicyFile } from '../../APIs/policy-as-code.js';
+import { DEFAULT_COMPLIANCE_RULES, loadComplianceRules } from '../../APIs/compliance-rules.js';
+import GitHubBranchProtectionAuditor, { DEFAULT_BRANCH_BASELINE, loadBranchBaseline } from '../../APIs/branch-protection.js';
+import { printRateLimitReport } from '../../request/request-layer.js';
+import { EXIT_CODES, UsageError, resolveOrganization, resolveNumber, validateFormat, writeOutput } from '../shared.js';
+
+const VISIBILITIES = ['public', 'private', 'internal'];
+const ENFORCEMENTS = ['active', 'evaluate', 'disabled'];
+
+/**
+ * Load the desired settings for an organization from --policy
+ * @param {Object} values - Parsed flag values
+ * @param {string} org - Organization login
+ * @returns {Object} { policyFile, desiredSettings }
+ */
+function resolvePolicy(values, org) {
+    const policyFile = values.policy || process.env.POLICY_FILE || './org-policy.json';
+    try {
+        return { policyFile, desiredSettings: loadPolicyFile(policyFile, org) };
+    } catch (error) {
+        throw new UsageError(`Invalid policy file: ${error.message}`);
+    }
+}
+
+/**
+ * Load the branch protection baseline from --branch-baseline
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} Baseline
+ */
+function resolveBranchBaseline(values) {
+    const baselineFile = values['branch-baseline'] || process.env.BRANCH_BASELINE_FILE;
+    if (!baselineFile) return DEFAULT_BRANCH_BASELINE;
+    try {
+        return loadBranchBaseline(baselineFile);
+    } catch (error) {
+        throw new UsageError(`Invalid branch protection baseline: ${error.message}`);
+    }
+}
+
+const policyOption = { type: 'string', description: 'Policy file (default POLICY_FILE or ./org-policy.json)' };
+const branchBaselineOption = { type: 'string', description: 'Branch protection baseline file (default BRANCH_BASELINE_FILE, else the built-in baseline)' };
+
+export default {
+    description: 'Organization policies and settings',
+    commands: {
+        overview: {
+            description: 'Collect the organization, security and Copilot settings of an organization and score them',
+            options: {
+                rules: { type: 'string', description: 'Custom compliance rules file (default COMPLIANCE_RULES_FILE, else the built-in rules)' },
+                'branch-protection': { type: 'boolean', description: 'Audit the default branch of every repository and include the findings' },
+                'branch-baseline': branchBaselineOption
+            },
+            async run(values) {
+                const org = resolveOrganization(values);
+                validateFormat(values);
+
+                let complianceRules = DEFAULT_COMPLIANCE_RULES;
+                const rulesFile = values.rules || process.env.COMPLIANCE_RULES_FILE;
+                if (rulesFile) {
+                    try {
+                        complianceRules = loadComplianceRules(rulesFile);
+                    } catch (error) {
+                        throw new UsageError(`Invalid compliance rules: ${error.message}`);
+                    }
+                }
+
+                // The auditor only produces the findings; the overview and its export stay policy-overview reports
+                let branchProtection = null;
+                if (values['branch-protection']) {
+                    const auditor = new GitHubBranchProtectionAuditor(authOptionsFromEnv());
+                    branchProtection = await auditor.auditOrganizationBranchProtection(org, { baseline: resolveBranchBaseline(values) });
+                    printRateLimitReport(auditor.octokit);
+                }
+
+                const policyManager = new GitHubEnterprisePolicyManagement(authOptionsFromEnv());
+                const overview = await policyManager.getComprehensivePolicyOverview(org, { complianceRules, branchProtection });
+
+                policyManager.printPolicySummary(overview);
+                await writeOutput((filename, format) => policyManager.exportReportToFile(overview, filename, format), values);
+                printRateLimitReport(policyManager.octokit);
+
+                return EXIT_CODES.SUCCESS;
+            }
+        },
+        branches: {
+            description: 'Audit default branch protection and rulesets against a baseline, optionally creating an org ruleset for the gaps',
+            options: {
+                'branch-baseline': branchBaselineOption,
+                'include-archived': { type: 'boolean', description: 'Also audit archived repositories' },
+                'exclude-forks': { type: 'boolean', description: 'Skip forks' },
+                visibility: { type: 'string', description: 'Only public, private or internal repositories' },
+                concurrency: { type: 'string', description: 'Repositories audited at once (default 4)' },
+                'create-ruleset': { type: 'boolean', description: 'Create an organization ruleset for the gaps found on the default branch of every repository except archived ones (only the audited repositories with --visibility or --exclude-forks)' },
+                'ruleset-name': { type: 'string', description: 'Name of the created ruleset (default "Default branch baseline")' },
+                enforcement: { type: 'string', description: 'Ruleset enforcement: active (default), evaluate (GitHub Enterprise) or disabled' },
+                'dry-run': { type: 'boolean', description: 'With --create-ruleset, show the ruleset without creating it' }
+            },
+            async run(values) {
+                const org = resolveOrganization(values);
+                validateFormat(values);
+                if (values.visibility && !VISIBILITIES.includes(values.visibility)) {
+                    throw new UsageError(`--visibility must be one of: ${VISIBILITIES.join(', ')}`);
+                }
+                if (values.enforcement && !ENFORCEMENTS.includes(values.enforcement)) {
+                    throw new UsageError(`--enforcement must be one of: ${ENFORCEMENTS.join(', ')}`);
+                }
+                const baseline = resolveBranchBaseline(values);
+
+                const auditor = new GitHubBranchProtectionAuditor(authOptionsFromEnv());
+                const report = await auditor.auditOrganizationBranchProtection(org, {
+                    baseline,
+                    includeArchived: Boolean(values['include-archived']),
+                    includeForks: !values['exclude-forks'],
+                    visibility: values.visibility || null,
+                    concurrency: resolveNumber(values, 'concurrency', 4)
+                });
+
+                if (values['create-ruleset']) {
+                    report.ruleset = await auditor.createGapRuleset(report, {
+                        name: values['ruleset-name'] || undefined,
+                        enforcement: values.enforcement || undefined,
+                        dryRun: Boolean(values['dry-run'])
+                    });
+                }
+
+                auditor.printBranchProtectionSummary(report);
+                await writeOutput((filename, format) => auditor.exportReportToFile(report, filename, format), values);
+                printRateLimitReport(auditor.octokit);
+
+                return report.summary.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+            }
+        },
+        plan: {
+            description: 'Compare the settings declared in a policy file with the live organization settings',
+            options: {
+                policy: policyOption
+            },
+            async run(values) {
+                const org = resolveOrganization(values);
+                validateFormat(values);
+                const { policyFile, desiredSettings } = resolvePolicy(values, org);
+
+                const policyAsCode = new GitHubOrganizationPolicyAsCode(authOptionsFromEnv());
+                const plan = await policyAsCode.planOrganizationPolicy(org, desiredSettings, { policyFile });
+
+                policyAsCode.printPolicyPlan(plan);
+                await writeOutput((filename, format) => policyAsCode.exportReportToFile(plan, filename, format), values);
+                printRateLimitReport(policyAsCode.octokit);
+
+                return EXIT_CODES.SUCCESS;
+            }
+        },
+        apply: {
+            description: 'Change the organization settings that differ from the policy file',
+            options: {
+                policy: policyOption,
+                plan: { type: 'string', description: 'Apply a plan saved with `policy plan --format json` instead of planning again' }
+            },
+            async run(values) {
+                validateFormat(values);
+
+                let plan = null;
+                let org, policy;
+                if (values.plan) {
+                    try {
+                        plan = JSON.parse(fs.readFileSync(values.plan, 'utf8'));
+                    } catch (error) {
+                        throw new UsageError(`Cannot read --plan file: ${error.message}`);
+                    }
+                } else {
+                    org = resolveOrganization(values);
+                    policy = resolvePolicy(values, org);
+                }
+
+                const policyAsCode = new GitHubOrganizationPolicyAsCode(authOptionsFromEnv());
+                if (!plan) {
+                    plan = await policyAsCode.planOrganizationPolicy(org, policy.desiredSettings, { policyFile: policy.policyFile });
+                }
+
+                const report = await policyAsCode.applyOrganizationPolicyPlan(plan);
+
+                policyAsCode.printPolicyPlan(report);
+                await writeOutput((filename, format) => policyAsCode.exportReportToFile(report, filename, format), values);
+                printRateLimitReport(policyAsCode.octokit);
+
+                const { applied, failed } = report.summary;
+                if (failed === 0) return EXIT_CODES.SUCCESS;
+                return applied > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+            }
+        }
+    }
+};
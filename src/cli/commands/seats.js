@@ -0,0 +1,58 @@
+// ghtk seats - Copilot seat listing
+
+import { authOptionsFromEnv } from '../../auth/client-factory.js';
+import GitHubCopilotMetrics from '../../APIs/GHCP-metrics.js';
+import { exportReport } from '../../exporters/index.js';
+import { printRateLimitReport } from '../../request/request-layer.js';
+import { EXIT_CODES, resolveOrganization, resolveNumber, validateFormat, writeOutput } from '../shared.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default {
+    description: 'Copilot seat assignments',
+    commands: {
+        list: {
+            description: 'List the Copilot seats of an organization',
+            options: {
+                'inactive-days': { type: 'string', description: 'Only list seats without activity for this many days (including never used)' }
+            },
+            async run(values) {
+                const org = resolveOrganization(values);
+                const inactiveDays = resolveNumber(values, 'inactive-days', null);
+                // Seat lists have no tabular exporter yet
+                validateFormat(values, ['json']);
+
+                const metrics = new GitHubCopilotMetrics(authOptionsFromEnv());
+                const cutoff = inactiveDays ? Date.now() - inactiveDays * DAY_MS : null;
+                const seats = [];
+
+                for await (const seat of metrics.iterateCopilotSeats(org)) {
+                    const lastActivity = seat.last_activity_at ? new Date(seat.last_activity_at).getTime() : null;
+                    if (cutoff && lastActivity && lastActivity >= cutoff) continue;
+
+                    seats.push(seat);
+                    console.log(`  ${seat.assignee?.login || '(unknown)'}\tteam: ${seat.assigning_team?.slug || '—'}\tlast activity: ${seat.last_activity_at || 'never'}${seat.pending_cancellation_date ? `\tpending cancellation ${seat.pending_cancellation_date}` : ''}`);
+                }
+
+                console.log(`\n💺 ${seats.length} seats${inactiveDays ? ` inactive for ${inactiveDays}+ days` : ''} in ${org}`);
+
+                const result = {
+                    organization: org,
+                    listedAt: new Date().toISOString(),
+                    inactiveDays,
+                    total: seats.length,
+                    seats
+                };
+                const timestamp = result.listedAt.replace(/[:.]/g, '-');
+                await writeOutput((filename, format) => exportReport(result, {
+                    format,
+                    filename,
+                    baseName: `copilot-seats-${org}-${timestamp}`
+                }), values);
+                printRateLimitReport(metrics.octokit);
+
+                return EXIT_CODES.SUCCESS;
+            }
+        }
+    }
+};
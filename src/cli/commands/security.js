@@ -0,0 +1,163 @@
+// ghtk security - Repository security posture across an organization, and bulk remediation with rollback
+
+import { authOptionsFromEnv } from '../../auth/client-factory.js';
+import GitHubSecurityPostureScanner, { DEFAULT_SECURITY_BASELINE, loadSecurityBaseline } from '../../APIs/security-posture.js';
+import GitHubSecurityRemediation, { REMEDIATION_FEATURES } from '../../APIs/security-remediation.js';
+import SecurityRemediationJournal from '../../APIs/remediation-journal.js';
+import { printRateLimitReport } from '../../request/request-layer.js';
+import { EXIT_CODES, UsageError, resolveOrganization, resolveNumber, validateFormat, writeOutput } from '../shared.js';
+
+const VISIBILITIES = ['public', 'private', 'internal'];
+
+/**
+ * Values of a repeatable, comma-separated flag
+ * @param {Object} values - Parsed flag values
+ * @param {string} name - Flag name
+ * @returns {string[]} Values
+ */
+function list(values, name) {
+    return (values[name] || []).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * Exit code of a remediation or rollback report
+ * @param {Object} report - Report with items
+ * @returns {number} EXIT_CODES value
+ */
+function remediationExitCode(report) {
+    const failed = report.items.filter(item => item.status === 'failed').length;
+    const partial = report.items.filter(item => item.status === 'partial').length;
+    if (failed === 0 && partial === 0) return EXIT_CODES.SUCCESS;
+    return failed < report.items.length ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+}
+
+export default {
+    description: 'Repository security settings',
+    commands: {
+        scan: {
+            description: 'Scan the security and merge settings of every repository and list those that deviate from the baseline',
+            options: {
+                baseline: { type: 'string', description: 'Baseline file overriding the default expectations (default SECURITY_BASELINE_FILE)' },
+                'include-archived': { type: 'boolean', description: 'Also scan archived repositories' },
+                'exclude-forks': { type: 'boolean', description: 'Skip forks' },
+                visibility: { type: 'string', description: 'Only public, private or internal repositories' },
+                concurrency: { type: 'string', description: 'Repositories scanned at once (default 4)' }
+            },
+            async run(values) {
+                const org = resolveOrganization(values);
+                validateFormat(values);
+                if (values.visibility && !VISIBILITIES.includes(values.visibility)) {
+                    throw new UsageError(`--visibility must be one of: ${VISIBILITIES.join(', ')}`);
+                }
+
+                let baseline = DEFAULT_SECURITY_BASELINE;
+                const baselineFile = values.baseline || process.env.SECURITY_BASELINE_FILE;
+                if (baselineFile) {
+                    try {
+                        baseline = loadSecurityBaseline(baselineFile);
+                    } catch (error) {
+                        throw new UsageError(`Invalid baseline: ${error.message}`);
+                    }
+                }
+
+                const scanner = new GitHubSecurityPostureScanner(authOptionsFromEnv());
+                const report = await scanner.scanOrganizationSecurityPosture(org, {
+                    baseline,
+                    includeArchived: Boolean(values['include-archived']),
+                    includeForks: !values['exclude-forks'],
+                    visibility: values.visibility || null,
+                    concurrency: resolveNumber(values, 'concurrency', 4)
+                });
+
+                scanner.printSecurityPostureSummary(report);
+                await writeOutput((filename, format) => scanner.exportReportToFile(report, filename, format), values);
+                printRateLimitReport(scanner.octokit);
+
+                return report.summary.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+            }
+        },
+        remediate: {
+            description: 'Enable vulnerability alerts, Dependabot security updates, secret scanning and push protection on selected repositories (dry run unless --apply)',
+            options: {
+                topic: { type: 'string', multiple: true, description: 'Repositories with this topic (repeatable or comma-separated)' },
+                visibility: { type: 'string', description: 'Only public, private or internal repositories' },
+                name: { type: 'string', multiple: true, description: 'Repository name pattern, * and ? wildcards (repeatable or comma-separated)' },
+                feature: { type: 'string', multiple: true, description: `Only these features: ${REMEDIATION_FEATURES.join(', ')} (default all)` },
+                'include-archived': { type: 'boolean', description: 'Also select archived repositories' },
+                'exclude-forks': { type: 'boolean', description: 'Skip forks' },
+                concurrency: { type: 'string', description: 'Repositories changed at once (default 4)' },
+                apply: { type: 'boolean', description: 'Make the planned changes, journaling each repository\'s prior state' }
+            },
+            async run(values) {
+                const org = resolveOrganization(values);
+                validateFormat(values);
+                if (values.visibility && !VISIBILITIES.includes(values.visibility)) {
+                    throw new UsageError(`--visibility must be one of: ${VISIBILITIES.join(', ')}`);
+                }
+
+                const selection = {
+                    topics: list(values, 'topic'),
+                    visibility: values.visibility || null,
+                    names: list(values, 'name'),
+                    includeArchived: Boolean(values['include-archived']),
+                    includeForks: !values['exclude-forks']
+                };
+                if (selection.topics.length === 0 && !selection.visibility && selection.names.length === 0) {
+                    throw new UsageError("Select repositories with --topic, --visibility or --name (--name '*' selects every repository)");
+                }
+
+                const features = values.feature ? list(values, 'feature') : REMEDIATION_FEATURES;
+                const unknownFeatures = features.filter(feature => !REMEDIATION_FEATURES.includes(feature));
+                if (unknownFeatures.length > 0) {
+                    throw new UsageError(`Unknown --feature ${unknownFeatures.join(', ')}. Features: ${REMEDIATION_FEATURES.join(', ')}`);
+                }
+                const concurrency = resolveNumber(values, 'concurrency', 4);
+
+                const remediation = new GitHubSecurityRemediation(authOptionsFromEnv());
+                const plan = await remediation.planSecurityRemediation(org, selection, { features, concurrency });
+                const report = values.apply ? await remediation.applySecurityRemediation(plan, { concurrency }) : plan;
+
+                remediation.printRemediationReport(report);
+                if (!values.apply) {
+                    console.log('Dry run only. Re-run with --apply to change the repositories listed above.');
+                }
+                await writeOutput((filename, format) => remediation.exportReportToFile(report, filename, format), values);
+                printRateLimitReport(remediation.octokit);
+
+                return remediationExitCode(report);
+            }
+        },
+        rollback: {
+            description: 'Restore the security features a remediation run changed, from its journal',
+            options: {
+                run: { type: 'string', description: 'Run id printed by `security remediate`' },
+                concurrency: { type: 'string', description: 'Repositories restored at once (default 4)' },
+                'dry-run': { type: 'boolean', description: 'Show what would be restored without changing anything' }
+            },
+            async run(values) {
+                const org = resolveOrganization(values);
+                validateFormat(values);
+
+                if (!values.run) {
+                    const runs = await new SecurityRemediationJournal().listRuns(org);
+                    throw new UsageError(`--run is required. ${runs.length > 0 ? `Runs for ${org}: ${runs.join(', ')}` : `No remediation runs recorded for ${org}`}`);
+                }
+                if (!/^[\w-]+$/.test(values.run)) {
+                    throw new UsageError(`Invalid --run ${values.run}: use a run id printed by \`security remediate\``);
+                }
+
+                const remediation = new GitHubSecurityRemediation(authOptionsFromEnv());
+                const report = await remediation.rollbackSecurityRemediation(org, values.run, {
+                    dryRun: Boolean(values['dry-run']),
+                    concurrency: resolveNumber(values, 'concurrency', 4)
+                });
+
+                remediation.printRemediationReport(report);
+                await writeOutput((filename, format) => remediation.exportReportToFile(report, filename, format), values);
+                printRateLimitReport(remediation.octokit);
+
+                return remediationExitCode(report);
+            }
+        }
+    }
+};
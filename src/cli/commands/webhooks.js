@@ -0,0 +1,86 @@
+// ghtk webhooks - Webhook receiver and local replay of recorded deliveries
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { authOptionsFromEnv } from '../../auth/client-factory.js';
+import { loadTriageRules } from '../../APIs/issue-triage.js';
+import GitHubWebhookServer, { createIssueTriageHandlers, signWebhookPayload } from '../../webhooks/webhook-server.js';
+import { EXIT_CODES, UsageError, resolveNumber } from '../shared.js';
+
+/**
+ * Webhook secret from the environment
+ * @returns {string} Secret
+ */
+function resolveSecret() {
+    if (!process.env.GITHUB_WEBHOOK_SECRET) {
+        throw new UsageError('GITHUB_WEBHOOK_SECRET must be set to the secret configured on the GitHub App');
+    }
+    return process.env.GITHUB_WEBHOOK_SECRET;
+}
+
+export default {
+    description: 'GitHub App webhooks',
+    commands: {
+        serve: {
+            description: 'Receive webhook deliveries and triage issues as they are opened, labelled or commented on',
+            options: {
+                port: { type: 'string', description: 'Port to listen on (default WEBHOOK_PORT or 3000)' },
+                path: { type: 'string', description: 'Path deliveries are posted to (default /api/github/webhooks)' },
+                rules: { type: 'string', description: 'Triage rules file (default TRIAGE_RULES_FILE or ./triage-rules.json)' }
+            },
+            async run(values) {
+                const secret = resolveSecret();
+                const port = resolveNumber(values, 'port', Number(process.env.WEBHOOK_PORT || 3000));
+                const rules = await loadTriageRules(values.rules || process.env.TRIAGE_RULES_FILE || './triage-rules.json');
+
+                const server = new GitHubWebhookServer({ secret, authOptions: authOptionsFromEnv(), path: values.path });
+                Object.entries(createIssueTriageHandlers(rules)).forEach(([event, handler]) => server.on(event, handler));
+                await server.listen(port);
+
+                // The server keeps the process running until it is interrupted
+                return EXIT_CODES.SUCCESS;
+            }
+        },
+        replay: {
+            description: 'Sign a recorded payload and post it to a running webhook server',
+            options: {
+                payload: { type: 'string', description: 'Recorded payload file, e.g. src/webhooks/payloads/issues.opened.json' },
+                event: { type: 'string', description: 'X-GitHub-Event name (default: file name up to the first dot)' },
+                url: { type: 'string', description: 'Server URL (default http://localhost:3000/api/github/webhooks)' }
+            },
+            async run(values) {
+                if (!values.payload) {
+                    throw new UsageError('--payload is required');
+                }
+
+                let payload;
+                try {
+                    payload = fs.readFileSync(values.payload);
+                    JSON.parse(payload.toString('utf8'));
+                } catch (error) {
+                    throw new UsageError(`Cannot read --payload file: ${error.message}`);
+                }
+
+                const event = values.event || path.basename(values.payload).split('.')[0];
+                const url = values.url || 'http://localhost:3000/api/github/webhooks';
+
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-GitHub-Event': event,
+                        'X-GitHub-Delivery': crypto.randomUUID(),
+                        'X-Hub-Signature-256': signWebhookPayload(resolveSecret(), payload)
+                    },
+                    body: payload
+                });
+
+                console.log(`${response.ok ? '✅' : '❌'} ${response.status} ${event}`);
+                console.log(JSON.stringify(await response.json(), null, 2));
+
+                return response.ok ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE;
+            }
+        }
+    }
+};
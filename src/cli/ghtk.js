@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// ghtk - GitHub API Toolkit command-line interface
+// Usage: node src/cli/ghtk.js <group> <command> [options]
+// Exit codes: 0 success, 1 error, 2 invalid usage, 3 partial failure
+
+import { parseArgs } from 'util';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { EXIT_CODES, UsageError, GLOBAL_OPTIONS } from './shared.js';
+import metrics from './commands/metrics.js';
+import seats from './commands/seats.js';
+import issues from './commands/issues.js';
+import policy from './commands/policy.js';
+import auth from './commands/auth.js';
+import webhooks from './commands/webhooks.js';
+import security from './commands/security.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Command groups; each group maps command names to { description, options, run(values) }
+ */
+export const COMMAND_GROUPS = {
+    metrics,
+    seats,
+    issues,
+    policy,
+    security,
+    auth,
+    webhooks
+};
+
+/**
+ * Format option definitions for help output
+ * @param {Object} options - parseArgs option definitions with descriptions
+ * @returns {string[]} Help lines
+ */
+function formatOptions(options) {
+    return Object.entries(options).map(([name, option]) => {
+        const flag = `${option.short ? `-${option.short}, ` : ''}--${name}${option.type === 'string' ? ' <value>' : ''}`;
+        return `  ${flag.padEnd(28)} ${option.description || ''}`;
+    });
+}
+
+/**
+ * Build the help text for the whole CLI, a group or a single command
+ * @param {string} groupName - Command group
+ * @param {string} commandName - Command within the group
+ * @returns {string} Help text
+ */
+export function getHelp(groupName = null, commandName = null) {
+    const group = COMMAND_GROUPS[groupName];
+    const command = group?.commands[commandName];
+
+    if (command) {
+        return [
+            `Usage: ghtk ${groupName} ${commandName} [options]`,
+            '',
+            command.description,
+            '',
+            'Options:',
+            ...formatOptions({ ...command.options, ...GLOBAL_OPTIONS })
+        ].join('\n');
+    }
+
+    if (group) {
+        return [
+            `Usage: ghtk ${groupName} <command> [options]`,
+            '',
+            group.description,
+            '',
+            'Commands:',
+            ...Object.entries(group.commands).map(([name, entry]) => `  ${name.padEnd(12)} ${entry.description}`)
+        ].join('\n');
+    }
+
+    return [
+        'Usage: ghtk <group> <command> [options]',
+        '',
+        'Commands:',
+        ...Object.entries(COMMAND_GROUPS).flatMap(([name, entry]) =>
+            Object.entries(entry.commands).map(([commandName, command]) => `  ${`${name} ${commandName}`.padEnd(22)} ${command.description}`)),
+        '',
+        'Run "ghtk <group> <command> --help" for the options of a command.',
+        'Exit codes: 0 success, 1 error, 2 invalid usage, 3 partial failure'
+    ].join('\n');
+}
+
+/**
+ * Parse arguments and run the matching command
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv) {
+    const [groupName, commandName, ...rest] = argv;
+    const group = COMMAND_GROUPS[groupName];
+
+    try {
+        // Asking for help succeeds; a missing group or command is a usage error
+        if (!groupName || groupName === '--help' || groupName === '-h' || groupName === 'help') {
+            console.log(getHelp());
+            return groupName ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+        }
+        if (!group) {
+            throw new UsageError(`Unknown command group: ${groupName}`);
+        }
+        if (!commandName || commandName === '--help' || commandName === '-h') {
+            console.log(getHelp(groupName));
+            return commandName ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+        }
+
+        const command = group.commands[commandName];
+        if (!command) {
+            throw new UsageError(`Unknown command: ${groupName} ${commandName}`);
+        }
+
+        let values;
+        try {
+            ({ values } = parseArgs({
+                args: rest,
+                options: { ...command.options, ...GLOBAL_OPTIONS },
+                strict: true,
+                allowPositionals: false
+            }));
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+
+        if (values.help) {
+            console.log(getHelp(groupName, commandName));
+            return EXIT_CODES.SUCCESS;
+        }
+
+        return await command.run(values);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`❌ ${error.message}\n`);
+            console.error(getHelp(group ? groupName : null, group?.commands[commandName] ? commandName : null));
+            return EXIT_CODES.USAGE;
+        }
+
+        console.error(`❌ ${groupName} ${commandName} failed:`, error.message);
+        return EXIT_CODES.FAILURE;
+    }
+}
+
+// Run when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,165 @@
+// CLI Shared Helpers
+// Exit codes, common flags and option helpers used by the ghtk command modules.
+
+import { getSupportedFormats } from '../exporters/index.js';
+
+/**
+ * Process exit codes, stable for use in CI pipelines
+ */
+export const EXIT_CODES = {
+    SUCCESS: 0,
+    // Unexpected error (authentication, network, API failure)
+    FAILURE: 1,
+    // Invalid command, flag or flag value
+    USAGE: 2,
+    // The command ran but some of its operations or checks failed
+    PARTIAL: 3
+};
+
+/**
+ * Raised for invalid command-line usage; exits with EXIT_CODES.USAGE
+ */
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Flags accepted by every command
+ */
+export const GLOBAL_OPTIONS = {
+    org: { type: 'string', description: 'Organization login (default: GITHUB_ORG)' },
+    repo: { type: 'string', description: 'Repository as owner/name or name (default: GITHUB_OWNER/GITHUB_REPO)' },
+    since: { type: 'string', description: 'Start date, YYYY-MM-DD' },
+    until: { type: 'string', description: 'End date, YYYY-MM-DD' },
+    days: { type: 'string', description: 'Date range ending today, in days (default 28)' },
+    format: { type: 'string', description: `Write the result to ./reports as ${getSupportedFormats().join('|')}` },
+    output: { type: 'string', description: 'Output filename inside ./reports' },
+    help: { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Resolve the organization flag, falling back to GITHUB_ORG
+ * @param {Object} values - Parsed flag values
+ * @returns {string} Organization login
+ */
+export function resolveOrganization(values) {
+    const org = values.org || process.env.GITHUB_ORG;
+    if (!org) {
+        throw new UsageError('--org is required (or set GITHUB_ORG)');
+    }
+    return org;
+}
+
+/**
+ * Resolve the repository flag into owner and name
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} { owner, repo }
+ */
+export function resolveRepository(values) {
+    let owner = values.org || process.env.GITHUB_OWNER || process.env.GITHUB_ORG;
+    let repo = process.env.GITHUB_REPO;
+
+    if (values.repo) {
+        const parts = values.repo.split('/');
+        if (parts.length === 2) {
+            [owner, repo] = parts;
+        } else {
+            repo = values.repo;
+            owner = values.org || owner;
+        }
+    }
+
+    if (!owner || !repo) {
+        throw new UsageError('--repo owner/name is required (or set GITHUB_OWNER and GITHUB_REPO)');
+    }
+    return { owner, repo };
+}
+
+/**
+ * Resolve --since/--until/--days into a date range
+ * @param {Object} values - Parsed flag values
+ * @returns {Object} { since, until } as YYYY-MM-DD strings
+ */
+export function resolveDateRange(values) {
+    for (const name of ['since', 'until']) {
+        if (values[name] && !DATE_PATTERN.test(values[name])) {
+            throw new UsageError(`--${name} must be a date in YYYY-MM-DD format`);
+        }
+    }
+
+    const days = values.days === undefined ? 28 : Number(values.days);
+    if (!Number.isInteger(days) || days <= 0) {
+        throw new UsageError('--days must be a positive whole number');
+    }
+
+    const until = values.until || new Date().toISOString().split('T')[0];
+    let since = values.since;
+    if (!since) {
+        const start = new Date(`${until}T00:00:00Z`);
+        start.setUTCDate(start.getUTCDate() - (days - 1));
+        since = start.toISOString().split('T')[0];
+    }
+
+    if (since > until) {
+        throw new UsageError('--since must not be after --until');
+    }
+    return { since, until };
+}
+
+/**
+ * Parse a positive whole-number flag
+ * @param {Object} values - Parsed flag values
+ * @param {string} name - Flag name
+ * @param {number} defaultValue - Value when the flag is absent
+ * @returns {number} Parsed value
+ */
+export function resolveNumber(values, name, defaultValue) {
+    if (values[name] === undefined) return defaultValue;
+
+    const value = Number(values[name]);
+    if (!Number.isInteger(value) || value <= 0) {
+        throw new UsageError(`--${name} must be a positive whole number`);
+    }
+    return value;
+}
+
+/**
+ * Validate the --format and --output flags
+ * @param {Object} values - Parsed flag values
+ * @param {string[]} formats - Allowed formats (defaults to every registered exporter)
+ */
+export function validateFormat(values, formats = getSupportedFormats()) {
+    if (values.format && !formats.includes(values.format.toLowerCase())) {
+        throw new UsageError(`--format must be one of: ${formats.join(', ')}`);
+    }
+    validateOutput(values);
+}
+
+/**
+ * Reject an --output that names a path rather than a file inside ./reports
+ * @param {Object} values - Parsed flag values
+ */
+function validateOutput(values) {
+    if (values.output && /[\\/]/.test(values.output)) {
+        throw new UsageError('--output must be a filename without a directory; files are written to ./reports');
+    }
+}
+
+/**
+ * Export a result when --format or --output is given
+ * @param {Function} exportFn - async (filename, format) => path or paths
+ * @param {Object} values - Parsed flag values
+ * @returns {Promise<string[]>} Written files
+ */
+export async function writeOutput(exportFn, values) {
+    if (!values.format && !values.output) return [];
+    validateOutput(values);
+
+    const result = await exportFn(values.output || null, values.format || 'json');
+    return [].concat(result);
+}
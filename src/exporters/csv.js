@@ -0,0 +1,83 @@
+// CSV Exporter
+// One row per day and per seat (metrics), per issue (issues, bulk operations, stale issues), per setting (policy, policy plans), per repository (security posture, branch protection), per repository and feature (security remediation)
+// or per figure, week and label/assignee (issue health).
+
+import { REPORT_TYPES, detectReportType, metricsDailyRows, metricsSeatRows, issueRows, policyRows, bulkResultRows, issueHealthSummaryRows, issueHealthDistributionRows, staleRows, policyPlanRows, securityPostureRows, remediationRows, branchProtectionRows } from './rows.js';
+
+/**
+ * Escape a single CSV field.
+ * Values starting with a formula character are prefixed so spreadsheets do not evaluate them.
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function escapeField(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Convert rows into CSV text with a header line
+ * @param {Object[]} rows - Rows with identical keys
+ * @returns {string} CSV text
+ */
+export function toCsv(rows) {
+    if (rows.length === 0) return '';
+
+    const columns = Object.keys(rows[0]);
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => escapeField(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+export default {
+    extension: 'csv',
+
+    /**
+     * @param {Object} report - Report to export
+     * @param {string} reportType - One of REPORT_TYPES
+     * @returns {Array} Files ({ suffix, content })
+     */
+    render(report, reportType = detectReportType(report)) {
+        switch (reportType) {
+            case REPORT_TYPES.METRICS:
+                return [
+                    { suffix: 'daily', content: toCsv(metricsDailyRows(report)) },
+                    { suffix: 'seats', content: toCsv(metricsSeatRows(report)) }
+                ];
+            case REPORT_TYPES.ISSUES:
+                return [{ suffix: null, content: toCsv(issueRows(report)) }];
+            case REPORT_TYPES.POLICY:
+                return [{ suffix: null, content: toCsv(policyRows(report)) }];
+            case REPORT_TYPES.BULK:
+                return [{ suffix: null, content: toCsv(bulkResultRows(report)) }];
+            case REPORT_TYPES.ISSUE_HEALTH:
+                return [
+                    { suffix: 'summary', content: toCsv(issueHealthSummaryRows(report)) },
+                    { suffix: 'weekly', content: toCsv(report.health.weekly) },
+                    { suffix: 'distribution', content: toCsv(issueHealthDistributionRows(report)) }
+                ];
+            case REPORT_TYPES.STALE:
+                return [{ suffix: null, content: toCsv(staleRows(report)) }];
+            case REPORT_TYPES.POLICY_PLAN:
+                return [{ suffix: null, content: toCsv(policyPlanRows(report)) }];
+            case REPORT_TYPES.SECURITY_POSTURE:
+                return [{ suffix: null, content: toCsv(securityPostureRows(report)) }];
+            case REPORT_TYPES.REMEDIATION:
+                return [{ suffix: null, content: toCsv(remediationRows(report)) }];
+            case REPORT_TYPES.BRANCH_PROTECTION:
+                return [{ suffix: null, content: toCsv(branchProtectionRows(report)) }];
+            default:
+                throw new Error('CSV export supports metrics, issues, issue health, stale issues, policy, policy plan, security posture, security remediation, branch protection and bulk operation reports only');
+        }
+    }
+};
@@ -0,0 +1,502 @@
+// HTML Exporter
+// Self-contained dashboard: inline CSS and server-rendered SVG charts, no external assets.
+
+import { REPORT_TYPES, detectReportType, metricsDailyRows, breakdownRows, issueRows, policyRows, bulkResultRows, staleRows, policyPlanRows, complianceRows, securityPostureRows, securityPostureColumns, remediationRows, branchProtectionRows, branchProtectionColumns, countBy } from './rows.js';
+
+const COLORS = ['#0969da', '#1a7f37', '#8250df', '#bf3989', '#bc4c00', '#4d2d00'];
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render an HTML table
+ * @param {string[]} headers - Column headers
+ * @param {Array[]} rows - Row values
+ * @returns {string} HTML table
+ */
+function table(headers, rows) {
+    if (rows.length === 0) return '<p class="empty">No data</p>';
+
+    return `<table><thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`
+        + `<tbody>${rows.map(row => `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+/**
+ * Render summary cards
+ * @param {Array} items - [label, value] pairs
+ * @returns {string} HTML
+ */
+function cards(items) {
+    return `<div class="cards">${items.map(([label, value]) => `<div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${escapeHtml(label)}</div></div>`).join('')}</div>`;
+}
+
+/**
+ * Render a horizontal bar chart as inline SVG
+ * @param {Object[]} items - { label, value }
+ * @param {Object} options - { title, unit, max }
+ * @returns {string} SVG markup
+ */
+export function barChart(items, { title = '', unit = '', max = null } = {}) {
+    if (items.length === 0) return '';
+
+    const rowHeight = 24;
+    const labelWidth = 160;
+    const chartWidth = 420;
+    const height = items.length * rowHeight + 30;
+    const scaleMax = max ?? Math.max(...items.map(item => item.value), 1);
+
+    const bars = items.map((item, index) => {
+        const y = 24 + index * rowHeight;
+        const width = Math.max(1, Math.round(item.value / scaleMax * chartWidth));
+        return `<text x="${labelWidth - 8}" y="${y + 14}" text-anchor="end">${escapeHtml(item.label)}</text>`
+            + `<rect x="${labelWidth}" y="${y + 2}" width="${width}" height="${rowHeight - 8}" fill="${COLORS[0]}" rx="2"></rect>`
+            + `<text x="${labelWidth + width + 6}" y="${y + 14}">${escapeHtml(item.value)}${escapeHtml(unit)}</text>`;
+    }).join('');
+
+    return `<figure><svg viewBox="0 0 ${labelWidth + chartWidth + 80} ${height}" role="img" aria-label="${escapeHtml(title)}">`
+        + `<text x="0" y="14" class="title">${escapeHtml(title)}</text>${bars}</svg></figure>`;
+}
+
+/**
+ * Render a multi-series line chart as inline SVG
+ * @param {string[]} labels - X-axis labels
+ * @param {Object[]} series - { name, values }
+ * @param {Object} options - { title }
+ * @returns {string} SVG markup
+ */
+export function lineChart(labels, series, { title = '' } = {}) {
+    if (labels.length === 0) return '';
+
+    const width = 640;
+    const height = 220;
+    const padding = { top: 30, right: 20, bottom: 40, left: 40 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const maxValue = Math.max(1, ...series.flatMap(line => line.values));
+    const x = index => padding.left + (labels.length === 1 ? plotWidth / 2 : index / (labels.length - 1) * plotWidth);
+    const y = value => padding.top + plotHeight - value / maxValue * plotHeight;
+
+    const lines = series.map((line, index) => {
+        const points = line.values.map((value, pointIndex) => `${x(pointIndex).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+        return `<polyline points="${points}" fill="none" stroke="${COLORS[index % COLORS.length]}" stroke-width="2"></polyline>`;
+    }).join('');
+
+    const legend = series.map((line, index) =>
+        `<text x="${padding.left + index * 150}" y="${height - 8}" fill="${COLORS[index % COLORS.length]}">■ ${escapeHtml(line.name)}</text>`
+    ).join('');
+
+    const axis = `<line x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}" class="axis"></line>`
+        + `<text x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${maxValue}</text>`
+        + `<text x="${padding.left - 6}" y="${padding.top + plotHeight}" text-anchor="end">0</text>`
+        + `<text x="${padding.left}" y="${padding.top + plotHeight + 16}">${escapeHtml(labels[0])}</text>`
+        + `<text x="${width - padding.right}" y="${padding.top + plotHeight + 16}" text-anchor="end">${escapeHtml(labels[labels.length - 1])}</text>`;
+
+    return `<figure><svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">`
+        + `<text x="0" y="14" class="title">${escapeHtml(title)}</text>${axis}${lines}${legend}</svg></figure>`;
+}
+
+/**
+ * Wrap dashboard sections in a standalone HTML page
+ * @param {string} title - Page title
+ * @param {string} subtitle - Subtitle line
+ * @param {string} body - Page body
+ * @returns {string} HTML document
+ */
+function page(title, subtitle, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1000px; color: #1f2328; padding: 0 1rem; }
+h1 { margin-bottom: 0.2rem; }
+.subtitle { color: #656d76; margin-top: 0; }
+.cards { display: flex; flex-wrap: wrap; gap: 1rem; margin: 1.5rem 0; }
+.card { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.8rem 1rem; min-width: 140px; }
+.card .value { font-size: 1.5rem; font-weight: 600; }
+.card .label { color: #656d76; font-size: 0.85rem; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1.5rem; font-size: 0.9rem; }
+th, td { border: 1px solid #d0d7de; padding: 0.35rem 0.6rem; text-align: left; }
+th { background: #f6f8fa; }
+figure { margin: 1rem 0; }
+svg { width: 100%; height: auto; font-size: 12px; }
+svg .title { font-weight: 600; font-size: 14px; }
+svg .axis { stroke: #d0d7de; }
+.empty { color: #656d76; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="subtitle">${escapeHtml(subtitle)}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the Copilot metrics dashboard
+ * @param {Object} report - Report from generateMetricsReport
+ * @returns {string} HTML document
+ */
+function renderMetrics(report) {
+    const summary = report.summary;
+    const daily = metricsDailyRows(report);
+    const languages = breakdownRows(summary.byLanguage);
+    const editors = breakdownRows(summary.byEditor);
+
+    let body = cards([
+        ['Seats', summary.totalSeats],
+        ['Avg active users', summary.averageActiveUsers],
+        ['Avg engaged users', summary.averageEngagedUsers],
+        ['Suggestions', summary.totalSuggestions],
+        ['Acceptance rate', `${summary.acceptanceRate}%`],
+        ['Line acceptance rate', `${summary.lineAcceptanceRate}%`]
+    ]);
+
+    body += lineChart(daily.map(day => day.date), [
+        { name: 'Active users', values: daily.map(day => day.activeUsers) },
+        { name: 'Engaged users', values: daily.map(day => day.engagedUsers) }
+    ], { title: 'Daily active vs engaged users' });
+
+    body += lineChart(daily.map(day => day.date), [
+        { name: 'Suggestions', values: daily.map(day => day.suggestions) },
+        { name: 'Acceptances', values: daily.map(day => day.acceptances) }
+    ], { title: 'Daily suggestions vs acceptances' });
+
+    body += barChart(languages.slice(0, 15).map(row => ({ label: row.name, value: row.acceptanceRate })), { title: 'Acceptance rate by language', unit: '%', max: 100 });
+    body += barChart(editors.map(row => ({ label: row.name, value: row.acceptanceRate })), { title: 'Acceptance rate by editor', unit: '%', max: 100 });
+
+    if (report.teams) {
+        const teams = report.teams.filter(team => team.success);
+        body += barChart(teams.map(team => ({ label: team.team, value: team.summary.acceptanceRate })), { title: 'Acceptance rate by team', unit: '%', max: 100 });
+    }
+
+    body += '<h2>By Language</h2>' + table(
+        ['Language', 'Suggestions', 'Acceptances', 'Acceptance Rate', 'Lines Suggested', 'Lines Accepted'],
+        languages.map(row => [row.name, row.suggestions, row.acceptances, `${row.acceptanceRate}%`, row.linesSuggested, row.linesAccepted])
+    );
+
+    return page(`Copilot Metrics — ${report.organization}`, `Generated ${report.reportDate} · Period ${report.period.since} to ${report.period.until}`, body);
+}
+
+/**
+ * Render the issues dashboard
+ * @param {Object} report - Result of fetchIssues or getAllIssues
+ * @returns {string} HTML document
+ */
+function renderIssues(report) {
+    const rows = issueRows(report);
+    const unassigned = rows.filter(row => !row.assignees).length;
+    const unlabeled = rows.filter(row => !row.labels).length;
+
+    let body = cards([
+        ['Issues', report.totalCount],
+        ['Open', rows.filter(row => row.state === 'open').length],
+        ['Closed', rows.filter(row => row.state === 'closed').length],
+        ['Unassigned', unassigned],
+        ['Unlabeled', unlabeled]
+    ]);
+
+    body += barChart(countBy(rows, 'labels').slice(0, 15), { title: 'Issues by label' });
+    body += barChart(countBy(rows, 'assignees').slice(0, 15), { title: 'Issues by assignee' });
+
+    body += '<h2>Issues</h2>' + table(
+        ['#', 'Title', 'State', 'Assignees', 'Labels', 'Created'],
+        rows.map(row => [row.repository !== report.repository ? `${row.repository}#${row.number}` : row.number, row.title, row.state, row.assignees.replace(/;/g, ', '), row.labels.replace(/;/g, ', '), row.createdAt ? row.createdAt.split('T')[0] : ''])
+    );
+
+    return page(`Issues — ${report.repository}`, `Fetched ${report.metadata?.fetchedAt || 'N/A'} · State ${report.metadata?.state || 'N/A'}`, body);
+}
+
+/**
+ * Render the issue health dashboard
+ * @param {Object} report - Report from generateIssueHealthReport
+ * @returns {string} HTML document
+ */
+function renderIssueHealth(report) {
+    const { totals, ageDistribution, firstResponse, timeToClose, labels, assignees, weekly } = report.health;
+    const hours = value => value === null ? 'N/A' : `${value}h`;
+
+    let body = cards([
+        ['Open issues', totals.open],
+        ['Closed issues', totals.closed],
+        ['Open and unassigned', totals.unassigned],
+        ['Open and unlabeled', totals.unlabeled],
+        ...(firstResponse ? [['Median first response', hours(firstResponse.medianHours)]] : []),
+        ['Median time to close', hours(timeToClose.medianHours)]
+    ]);
+
+    body += lineChart(weekly.map(week => week.weekStart), [
+        { name: 'Opened', values: weekly.map(week => week.opened) },
+        { name: 'Closed', values: weekly.map(week => week.closed) }
+    ], { title: 'Issues opened vs closed per week' });
+
+    body += barChart(ageDistribution.map(bucket => ({ label: bucket.bucket, value: bucket.count })), { title: 'Open issues by age' });
+    body += barChart(labels.slice(0, 15).map(entry => ({ label: entry.name, value: entry.open })), { title: 'Open issues by label' });
+    body += barChart(assignees.slice(0, 15).map(entry => ({ label: entry.name, value: entry.open })), { title: 'Open issues by assignee' });
+
+    body += '<h2>Response and Resolution Times</h2>' + table(
+        ['Measure', 'Issues', 'Median', 'Average', '90th percentile'],
+        [
+            ...(firstResponse ? [['Time to first response', firstResponse.responded, hours(firstResponse.medianHours), hours(firstResponse.averageHours), hours(firstResponse.p90Hours)]] : []),
+            ['Time to close', timeToClose.closed, hours(timeToClose.medianHours), hours(timeToClose.averageHours), hours(timeToClose.p90Hours)]
+        ]
+    );
+
+    body += '<h2>Weekly Trend</h2>' + table(
+        ['Week of', 'Opened', 'Closed', 'Open at end'],
+        weekly.map(week => [week.weekStart, week.opened, week.closed, week.openAtEnd])
+    );
+
+    return page(`Issue Health — ${report.repository}`, `Generated ${report.generatedAt}`, body);
+}
+
+/**
+ * Render the policy overview dashboard
+ * @param {Object} report - Result of getComprehensivePolicyOverview
+ * @returns {string} HTML document
+ */
+function renderPolicy(report) {
+    const rows = policyRows(report).filter(row => row.section !== 'compliance');
+    const booleans = rows.filter(row => typeof row.value === 'boolean');
+
+    let body = cards([
+        ...(report.compliance ? [
+            ['Compliance', `${report.compliance.score ?? 'N/A'}%`],
+            ['Coverage', `${report.compliance.coverage ?? 'N/A'}%`]
+        ] : []),
+        ['Settings', rows.length],
+        ['Enabled', booleans.filter(row => row.value).length],
+        ['Disabled', booleans.filter(row => !row.value).length]
+    ]);
+
+    if (report.compliance) {
+        body += '<h2>Compliance</h2>' + table(
+            ['Rule', 'Severity', 'Status', 'Actual', 'Expected', 'Remediation'],
+            complianceRows(report).map(row => [row.title, row.severity, row.status, row.actual, row.expected, row.remediation])
+        );
+    }
+
+    const sections = [...new Set(rows.map(row => row.section))];
+    sections.forEach(section => {
+        body += `<h2>${escapeHtml(section)}</h2>` + table(
+            ['Setting', 'Value'],
+            rows.filter(row => row.section === section).map(row => [row.setting, row.value])
+        );
+    });
+
+    return page(`Policy Overview — ${report.organization}`, `Fetched ${report.fetchedAt}`, body);
+}
+
+/**
+ * Render a bulk operation result
+ * @param {Object} report - Result of bulkUpdateIssues
+ * @returns {string} HTML document
+ */
+function renderBulk(report) {
+    const rows = bulkResultRows(report);
+
+    let body = cards([
+        ['Issues', report.summary.total],
+        ['Succeeded', report.summary.succeeded],
+        ['Skipped', report.summary.skipped],
+        ['Failed', report.summary.failed]
+    ]);
+
+    body += '<h2>Items</h2>' + table(
+        ['#', 'Title', 'Status', 'Detail'],
+        rows.map(row => [row.number, row.title, row.status, row.detail])
+    );
+
+    return page(`Bulk ${report.operation.type} — ${report.repository}`, `Started ${report.startedAt} · Completed ${report.completedAt}`, body);
+}
+
+/**
+ * Render a stale plan or stale report
+ * @param {Object} report - Result of planStaleIssues or applyStalePlan
+ * @returns {string} HTML document
+ */
+function renderStale(report) {
+    const rows = staleRows(report);
+    const config = report.staleConfig;
+
+    let body = cards(Object.entries(report.summary).map(([name, count]) => [name, count]));
+
+    body += '<h2>Issues</h2>' + table(
+        ['#', 'Title', 'Action', 'Status', 'Reason', 'Last updated'],
+        rows.map(row => [row.number, row.title, row.action, row.status, row.error || row.reason, row.lastUpdated ? row.lastUpdated.split('T')[0] : ''])
+    );
+
+    const when = report.dryRun ? `Planned ${report.plannedAt} (dry run)` : `Applied ${report.appliedAt}`;
+    return page(`Stale Issues — ${report.repository}`, `${when} · Stale after ${config.daysUntilStale} days, closed ${config.daysUntilClose} days later`, body);
+}
+
+/**
+ * Render a policy plan or apply report
+ * @param {Object} report - Result of planOrganizationPolicy or applyOrganizationPolicyPlan
+ * @returns {string} HTML document
+ */
+function renderPolicyPlan(report) {
+    const rows = policyPlanRows(report);
+
+    let body = cards(Object.entries(report.summary).map(([name, count]) => [name, count]));
+
+    body += '<h2>Settings</h2>' + table(
+        ['Setting', 'Current', 'Desired', 'Action', 'Status', 'Detail'],
+        rows.map(row => [row.setting, row.current, row.desired, row.action, row.status, row.detail])
+    );
+
+    const when = report.dryRun ? `Planned ${report.plannedAt} (dry run)` : `Applied ${report.appliedAt}`;
+    return page(`Organization Policy — ${report.organization}`, `${when}${report.policyFile ? ` · ${report.policyFile}` : ''}`, body);
+}
+
+/**
+ * Render a security posture matrix; values that deviate from the baseline are marked ⚠
+ * @param {Object} report - Result of scanOrganizationSecurityPosture
+ * @returns {string} HTML document
+ */
+function renderSecurityPosture(report) {
+    const columns = securityPostureColumns();
+
+    let body = cards([
+        ['Repositories', report.summary.scanned],
+        ['Compliant', report.summary.compliant],
+        ['Deviating', report.summary.deviating],
+        ['Failed', report.summary.failed]
+    ]);
+
+    body += '<h2>Baseline</h2>' + table(
+        ['Setting', 'Expected', 'Repositories deviating'],
+        Object.entries(report.baseline).map(([setting, expected]) => [setting, expected, report.summary.bySetting[setting]])
+    );
+
+    body += '<h2>Repositories</h2>' + table(
+        ['Repository', 'Visibility', ...columns, 'Error'],
+        securityPostureRows(report).map(row => [
+            row.repository,
+            row.visibility,
+            ...columns.map(column => `${row[column]}${row.deviations.split(';').includes(column) ? ' ⚠' : ''}`),
+            row.error
+        ])
+    );
+
+    return page(`Security Posture — ${report.organization}`, `Scanned ${report.scannedAt}`, body);
+}
+
+/**
+ * Render a security remediation plan, apply or rollback report
+ * @param {Object} report - Result of planSecurityRemediation, applySecurityRemediation or rollbackSecurityRemediation
+ * @returns {string} HTML document
+ */
+function renderRemediation(report) {
+    const titles = { plan: 'Plan', apply: 'Apply', rollback: 'Rollback' };
+    const when = { plan: `Planned ${report.plannedAt} (dry run)`, apply: `Applied ${report.appliedAt}`, rollback: `Rolled back ${report.rolledBackAt}${report.dryRun ? ' (dry run)' : ''}` };
+
+    let body = cards(Object.entries(report.summary).map(([name, count]) => [name, count]));
+
+    body += '<h2>Changes</h2>' + table(
+        ['Repository', 'Feature', 'From', 'To', 'Status', 'Detail'],
+        remediationRows(report).map(row => [row.repository, row.feature, row.from, row.to, row.status, row.detail])
+    );
+
+    return page(`Security Remediation ${titles[report.mode]} — ${report.organization}`, `${when[report.mode]}${report.runId ? ` · Run ${report.runId}` : ''}`, body);
+}
+
+/**
+ * Render a branch protection audit; settings that fall short of the baseline are marked ⚠
+ * @param {Object} report - Result of auditOrganizationBranchProtection
+ * @returns {string} HTML document
+ */
+function renderBranchProtection(report) {
+    const columns = branchProtectionColumns();
+
+    let body = cards([
+        ['Repositories', report.summary.audited],
+        ['Compliant', report.summary.compliant],
+        ['Deviating', report.summary.deviating],
+        ['Unprotected', report.summary.unprotected],
+        ['Failed', report.summary.failed]
+    ]);
+
+    body += '<h2>Baseline</h2>' + table(
+        ['Setting', 'Expected', 'Repositories deviating'],
+        Object.entries(report.branchBaseline).map(([setting, expected]) => [setting, JSON.stringify(expected), report.summary.bySetting[setting]])
+    );
+
+    if (report.organizationRulesets) {
+        body += '<h2>Organization Rulesets</h2>' + table(
+            ['Name', 'Target', 'Enforcement'],
+            report.organizationRulesets.map(ruleset => [ruleset.name, ruleset.target, ruleset.enforcement])
+        );
+    }
+
+    body += '<h2>Repositories</h2>' + table(
+        ['Repository', 'Branch', 'Protection', 'Rulesets', ...columns, 'Error'],
+        branchProtectionRows(report).map(row => [
+            row.repository,
+            row.defaultBranch,
+            row.branchProtection,
+            row.rulesets,
+            ...columns.map(column => `${row[column]}${row.findings.split(';').includes(column) ? ' ⚠' : ''}`),
+            row.error
+        ])
+    );
+
+    if (report.ruleset) {
+        body += `<h2>Organization Ruleset "${escapeHtml(report.ruleset.name)}": ${escapeHtml(report.ruleset.status)}</h2>`;
+        if (report.ruleset.reason) body += `<p>${escapeHtml(report.ruleset.reason)}</p>`;
+        body += `<pre>${escapeHtml(JSON.stringify(report.ruleset.ruleset, null, 2))}</pre>`;
+    }
+
+    return page(`Default Branch Protection — ${report.organization}`, `Audited ${report.auditedAt}`, body);
+}
+
+export default {
+    extension: 'html',
+
+    /**
+     * @param {Object} report - Report to export
+     * @param {string} reportType - One of REPORT_TYPES
+     * @returns {Array} Files ({ suffix, content })
+     */
+    render(report, reportType = detectReportType(report)) {
+        switch (reportType) {
+            case REPORT_TYPES.METRICS:
+                return [{ suffix: null, content: renderMetrics(report) }];
+            case REPORT_TYPES.ISSUES:
+                return [{ suffix: null, content: renderIssues(report) }];
+            case REPORT_TYPES.POLICY:
+                return [{ suffix: null, content: renderPolicy(report) }];
+            case REPORT_TYPES.BULK:
+                return [{ suffix: null, content: renderBulk(report) }];
+            case REPORT_TYPES.ISSUE_HEALTH:
+                return [{ suffix: null, content: renderIssueHealth(report) }];
+            case REPORT_TYPES.STALE:
+                return [{ suffix: null, content: renderStale(report) }];
+            case REPORT_TYPES.POLICY_PLAN:
+                return [{ suffix: null, content: renderPolicyPlan(report) }];
+            case REPORT_TYPES.SECURITY_POSTURE:
+                return [{ suffix: null, content: renderSecurityPosture(report) }];
+            case REPORT_TYPES.REMEDIATION:
+                return [{ suffix: null, content: renderRemediation(report) }];
+            case REPORT_TYPES.BRANCH_PROTECTION:
+                return [{ suffix: null, content: renderBranchProtection(report) }];
+            default:
+                throw new Error('HTML export supports metrics, issues, issue health, stale issues, policy, policy plan, security posture, security remediation, branch protection and bulk operation reports only');
+        }
+    }
+};
@@ -0,0 +1,90 @@
+// Report Exporters
+// Pluggable exporter layer used by the API classes' exportReportToFile methods.
+// An exporter is { extension, render(report, reportType) } where render returns
+// a list of { suffix, content } files (suffix is appended to the base filename).
+
+import fs from 'fs';
+import path from 'path';
+import jsonExporter from './json.js';
+import csvExporter from './csv.js';
+import markdownExporter from './markdown.js';
+import htmlExporter from './html.js';
+import { REPORT_TYPES, detectReportType } from './rows.js';
+
+export { REPORT_TYPES, detectReportType };
+
+const exporters = {
+    json: jsonExporter,
+    csv: csvExporter,
+    markdown: markdownExporter,
+    md: markdownExporter,
+    html: htmlExporter
+};
+
+/**
+ * Register an additional exporter (or replace a built-in one)
+ * @param {string} format - Format name used in the format option
+ * @param {Object} exporter - { extension, render(report, reportType) }
+ */
+export function registerExporter(format, exporter) {
+    if (!exporter || typeof exporter.render !== 'function' || !exporter.extension) {
+        throw new Error(`Exporter for ${format} must have an extension and a render function`);
+    }
+    exporters[format.toLowerCase()] = exporter;
+}
+
+/**
+ * List the registered format names
+ * @returns {string[]} Format names
+ */
+export function getSupportedFormats() {
+    return Object.keys(exporters);
+}
+
+/**
+ * Write a report to ./reports (or outputDir) in the requested format
+ * @param {Object} report - Report to export
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'json', 'csv', 'markdown' or 'html' (default 'json')
+ * @param {string} options.baseName - Filename without extension, used when no filename is given
+ * @param {string} options.filename - Explicit output filename inside the output directory
+ * @param {string} options.reportType - Report type (detected from the report shape when omitted)
+ * @param {string} options.outputDir - Output directory (defaults to ./reports)
+ * @returns {Promise<string[]>} Paths of the written files
+ */
+export async function exportReport(report, options = {}) {
+    const {
+        format = 'json',
+        baseName = 'report',
+        filename = null,
+        reportType = detectReportType(report),
+        outputDir = path.join(process.cwd(), 'reports')
+    } = options;
+
+    const exporter = exporters[format.toLowerCase()];
+    if (!exporter) {
+        throw new Error(`Unsupported export format: ${format}. Supported formats: ${getSupportedFormats().join(', ')}`);
+    }
+
+    // The filename names a file inside outputDir; a directory part would write elsewhere
+    if (filename && /[\\/]/.test(filename)) {
+        throw new Error(`Export filename must not contain a directory: ${filename}`);
+    }
+
+    // Create reports directory if it doesn't exist
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+        console.log(`📁 Created reports directory: ${outputDir}`);
+    }
+
+    const extension = filename ? path.extname(filename) : `.${exporter.extension}`;
+    const stem = filename ? filename.slice(0, filename.length - extension.length) : baseName;
+
+    const files = exporter.render(report, reportType);
+    return files.map(file => {
+        const outputFilename = path.join(outputDir, `${stem}${file.suffix ? `-${file.suffix}` : ''}${extension}`);
+        fs.writeFileSync(outputFilename, file.content);
+        console.log(`📊 Report exported to: ${outputFilename}`);
+        return outputFilename;
+    });
+}
@@ -0,0 +1,14 @@
+// JSON Exporter
+// Pretty-printed JSON; works for any report or record.
+
+export default {
+    extension: 'json',
+
+    /**
+     * @param {Object} report - Data to export
+     * @returns {Array} Files ({ suffix, content })
+     */
+    render(report) {
+        return [{ suffix: null, content: JSON.stringify(report, null, 2) }];
+    }
+};
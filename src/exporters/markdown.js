@@ -0,0 +1,394 @@
+// Markdown Exporter
+// Summary tables suitable for pasting into a wiki page or an issue.
+
+import { REPORT_TYPES, detectReportType, metricsDailyRows, breakdownRows, issueRows, policyRows, bulkResultRows, staleRows, policyPlanRows, complianceRows, securityPostureRows, securityPostureColumns, remediationRows, branchProtectionRows, branchProtectionColumns, countBy } from './rows.js';
+
+/**
+ * Escape a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function cell(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render a Markdown table
+ * @param {string[]} headers - Column headers
+ * @param {Array[]} rows - Row values
+ * @returns {string} Markdown table
+ */
+export function table(headers, rows) {
+    if (rows.length === 0) return '_No data_\n';
+
+    return [
+        `| ${headers.join(' | ')} |`,
+        `| ${headers.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+    ].join('\n') + '\n';
+}
+
+/**
+ * Render a breakdown section (by language, editor or model)
+ * @param {string} title - Section title
+ * @param {Object} breakdown - Map of name to completion counters
+ * @returns {string} Markdown
+ */
+function renderBreakdown(title, breakdown) {
+    const rows = breakdownRows(breakdown);
+    if (rows.length === 0) return '';
+
+    return `\n## ${title}\n\n` + table(
+        ['Name', 'Suggestions', 'Acceptances', 'Acceptance Rate', 'Lines Suggested', 'Lines Accepted'],
+        rows.map(row => [row.name, row.suggestions, row.acceptances, `${row.acceptanceRate}%`, row.linesSuggested, row.linesAccepted])
+    );
+}
+
+/**
+ * Render a Copilot metrics report
+ * @param {Object} report - Report from generateMetricsReport
+ * @returns {string} Markdown
+ */
+function renderMetrics(report) {
+    const summary = report.summary;
+    let markdown = `# Copilot Metrics — ${report.organization}\n\n`;
+    markdown += `Generated ${report.reportDate} · Period ${report.period.since} to ${report.period.until}\n\n`;
+
+    markdown += '## Summary\n\n' + table(['Metric', 'Value'], [
+        ['Total seats', summary.totalSeats],
+        ['Days reported', summary.daysReported],
+        ['Active users (avg / peak)', `${summary.averageActiveUsers} / ${summary.peakActiveUsers}`],
+        ['Engaged users (avg / peak)', `${summary.averageEngagedUsers} / ${summary.peakEngagedUsers}`],
+        ['Suggestions', summary.totalSuggestions],
+        ['Acceptances', summary.totalAcceptances],
+        ['Acceptance rate', `${summary.acceptanceRate}%`],
+        ['Lines suggested / accepted', `${summary.totalLinesSuggested} / ${summary.totalLinesAccepted}`],
+        ['Line acceptance rate', `${summary.lineAcceptanceRate}%`]
+    ]);
+
+    markdown += renderBreakdown('By Language', summary.byLanguage);
+    markdown += renderBreakdown('By Editor', summary.byEditor);
+    markdown += renderBreakdown('By Model', summary.byModel);
+
+    if (report.teams) {
+        markdown += '\n## By Team\n\n' + table(
+            ['Team', 'Seats via team', 'Suggestions', 'Acceptances', 'Acceptance Rate'],
+            report.teams.map(team => team.success
+                ? [team.team, team.summary.seatsAssignedViaTeam, team.summary.totalSuggestions, team.summary.totalAcceptances, `${team.summary.acceptanceRate}%`]
+                : [team.team, team.summary.seatsAssignedViaTeam, '—', '—', `no metrics: ${team.error}`])
+        );
+    }
+
+    markdown += '\n## Daily\n\n' + table(
+        ['Date', 'Active', 'Engaged', 'Suggestions', 'Acceptances', 'Acceptance Rate'],
+        metricsDailyRows(report).map(day => [day.date, day.activeUsers, day.engagedUsers, day.suggestions, day.acceptances, `${day.acceptanceRate}%`])
+    );
+
+    return markdown;
+}
+
+/**
+ * Prefix an issue number with its repository when the report spans several repositories
+ * @param {Object} row - Issue row
+ * @param {Object} report - Issues report
+ * @param {string} reference - Issue reference (e.g. '#12' or a link)
+ * @returns {string} Reference
+ */
+function issueReference(row, report, reference) {
+    return row.repository && row.repository !== report.repository ? `${row.repository} ${reference}` : reference;
+}
+
+/**
+ * Render an issues report
+ * @param {Object} report - Result of fetchIssues or getAllIssues
+ * @returns {string} Markdown
+ */
+function renderIssues(report) {
+    const rows = issueRows(report);
+    let markdown = `# Issues — ${report.repository}\n\n`;
+    markdown += `Fetched ${report.metadata?.fetchedAt || 'N/A'} · State ${report.metadata?.state || 'N/A'} · ${report.totalCount} issues\n\n`;
+
+    markdown += '## Labels\n\n' + table(['Label', 'Issues'], countBy(rows, 'labels').map(entry => [entry.label, entry.value]));
+    markdown += '\n## Assignees\n\n' + table(['Assignee', 'Issues'], countBy(rows, 'assignees').map(entry => [entry.label, entry.value]));
+
+    markdown += '\n## Issues\n\n' + table(
+        ['#', 'Title', 'State', 'Assignees', 'Labels', 'Created'],
+        rows.map(row => [
+            issueReference(row, report, row.url ? `[#${row.number}](${row.url})` : `#${row.number}`),
+            row.title,
+            row.state,
+            row.assignees.replace(/;/g, ', '),
+            row.labels.replace(/;/g, ', '),
+            row.createdAt ? row.createdAt.split('T')[0] : ''
+        ])
+    );
+
+    return markdown;
+}
+
+/**
+ * Render an issue health report
+ * @param {Object} report - Report from generateIssueHealthReport
+ * @returns {string} Markdown
+ */
+function renderIssueHealth(report) {
+    const { totals, ageDistribution, firstResponse, timeToClose, labels, assignees, weekly } = report.health;
+    const hours = value => value === null ? '—' : `${value}h`;
+    let markdown = `# Issue Health — ${report.repository}\n\n`;
+    markdown += `Generated ${report.generatedAt}${report.period.since ? ` · Issues updated since ${report.period.since}` : ''}\n\n`;
+
+    markdown += '## Summary\n\n' + table(['Metric', 'Value'], [
+        ['Issues (open / closed)', `${totals.total} (${totals.open} / ${totals.closed})`],
+        ['Open and unassigned', totals.unassigned],
+        ['Open and unlabeled', totals.unlabeled],
+        ...(firstResponse ? [
+            ['Time to first response (median / p90)', `${hours(firstResponse.medianHours)} / ${hours(firstResponse.p90Hours)}`],
+            ['Open issues without a response', firstResponse.awaitingResponse]
+        ] : []),
+        ['Time to close (median / p90)', `${hours(timeToClose.medianHours)} / ${hours(timeToClose.p90Hours)}`]
+    ]);
+
+    markdown += '\n## Open Issues by Age\n\n' + table(['Age', 'Issues'], ageDistribution.map(bucket => [bucket.bucket, bucket.count]));
+    markdown += '\n## Weekly Opened vs Closed\n\n' + table(
+        ['Week of', 'Opened', 'Closed', 'Open at end'],
+        weekly.map(week => [week.weekStart, week.opened, week.closed, week.openAtEnd])
+    );
+    markdown += '\n## Labels\n\n' + table(['Label', 'Open', 'Total'], labels.map(entry => [entry.name, entry.open, entry.total]));
+    markdown += '\n## Assignees\n\n' + table(['Assignee', 'Open', 'Total'], assignees.map(entry => [entry.name, entry.open, entry.total]));
+
+    return markdown;
+}
+
+/**
+ * Render a policy overview
+ * @param {Object} report - Result of getComprehensivePolicyOverview
+ * @returns {string} Markdown
+ */
+function renderPolicy(report) {
+    let markdown = `# Policy Overview — ${report.organization}\n\n`;
+    markdown += `Fetched ${report.fetchedAt}\n`;
+
+    if (report.compliance) {
+        const { score, coverage, earned, possible, summary } = report.compliance;
+        markdown += `\n## Compliance: ${score ?? 'N/A'}% (${earned}/${possible})\n\n`;
+        markdown += `Coverage: ${coverage ?? 'N/A'}% (${summary.evaluated}/${summary.applicable} rules readable)\n\n` + table(
+            ['Rule', 'Severity', 'Status', 'Actual', 'Expected', 'Remediation'],
+            complianceRows(report).map(row => [row.title, row.severity, row.status, row.actual, row.expected, row.remediation])
+        );
+    }
+
+    const rows = policyRows(report).filter(row => row.section !== 'compliance');
+    const sections = [...new Set(rows.map(row => row.section))];
+    sections.forEach(section => {
+        markdown += `\n## ${section}\n\n` + table(
+            ['Setting', 'Value'],
+            rows.filter(row => row.section === section).map(row => [row.setting, row.value])
+        );
+    });
+
+    return markdown;
+}
+
+/**
+ * Render a bulk operation result
+ * @param {Object} report - Result of bulkUpdateIssues
+ * @returns {string} Markdown
+ */
+function renderBulk(report) {
+    let markdown = `# Bulk ${report.operation.type} — ${report.repository}\n\n`;
+    markdown += `Started ${report.startedAt} · Completed ${report.completedAt}\n\n`;
+
+    markdown += '## Summary\n\n' + table(['Status', 'Issues'], [
+        ['Succeeded', report.summary.succeeded],
+        ['Skipped', report.summary.skipped],
+        ['Failed', report.summary.failed]
+    ]);
+
+    markdown += '\n## Items\n\n' + table(
+        ['#', 'Title', 'Status', 'Detail'],
+        bulkResultRows(report).map(row => [`#${row.number}`, row.title, row.status, row.detail])
+    );
+
+    return markdown;
+}
+
+/**
+ * Render a stale plan or stale report
+ * @param {Object} report - Result of planStaleIssues or applyStalePlan
+ * @returns {string} Markdown
+ */
+function renderStale(report) {
+    const config = report.staleConfig;
+    let markdown = `# Stale Issues${report.dryRun ? ' (dry run)' : ''} — ${report.repository}\n\n`;
+    markdown += `${report.dryRun ? `Planned ${report.plannedAt}` : `Applied ${report.appliedAt}`} · Stale after ${config.daysUntilStale} days, closed ${config.daysUntilClose} days later · Label \`${config.staleLabel}\`\n\n`;
+
+    markdown += '## Summary\n\n' + table(['Result', 'Issues'], Object.entries(report.summary).map(([name, count]) => [name, count]));
+
+    markdown += '\n## Issues\n\n' + table(
+        ['#', 'Title', 'Action', 'Status', 'Reason'],
+        staleRows(report).map(row => [`#${row.number}`, row.title, row.action, row.status, row.error || row.reason])
+    );
+
+    return markdown;
+}
+
+/**
+ * Render a policy plan or apply report
+ * @param {Object} report - Result of planOrganizationPolicy or applyOrganizationPolicyPlan
+ * @returns {string} Markdown
+ */
+function renderPolicyPlan(report) {
+    let markdown = `# Organization Policy ${report.dryRun ? 'Plan' : 'Apply'} — ${report.organization}\n\n`;
+    markdown += `${report.dryRun ? `Planned ${report.plannedAt}` : `Applied ${report.appliedAt}`}${report.policyFile ? ` · Policy file \`${report.policyFile}\`` : ''}\n\n`;
+
+    markdown += '## Summary\n\n' + table(['Result', 'Settings'], Object.entries(report.summary).map(([name, count]) => [name, count]));
+
+    markdown += '\n## Settings\n\n' + table(
+        ['Setting', 'Current', 'Desired', 'Action', 'Status', 'Detail'],
+        policyPlanRows(report).map(row => [`\`${row.setting}\``, row.current, row.desired, row.action, row.status, row.detail])
+    );
+
+    return markdown;
+}
+
+/**
+ * Render a security posture matrix; values that deviate from the baseline are marked ⚠️
+ * @param {Object} report - Result of scanOrganizationSecurityPosture
+ * @returns {string} Markdown
+ */
+function renderSecurityPosture(report) {
+    let markdown = `# Security Posture — ${report.organization}\n\n`;
+    markdown += `Scanned ${report.scannedAt} · ${report.summary.scanned} repositories\n\n`;
+
+    markdown += '## Summary\n\n' + table(['Result', 'Repositories'], [
+        ['Compliant', report.summary.compliant],
+        ['Deviating', report.summary.deviating],
+        ['Failed', report.summary.failed]
+    ]);
+
+    markdown += '\n## Baseline\n\n' + table(
+        ['Setting', 'Expected', 'Repositories deviating'],
+        Object.entries(report.baseline).map(([setting, expected]) => [setting, expected, report.summary.bySetting[setting]])
+    );
+
+    const columns = securityPostureColumns();
+    markdown += '\n## Repositories\n\n' + table(
+        ['Repository', 'Visibility', ...columns],
+        securityPostureRows(report).map(row => [
+            row.repository + (row.error ? ` (${row.error})` : ''),
+            row.visibility,
+            ...columns.map(column => `${row[column]}${row.deviations.split(';').includes(column) ? ' ⚠️' : ''}`)
+        ])
+    );
+
+    return markdown;
+}
+
+/**
+ * Render a security remediation plan, apply or rollback report
+ * @param {Object} report - Result of planSecurityRemediation, applySecurityRemediation or rollbackSecurityRemediation
+ * @returns {string} Markdown
+ */
+function renderRemediation(report) {
+    const titles = { plan: 'Plan', apply: 'Apply', rollback: 'Rollback' };
+    const when = { plan: `Planned ${report.plannedAt}`, apply: `Applied ${report.appliedAt}`, rollback: `Rolled back ${report.rolledBackAt}${report.dryRun ? ' (dry run)' : ''}` };
+
+    let markdown = `# Security Remediation ${titles[report.mode]} — ${report.organization}\n\n`;
+    markdown += `${when[report.mode]}${report.runId ? ` · Run \`${report.runId}\`` : ''} · Features: ${report.features.join(', ')}\n\n`;
+
+    markdown += '## Summary\n\n' + table(['Result', 'Repositories'], Object.entries(report.summary).map(([name, count]) => [name, count]));
+
+    markdown += '\n## Changes\n\n' + table(
+        ['Repository', 'Feature', 'From', 'To', 'Status', 'Detail'],
+        remediationRows(report).map(row => [row.repository, row.feature, row.from, row.to, row.status, row.detail])
+    );
+
+    return markdown;
+}
+
+/**
+ * Render a branch protection audit; settings that fall short of the baseline are marked ⚠️
+ * @param {Object} report - Result of auditOrganizationBranchProtection
+ * @returns {string} Markdown
+ */
+function renderBranchProtection(report) {
+    let markdown = `# Default Branch Protection — ${report.organization}\n\n`;
+    markdown += `Audited ${report.auditedAt} · ${report.summary.audited} repositories\n\n`;
+
+    markdown += '## Summary\n\n' + table(['Result', 'Repositories'], [
+        ['Compliant', report.summary.compliant],
+        ['Deviating', report.summary.deviating],
+        ['Unprotected', report.summary.unprotected],
+        ['Unknown', report.summary.unknown],
+        ['Failed', report.summary.failed]
+    ]);
+
+    markdown += '\n## Baseline\n\n' + table(
+        ['Setting', 'Expected', 'Repositories deviating'],
+        Object.entries(report.branchBaseline).map(([setting, expected]) => [setting, JSON.stringify(expected), report.summary.bySetting[setting]])
+    );
+
+    if (report.organizationRulesets) {
+        markdown += '\n## Organization Rulesets\n\n' + table(
+            ['Name', 'Target', 'Enforcement'],
+            report.organizationRulesets.map(ruleset => [ruleset.name, ruleset.target, ruleset.enforcement])
+        );
+    }
+
+    const columns = branchProtectionColumns();
+    markdown += '\n## Repositories\n\n' + table(
+        ['Repository', 'Branch', 'Protection', 'Rulesets', ...columns],
+        branchProtectionRows(report).map(row => [
+            row.repository + (row.error ? ` (${row.error})` : ''),
+            row.defaultBranch,
+            row.branchProtection,
+            row.rulesets,
+            ...columns.map(column => `${row[column]}${row.findings.split(';').includes(column) ? ' ⚠️' : ''}`)
+        ])
+    );
+
+    if (report.ruleset) {
+        markdown += `\n## Organization Ruleset "${report.ruleset.name}": ${report.ruleset.status}\n\n`;
+        if (report.ruleset.reason) markdown += `${report.ruleset.reason}\n\n`;
+        markdown += '```json\n' + JSON.stringify(report.ruleset.ruleset, null, 2) + '\n```\n';
+    }
+
+    return markdown;
+}
+
+export default {
+    extension: 'md',
+
+    /**
+     * @param {Object} report - Report to export
+     * @param {string} reportType - One of REPORT_TYPES
+     * @returns {Array} Files ({ suffix, content })
+     */
+    render(report, reportType = detectReportType(report)) {
+        switch (reportType) {
+            case REPORT_TYPES.METRICS:
+                return [{ suffix: null, content: renderMetrics(report) }];
+            case REPORT_TYPES.ISSUES:
+                return [{ suffix: null, content: renderIssues(report) }];
+            case REPORT_TYPES.POLICY:
+                return [{ suffix: null, content: renderPolicy(report) }];
+            case REPORT_TYPES.BULK:
+                return [{ suffix: null, content: renderBulk(report) }];
+            case REPORT_TYPES.ISSUE_HEALTH:
+                return [{ suffix: null, content: renderIssueHealth(report) }];
+            case REPORT_TYPES.STALE:
+                return [{ suffix: null, content: renderStale(report) }];
+            case REPORT_TYPES.POLICY_PLAN:
+                return [{ suffix: null, content: renderPolicyPlan(report) }];
+            case REPORT_TYPES.SECURITY_POSTURE:
+                return [{ suffix: null, content: renderSecurityPosture(report) }];
+            case REPORT_TYPES.REMEDIATION:
+                return [{ suffix: null, content: renderRemediation(report) }];
+            case REPORT_TYPES.BRANCH_PROTECTION:
+                return [{ suffix: null, content: renderBranchProtection(report) }];
+            default:
+                throw new Error('Markdown export supports metrics, issues, issue health, stale issues, policy, policy plan, security posture, security remediation, branch protection and bulk operation reports only');
+        }
+    }
+};
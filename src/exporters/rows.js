@@ -0,0 +1,367 @@
+// Report Rows
+// Flattens the toolkit reports into tabular rows shared by the CSV, Markdown and HTML exporters.
+
+export const REPORT_TYPES = {
+    METRICS: 'metrics',
+    ISSUES: 'issues',
+    POLICY: 'policy',
+    BULK: 'bulk',
+    ISSUE_HEALTH: 'issue-health',
+    STALE: 'stale',
+    POLICY_PLAN: 'policy-plan',
+    SECURITY_POSTURE: 'security-posture',
+    REMEDIATION: 'security-remediation',
+    BRANCH_PROTECTION: 'branch-protection'
+};
+
+// Matrix columns of a security posture report, in display order
+const POSTURE_COLUMNS = [
+    'advancedSecurity', 'secretScanning', 'secretScanningPushProtection', 'dependabotSecurityUpdates', 'vulnerabilityAlerts',
+    'allowMergeCommit', 'allowSquashMerge', 'allowRebaseMerge', 'allowAutoMerge', 'deleteBranchOnMerge', 'allowForking'
+];
+
+// Effective default branch settings of a branch protection report, in display order
+const BRANCH_COLUMNS = [
+    'requiredApprovingReviews', 'dismissStaleReviews', 'requireCodeOwnerReviews', 'requireStatusChecks', 'requiredStatusChecks',
+    'requireSignedCommits', 'blockForcePushes', 'blockDeletions'
+];
+
+/**
+ * Detect the kind of report from its shape
+ * @param {Object} report - Report object
+ * @returns {string|null} One of REPORT_TYPES, or null for other data
+ */
+export function detectReportType(report) {
+    if (!report || typeof report !== 'object') return null;
+    if (report.usage && report.seats && report.summary) return REPORT_TYPES.METRICS;
+    if (report.health && report.repository) return REPORT_TYPES.ISSUE_HEALTH;
+    if (Array.isArray(report.issues) && report.repository) return REPORT_TYPES.ISSUES;
+    if (report.organizationPolicies || report.securitySettings || report.copilotSettings) return REPORT_TYPES.POLICY;
+    if (report.operation && Array.isArray(report.items) && report.summary) return REPORT_TYPES.BULK;
+    if (report.staleConfig && Array.isArray(report.items)) return REPORT_TYPES.STALE;
+    if (report.desiredSettings && Array.isArray(report.items)) return REPORT_TYPES.POLICY_PLAN;
+    if (report.baseline && Array.isArray(report.repositories)) return REPORT_TYPES.SECURITY_POSTURE;
+    if (report.features && report.selection && Array.isArray(report.items)) return REPORT_TYPES.REMEDIATION;
+    if (report.branchBaseline && Array.isArray(report.repositories)) return REPORT_TYPES.BRANCH_PROTECTION;
+    return null;
+}
+
+/**
+ * One row per day from a Copilot metrics report
+ * @param {Object} report - Report from generateMetricsReport
+ * @returns {Object[]} Daily rows
+ */
+export function metricsDailyRows(report) {
+    return (report.summary.daily || []).map(day => ({
+        date: day.date,
+        activeUsers: day.activeUsers,
+        engagedUsers: day.engagedUsers,
+        codeCompletionEngagedUsers: day.codeCompletionEngagedUsers,
+        suggestions: day.totalSuggestions,
+        acceptances: day.totalAcceptances,
+        acceptanceRate: day.acceptanceRate,
+        linesSuggested: day.totalLinesSuggested,
+        linesAccepted: day.totalLinesAccepted,
+        lineAcceptanceRate: day.lineAcceptanceRate
+    }));
+}
+
+/**
+ * One row per seat from a Copilot metrics report
+ * @param {Object} report - Report from generateMetricsReport
+ * @returns {Object[]} Seat rows
+ */
+export function metricsSeatRows(report) {
+    return (report.seats.details || []).map(seat => ({
+        login: seat.assignee?.login || '',
+        assigningTeam: seat.assigning_team?.slug || '',
+        planType: seat.plan_type || '',
+        createdAt: seat.created_at || '',
+        lastActivityAt: seat.last_activity_at || '',
+        lastActivityEditor: seat.last_activity_editor || '',
+        pendingCancellationDate: seat.pending_cancellation_date || ''
+    }));
+}
+
+/**
+ * One row per entry of a breakdown (byLanguage, byEditor, byModel)
+ * @param {Object} breakdown - Map of name to completion counters
+ * @returns {Object[]} Breakdown rows sorted by suggestions
+ */
+export function breakdownRows(breakdown = {}) {
+    return Object.entries(breakdown)
+        .map(([name, counts]) => ({
+            name,
+            suggestions: counts.totalSuggestions,
+            acceptances: counts.totalAcceptances,
+            acceptanceRate: counts.acceptanceRate,
+            linesSuggested: counts.totalLinesSuggested,
+            linesAccepted: counts.totalLinesAccepted,
+            lineAcceptanceRate: counts.lineAcceptanceRate
+        }))
+        .sort((a, b) => b.suggestions - a.suggestions);
+}
+
+/**
+ * One row per issue from an issues report
+ * @param {Object} report - Result of fetchIssues or getAllIssues
+ * @returns {Object[]} Issue rows
+ */
+export function issueRows(report) {
+    return report.issues.map(issue => ({
+        repository: issue.repository?.full_name || report.repository,
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        author: issue.user?.login || '',
+        assignees: (issue.assignees || []).map(assignee => assignee.login).join(';'),
+        labels: (issue.labels || []).map(label => typeof label === 'string' ? label : label.name).join(';'),
+        milestone: issue.milestone?.title || '',
+        comments: issue.comments ?? 0,
+        createdAt: issue.created_at,
+        updatedAt: issue.updated_at,
+        closedAt: issue.closed_at || '',
+        url: issue.html_url || ''
+    }));
+}
+
+/**
+ * One row per issue from a bulk operation result
+ * @param {Object} report - Result of bulkUpdateIssues
+ * @returns {Object[]} Item rows
+ */
+export function bulkResultRows(report) {
+    return report.items.map(item => ({
+        repository: report.repository,
+        operation: report.operation.type,
+        number: item.issue_number,
+        title: item.title || '',
+        status: item.status,
+        detail: item.error || item.reason || ''
+    }));
+}
+
+/**
+ * One row per issue from a stale plan or stale report
+ * @param {Object} report - Result of planStaleIssues or applyStalePlan
+ * @returns {Object[]} Item rows
+ */
+export function staleRows(report) {
+    return report.items.map(item => ({
+        repository: report.repository,
+        number: item.issue_number,
+        title: item.title || '',
+        action: item.action,
+        status: item.status || 'planned',
+        reason: item.reason || '',
+        lastUpdated: item.updatedAt || '',
+        markedAt: item.markedAt || '',
+        error: item.error || ''
+    }));
+}
+
+/**
+ * One row per declared setting from a policy plan or apply report
+ * @param {Object} report - Result of planOrganizationPolicy or applyOrganizationPolicyPlan
+ * @returns {Object[]} Setting rows
+ */
+export function policyPlanRows(report) {
+    return report.items.map(item => ({
+        organization: report.organization,
+        setting: item.setting,
+        current: item.current ?? '',
+        desired: item.desired,
+        action: item.action,
+        status: item.status || 'planned',
+        detail: item.error || item.reason || ''
+    }));
+}
+
+/**
+ * One row per repository of a security posture report
+ * @param {Object} report - Result of scanOrganizationSecurityPosture
+ * @returns {Object[]} Matrix rows
+ */
+export function securityPostureRows(report) {
+    return report.repositories.map(row => ({
+        repository: row.repository,
+        visibility: row.visibility,
+        archived: row.archived,
+        fork: row.fork,
+        ...Object.fromEntries(POSTURE_COLUMNS.map(column => [column, row[column] ?? ''])),
+        deviations: row.deviations.map(deviation => deviation.setting).join(';'),
+        error: row.error || ''
+    }));
+}
+
+/**
+ * One row per repository and feature of a security remediation report;
+ * repositories without changes get a single row
+ * @param {Object} report - Result of planSecurityRemediation, applySecurityRemediation or rollbackSecurityRemediation
+ * @returns {Object[]} Remediation rows
+ */
+export function remediationRows(report) {
+    return report.items.flatMap(item => {
+        const base = { repository: item.repository, visibility: item.visibility || '', repositoryStatus: item.status };
+        if (item.changes.length === 0) {
+            return [{ ...base, feature: '', from: '', to: '', status: item.status, detail: item.error || '' }];
+        }
+        return item.changes.map(change => ({
+            ...base,
+            feature: change.feature,
+            from: change.from ?? '',
+            to: change.to,
+            status: change.status,
+            detail: change.error || change.reason || ''
+        }));
+    });
+}
+
+/**
+ * One row per repository of a branch protection report
+ * @param {Object} report - Result of auditOrganizationBranchProtection
+ * @returns {Object[]} Matrix rows
+ */
+export function branchProtectionRows(report) {
+    return report.repositories.map(row => ({
+        repository: row.repository,
+        defaultBranch: row.defaultBranch || '',
+        visibility: row.visibility,
+        branchProtection: row.branchProtection || '',
+        rulesets: (row.rulesets || []).join(';'),
+        ...Object.fromEntries(BRANCH_COLUMNS.map(column => {
+            const value = row.settings?.[column];
+            return [column, Array.isArray(value) ? value.join(';') : value ?? ''];
+        })),
+        findings: row.findings.map(finding => finding.setting).join(';'),
+        unknown: row.unknown.join(';'),
+        error: row.error || ''
+    }));
+}
+
+/**
+ * Matrix columns of a branch protection report
+ * @returns {string[]} Column names
+ */
+export function branchProtectionColumns() {
+    return [...BRANCH_COLUMNS];
+}
+
+/**
+ * Matrix columns of a security posture report
+ * @returns {string[]} Column names
+ */
+export function securityPostureColumns() {
+    return [...POSTURE_COLUMNS];
+}
+
+/**
+ * One row per figure of an issue health report
+ * @param {Object} report - Report from generateIssueHealthReport
+ * @returns {Object[]} Metric rows ({ section, metric, value })
+ */
+export function issueHealthSummaryRows(report) {
+    const { totals, ageDistribution, firstResponse, timeToClose } = report.health;
+    const rows = Object.entries(totals).map(([metric, value]) => ({ section: 'totals', metric, value }));
+
+    ageDistribution.forEach(bucket => rows.push({ section: 'openIssueAge', metric: bucket.bucket, value: bucket.count }));
+    Object.entries(firstResponse || {}).forEach(([metric, value]) => rows.push({ section: 'firstResponse', metric, value }));
+    Object.entries(timeToClose).forEach(([metric, value]) => rows.push({ section: 'timeToClose', metric, value }));
+
+    return rows;
+}
+
+/**
+ * One row per label and per assignee of an issue health report
+ * @param {Object} report - Report from generateIssueHealthReport
+ * @returns {Object[]} Distribution rows ({ type, name, open, total })
+ */
+export function issueHealthDistributionRows(report) {
+    return [
+        ...report.health.labels.map(entry => ({ type: 'label', ...entry })),
+        ...report.health.assignees.map(entry => ({ type: 'assignee', ...entry }))
+    ];
+}
+
+/**
+ * One row per setting from a policy overview, followed by the compliance score and one row per rule
+ * @param {Object} report - Result of getComprehensivePolicyOverview
+ * @returns {Object[]} Setting rows ({ section, setting, value })
+ */
+export function policyRows(report) {
+    const sections = {
+        organizationPolicies: report.organizationPolicies,
+        securitySettings: report.securitySettings,
+        copilotSettings: report.copilotSettings,
+        branchProtection: report.branchProtection
+    };
+
+    const rows = [];
+    Object.entries(sections).forEach(([section, data]) => {
+        if (!data) return;
+        flatten(data).forEach(([setting, value]) => {
+            if (setting === 'organization' || setting === 'fetchedAt') return;
+            rows.push({ section, setting, value });
+        });
+    });
+
+    if (report.compliance) {
+        rows.push({ section: 'compliance', setting: 'score', value: report.compliance.score });
+        rows.push({ section: 'compliance', setting: 'coverage', value: report.compliance.coverage });
+        report.compliance.findings.forEach(finding => rows.push({ section: 'compliance', setting: finding.id, value: finding.status }));
+    }
+    return rows;
+}
+
+/**
+ * One row per compliance rule of a policy overview
+ * @param {Object} report - Result of getComprehensivePolicyOverview
+ * @returns {Object[]} Finding rows
+ */
+export function complianceRows(report) {
+    return (report.compliance?.findings || []).map(finding => ({
+        rule: finding.id,
+        title: finding.title,
+        severity: finding.severity,
+        weight: finding.weight,
+        status: finding.status,
+        actual: finding.actual ?? '',
+        expected: finding.expected,
+        remediation: finding.status === 'fail' ? finding.remediation : ''
+    }));
+}
+
+/**
+ * Flatten nested objects into [dotted.path, value] pairs; arrays are kept as JSON
+ * @param {Object} object - Object to flatten
+ * @param {string} prefix - Path prefix
+ * @returns {Array} Path/value pairs
+ */
+function flatten(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+        const pathName = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return flatten(value, pathName);
+        }
+        return [[pathName, Array.isArray(value) ? JSON.stringify(value) : value]];
+    });
+}
+
+/**
+ * Count issues by a multi-valued field
+ * @param {Object[]} rows - Issue rows
+ * @param {string} field - 'labels' or 'assignees'
+ * @returns {Object[]} { label, value } sorted by count
+ */
+export function countBy(rows, field) {
+    const counts = {};
+    rows.forEach(row => {
+        const values = row[field] ? row[field].split(';') : [`(no ${field})`];
+        values.forEach(value => {
+            counts[value] = (counts[value] || 0) + 1;
+        });
+    });
+    return Object.entries(counts)
+        .map(([label, value]) => ({ label, value }))
+        .sort((a, b) => b.value - a.value);
+}
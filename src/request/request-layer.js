@@ -0,0 +1,245 @@
+// Request Layer
+// Wraps an Octokit instance's request hook with rate-limit aware retries,
+// a cap on concurrent requests and a rate-limit budget report.
+
+const DEFAULT_OPTIONS = {
+    maxRetries: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    // Longest we are willing to wait for a primary rate limit reset
+    maxRateLimitWaitMs: 15 * 60 * 1000,
+    // Minimum wait for secondary rate limits without a retry-after header
+    secondaryRateLimitDelayMs: 60 * 1000,
+    concurrency: 4
+};
+
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+// Request layers already applied, so an Octokit shared between classes is only wrapped once
+const layers = new WeakMap();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Tracks request counts, retries and the latest rate-limit headers per resource
+ */
+export class RateLimitTracker {
+    constructor() {
+        this.startedAt = new Date().toISOString();
+        this.requests = 0;
+        this.retries = 0;
+        this.rateLimitWaits = 0;
+        this.waitedMs = 0;
+        this.failures = 0;
+        this.resources = {};
+    }
+
+    /**
+     * Record the rate-limit headers of a response
+     * @param {Object} headers - Response headers
+     */
+    recordHeaders(headers = {}) {
+        if (headers['x-ratelimit-limit'] === undefined) return;
+
+        const resource = headers['x-ratelimit-resource'] || 'core';
+        this.resources[resource] = {
+            limit: Number(headers['x-ratelimit-limit']),
+            remaining: Number(headers['x-ratelimit-remaining']),
+            used: Number(headers['x-ratelimit-used']),
+            resetAt: new Date(Number(headers['x-ratelimit-reset']) * 1000).toISOString()
+        };
+    }
+
+    /**
+     * @returns {Object} Rate-limit budget report
+     */
+    getReport() {
+        return {
+            startedAt: this.startedAt,
+            generatedAt: new Date().toISOString(),
+            requests: this.requests,
+            retries: this.retries,
+            rateLimitWaits: this.rateLimitWaits,
+            waitedMs: this.waitedMs,
+            failures: this.failures,
+            resources: this.resources
+        };
+    }
+}
+
+/**
+ * Limits the number of concurrently running tasks
+ */
+class Semaphore {
+    constructor(limit) {
+        this.limit = Math.max(1, limit);
+        this.active = 0;
+        this.queue = [];
+    }
+
+    async acquire() {
+        if (this.active < this.limit) {
+            this.active++;
+            return;
+        }
+        await new Promise(resolve => this.queue.push(resolve));
+    }
+
+    release() {
+        const next = this.queue.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+}
+
+/**
+ * Work out how long to wait before retrying a failed request
+ * @param {Object} error - Octokit RequestError (or network error)
+ * @param {number} attempt - Retry attempt, starting at 1
+ * @param {Object} options - Request layer options
+ * @returns {Object|null} { delayMs, rateLimited } or null when the error is not retryable
+ */
+export function getRetryDelay(error, attempt, options) {
+    const status = error.status;
+    const headers = error.response?.headers || {};
+    const message = (error.message || '').toLowerCase();
+    const backoff = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+    const jitter = Math.round(Math.random() * options.baseDelayMs / 2);
+
+    if (status === 403 || status === 429) {
+        if (headers['retry-after'] !== undefined) {
+            return { delayMs: Number(headers['retry-after']) * 1000, rateLimited: true };
+        }
+        if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+            const resetMs = Number(headers['x-ratelimit-reset']) * 1000 - Date.now();
+            return { delayMs: Math.max(0, resetMs) + 1000, rateLimited: true };
+        }
+        if (status === 429 || message.includes('secondary rate limit') || message.includes('abuse')) {
+            return { delayMs: Math.max(options.secondaryRateLimitDelayMs, backoff) + jitter, rateLimited: true };
+        }
+        // Plain 403: missing permission, not worth retrying
+        return null;
+    }
+
+    if (RETRYABLE_STATUSES.includes(status)) {
+        return { delayMs: backoff + jitter, rateLimited: false };
+    }
+
+    // Network errors have no status
+    if (status === undefined && ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'].includes(error.code)) {
+        return { delayMs: backoff + jitter, rateLimited: false };
+    }
+
+    return null;
+}
+
+/**
+ * Add retries, concurrency control and rate-limit tracking to an Octokit instance.
+ * Applying the layer twice to the same instance returns the existing tracker.
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Request layer options
+ * @param {number} options.maxRetries - Retries per request (default 3)
+ * @param {number} options.baseDelayMs - First backoff delay for 5xx errors (default 1000)
+ * @param {number} options.maxDelayMs - Longest backoff delay (default 60000)
+ * @param {number} options.maxRateLimitWaitMs - Give up instead of waiting longer than this for a reset (default 15 minutes)
+ * @param {number} options.concurrency - Maximum in-flight requests (default 4)
+ * @param {Function} options.sleep - Delay function, replaceable for testing
+ * @returns {RateLimitTracker} Tracker for the instance
+ */
+export function applyRequestLayer(octokit, options = {}) {
+    if (layers.has(octokit)) {
+        return layers.get(octokit);
+    }
+
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const wait = settings.sleep || sleep;
+    const tracker = new RateLimitTracker();
+    const semaphore = new Semaphore(settings.concurrency);
+
+    octokit.hook.wrap('request', async (request, requestOptions) => {
+        await semaphore.acquire();
+        try {
+            for (let attempt = 1; ; attempt++) {
+                tracker.requests++;
+                try {
+                    const response = await request(requestOptions);
+                    tracker.recordHeaders(response.headers);
+                    return response;
+                } catch (error) {
+                    tracker.recordHeaders(error.response?.headers);
+
+                    const retry = attempt <= settings.maxRetries ? getRetryDelay(error, attempt, settings) : null;
+                    if (!retry || retry.delayMs > settings.maxRateLimitWaitMs) {
+                        tracker.failures++;
+                        throw error;
+                    }
+
+                    tracker.retries++;
+                    if (retry.rateLimited) tracker.rateLimitWaits++;
+                    tracker.waitedMs += retry.delayMs;
+
+                    console.log(`⏳ ${retry.rateLimited ? 'Rate limited' : `Request failed (${error.status || error.code})`} on ${requestOptions.method} ${requestOptions.url}, retrying in ${Math.ceil(retry.delayMs / 1000)}s (attempt ${attempt}/${settings.maxRetries})`);
+                    await wait(retry.delayMs);
+                }
+            }
+        } finally {
+            semaphore.release();
+        }
+    });
+
+    layers.set(octokit, tracker);
+    return tracker;
+}
+
+/**
+ * Get the tracker of an Octokit instance wrapped with applyRequestLayer
+ * @param {Object} octokit - Octokit instance
+ * @returns {RateLimitTracker|null} Tracker, or null when the layer is not applied
+ */
+export function getRateLimitTracker(octokit) {
+    return octokit ? layers.get(octokit) || null : null;
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+    return results;
+}
+
+/**
+ * Print the rate-limit budget report of an Octokit instance
+ * @param {Object} octokit - Octokit instance wrapped with applyRequestLayer
+ */
+export function printRateLimitReport(octokit) {
+    const tracker = getRateLimitTracker(octokit);
+    if (!tracker) return;
+
+    const report = tracker.getReport();
+    console.log('\n📉 Rate Limit Budget');
+    console.log(`  Requests: ${report.requests} (retries: ${report.retries}, rate-limit waits: ${report.rateLimitWaits}, failures: ${report.failures})`);
+    if (report.waitedMs > 0) {
+        console.log(`  Time spent waiting: ${Math.round(report.waitedMs / 1000)}s`);
+    }
+    Object.entries(report.resources).forEach(([resource, budget]) => {
+        console.log(`  ${resource}: ${budget.remaining}/${budget.limit} remaining (resets ${budget.resetAt})`);
+    });
+}
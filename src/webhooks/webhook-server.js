@@ -0,0 +1,337 @@
+// GitHub Webhook Server
+// Receives GitHub App webhook deliveries, verifies their signature and
+// dispatches issue events to handlers that can act on the issue right away.
+
+import http from 'http';
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authOptionsFromEnv, AUTH_STRATEGIES } from '../auth/client-factory.js';
+import GitHubIssueTriage, { loadTriageRules } from '../APIs/issue-triage.js';
+
+// Get __dirname equivalent for ES modules
+const __filename = fileURLToPath(import.meta.url);
+
+// Load environment variables
+dotenv.config();
+
+// GitHub caps webhook payloads at 25 MB
+const MAX_PAYLOAD_BYTES = 25 * 1024 * 1024;
+
+// Delivery IDs remembered to ignore redeliveries of events that were already handled
+const MAX_REMEMBERED_DELIVERIES = 1000;
+
+/**
+ * Compute the X-Hub-Signature-256 header value for a payload
+ * @param {string} secret - Webhook secret
+ * @param {string|Buffer} payload - Raw request body
+ * @returns {string} 'sha256=<hex digest>'
+ */
+export function signWebhookPayload(secret, payload) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+}
+
+/**
+ * Check a payload against its X-Hub-Signature-256 header in constant time
+ * @param {string} secret - Webhook secret
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} signature - X-Hub-Signature-256 header value
+ * @returns {boolean} True when the signature matches
+ */
+export function verifyWebhookSignature(secret, payload, signature) {
+    if (!secret || typeof signature !== 'string' || !signature.startsWith('sha256=')) {
+        return false;
+    }
+
+    const expected = Buffer.from(signWebhookPayload(secret, payload));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+class GitHubWebhookServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {string} options.secret - Webhook secret configured on the GitHub App
+     * @param {Object} options.authOptions - Auth options for the issue clients (installation ID is taken from each delivery)
+     * @param {string} options.path - Path deliveries are posted to
+     */
+    constructor(options = {}) {
+        if (!options.secret) {
+            throw new Error('A webhook secret is required to verify deliveries');
+        }
+
+        this.secret = options.secret;
+        this.authOptions = options.authOptions || null;
+        this.path = options.path || '/api/github/webhooks';
+        this.handlers = {};
+        this.issueManagers = new Map();
+        this.deliveries = new Set();
+        this.server = null;
+    }
+
+    /**
+     * Register a handler for an event ('issues.opened') or all actions of an event ('issues')
+     * @param {string} eventName - Event name, optionally with the action
+     * @param {Function} handler - async (context) => result
+     * @returns {GitHubWebhookServer} This server, for chaining
+     */
+    on(eventName, handler) {
+        (this.handlers[eventName] = this.handlers[eventName] || []).push(handler);
+        return this;
+    }
+
+    /**
+     * Issue client for the installation that sent a delivery. App clients are
+     * created per installation; other strategies share one client.
+     * @param {Object} payload - Webhook payload
+     * @returns {GitHubIssueTriage} Issue client
+     */
+    getIssueManager(payload) {
+        if (!this.authOptions) {
+            throw new Error('Handlers need authOptions to call the GitHub API');
+        }
+
+        const installationId = this.authOptions.strategy === AUTH_STRATEGIES.APP && payload.installation?.id
+            ? payload.installation.id
+            : this.authOptions.installationId || 'default';
+
+        if (!this.issueManagers.has(installationId)) {
+            const authOptions = installationId === 'default' ? this.authOptions : { ...this.authOptions, installationId };
+            this.issueManagers.set(installationId, new GitHubIssueTriage(authOptions));
+        }
+        return this.issueManagers.get(installationId);
+    }
+
+    /**
+     * Verify and dispatch a single delivery. Used by the HTTP server and for
+     * replaying recorded payloads without one.
+     * @param {Object} delivery - { id, name, signature, payload } where payload is the raw body
+     * @returns {Promise<Object>} { status, body } HTTP response to send
+     */
+    async handleDelivery({ id, name, signature, payload }) {
+        if (!id || !name) {
+            return { status: 400, body: { error: 'Missing X-GitHub-Delivery or X-GitHub-Event header' } };
+        }
+        if (!verifyWebhookSignature(this.secret, payload, signature)) {
+            console.warn(`⚠️ Rejected delivery ${id}: invalid signature`);
+            return { status: 401, body: { error: 'Invalid signature' } };
+        }
+        if (this.deliveries.has(id)) {
+            return { status: 200, body: { id, duplicate: true } };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(payload.toString('utf8'));
+        } catch (error) {
+            return { status: 400, body: { error: `Invalid JSON payload: ${error.message}` } };
+        }
+
+        const event = data.action ? `${name}.${data.action}` : name;
+        const handlers = [...(this.handlers[name] || []), ...(data.action ? this.handlers[event] || [] : [])];
+
+        if (handlers.length === 0) {
+            return { status: 200, body: { id, event, handled: false } };
+        }
+
+        console.log(`📨 Delivery ${id}: ${event} from ${data.repository?.full_name || 'unknown repository'}`);
+
+        const [owner, repo] = (data.repository?.full_name || '/').split('/');
+        const context = {
+            id,
+            name,
+            action: data.action || null,
+            event,
+            payload: data,
+            owner,
+            repo,
+            issue: data.issue || null,
+            getIssueManager: () => this.getIssueManager(data)
+        };
+
+        try {
+            const results = [];
+            for (const handler of handlers) {
+                results.push(await handler(context));
+            }
+
+            this.rememberDelivery(id);
+            console.log(`✅ Delivery ${id} handled by ${handlers.length} handler(s)`);
+
+            return { status: 200, body: { id, event, handled: true, results } };
+        } catch (error) {
+            // Not remembered, so a redelivery from GitHub runs the handlers again
+            console.error(`❌ Delivery ${id} (${event}) failed:`, error.message);
+            return { status: 500, body: { id, event, error: error.message } };
+        }
+    }
+
+    /**
+     * Remember a handled delivery ID, dropping the oldest beyond the limit
+     * @param {string} id - Delivery ID
+     */
+    rememberDelivery(id) {
+        this.deliveries.add(id);
+        if (this.deliveries.size > MAX_REMEMBERED_DELIVERIES) {
+            this.deliveries.delete(this.deliveries.values().next().value);
+        }
+    }
+
+    /**
+     * Node request listener, for mounting in an existing http server
+     * @returns {Function} (request, response) => void
+     */
+    createRequestListener() {
+        return async (request, response) => {
+            const send = (status, body) => {
+                response.writeHead(status, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(body));
+            };
+
+            if (new URL(request.url, 'http://localhost').pathname !== this.path) {
+                return send(404, { error: 'Not found' });
+            }
+            if (request.method !== 'POST') {
+                return send(405, { error: 'Method not allowed' });
+            }
+
+            try {
+                const payload = await readBody(request);
+                const { status, body } = await this.handleDelivery({
+                    id: request.headers['x-github-delivery'],
+                    name: request.headers['x-github-event'],
+                    signature: request.headers['x-hub-signature-256'],
+                    payload
+                });
+                send(status, body);
+            } catch (error) {
+                send(error.status || 500, { error: error.message });
+            }
+        };
+    }
+
+    /**
+     * Start listening for deliveries
+     * @param {number} port - Port to listen on (0 picks a free port)
+     * @param {string} host - Interface to bind
+     * @returns {Promise<Object>} { port, url }
+     */
+    listen(port = 3000, host = undefined) {
+        this.server = http.createServer(this.createRequestListener());
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                const url = `http://localhost:${address.port}${this.path}`;
+                console.log(`🎧 Listening for GitHub webhooks on ${url}`);
+                resolve({ port: address.port, url });
+            });
+        });
+    }
+
+    /**
+     * Stop listening
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+/**
+ * Handlers that triage new and relabelled issues with a rules file, and hand an
+ * issue to the Copilot coding agent when a collaborator comments "/copilot".
+ * @param {Object[]} rules - Rules from loadTriageRules
+ * @returns {Object} Handlers keyed by event name, for GitHubWebhookServer.on
+ */
+export function createIssueTriageHandlers(rules) {
+    const triageIssue = async context => {
+        if (!context.issue || context.issue.pull_request || context.issue.state !== 'open') {
+            return { skipped: true, reason: 'not an open issue' };
+        }
+        // Labels added by this app (or other bots) would otherwise re-trigger triage
+        if (context.action === 'labeled' && context.payload.sender?.type === 'Bot') {
+            return { skipped: true, reason: 'labelled by a bot' };
+        }
+
+        const triage = context.getIssueManager();
+        const plan = await triage.planTriage(context.owner, context.repo, rules, { issues: [context.issue] });
+        if (plan.issues.length === 0) {
+            return { skipped: true, reason: 'no rule matched' };
+        }
+        return triage.applyTriagePlan(plan);
+    };
+
+    return {
+        'issues.opened': triageIssue,
+        'issues.labeled': triageIssue,
+        'issue_comment.created': async context => {
+            const { comment, sender } = context.payload;
+            const trusted = ['OWNER', 'MEMBER', 'COLLABORATOR'].includes(comment?.author_association);
+            if (sender?.type === 'Bot' || !trusted || !/^\/copilot\b/m.test(comment?.body || '')) {
+                return { skipped: true, reason: 'not a /copilot command from a collaborator' };
+            }
+            if (!context.issue || context.issue.pull_request) {
+                return { skipped: true, reason: 'not an issue' };
+            }
+
+            return context.getIssueManager().assignCopilotAgentToIssues(context.owner, context.repo, [context.issue.number]);
+        }
+    };
+}
+
+/**
+ * Read a request body, rejecting oversized payloads
+ * @param {http.IncomingMessage} request - Incoming request
+ * @returns {Promise<Buffer>} Raw body
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_PAYLOAD_BYTES) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks)));
+        request.on('error', reject);
+    });
+}
+
+export default GitHubWebhookServer;
+
+// Example usage
+async function main() {
+    const config = {
+        secret: process.env.GITHUB_WEBHOOK_SECRET,
+        port: Number(process.env.WEBHOOK_PORT || 3000),
+        rulesFile: process.env.TRIAGE_RULES_FILE || './triage-rules.json'
+    };
+
+    try {
+        const server = new GitHubWebhookServer({ secret: config.secret, authOptions: authOptionsFromEnv() });
+        const rules = await loadTriageRules(config.rulesFile);
+
+        Object.entries(createIssueTriageHandlers(rules)).forEach(([event, handler]) => server.on(event, handler));
+        await server.listen(config.port);
+    } catch (error) {
+        console.error('Error in main execution:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run the main function when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('Unhandled error:', error.message);
+        process.exit(1);
+    });
+}